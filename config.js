@@ -112,6 +112,124 @@ module.exports = {
     apiUrl: process.env.ZAPBANK_REP_API_URL || 'https://api.a1zap.com/v1/messages/individual'
   },
 
+  // Storage for profiles, interview state, matches and matching events
+  storage: {
+    // 'json' (files in data/) or 'sqlite' (one database file, see npm run migrate:sqlite)
+    backend: process.env.STORAGE_BACKEND || 'json',
+    // SQLite database file, relative to the project root (sqlite backend only)
+    sqlitePath: process.env.SQLITE_PATH || 'data/mandy.db'
+  },
+
+  // Append-only journal of every storage change (see services/audit-log.js)
+  audit: {
+    // JSONL file, relative to the project root
+    path: process.env.AUDIT_LOG_PATH || 'data/audit-log.jsonl'
+  },
+
+  // Matching Configuration
+  matching: {
+    // Max compatibility scoring calls to Claude in flight at once
+    concurrency: parseInt(process.env.MATCHING_CONCURRENCY) || 4,
+    // Timeout for each scoring call (ms)
+    callTimeoutMs: parseInt(process.env.MATCHING_CALL_TIMEOUT_MS) || 20000,
+    // Retries per scoring request, shared by transient Claude errors (rate limits, overload, timeouts)
+    // and malformed responses: a pair (or batch) costs at most maxRetries + 1 Claude calls
+    maxRetries: process.env.MATCHING_MAX_RETRIES !== undefined ? parseInt(process.env.MATCHING_MAX_RETRIES) : 2,
+    // Base delay before retrying (doubles each attempt)
+    retryDelayMs: 1000,
+    // Default hard constraints (a matching run can override them)
+    constraints: {
+      // Max total people across two matched groups (null = no cap)
+      maxCombinedSize: parseInt(process.env.MATCHING_MAX_COMBINED_SIZE) || null,
+      // Attributes matched groups must share, e.g. "cohort" (comma-separated)
+      requireShared: (process.env.MATCHING_REQUIRE_SHARED || '').split(',').map(a => a.trim()).filter(Boolean)
+    },
+    // Run incremental matching automatically when a group finishes its profile
+    // (only once a pairing event exists)
+    autoIncremental: process.env.MATCHING_AUTO_INCREMENTAL === 'true',
+    // Repeat policy for pairs matched in earlier events
+    history: {
+      // 'never' (exclude repeats), 'decay' (penalize recent repeats) or 'off'
+      mode: process.env.MATCHING_HISTORY_MODE || 'off',
+      // Repeats are penalized for this many events after being matched
+      decayEvents: parseInt(process.env.MATCHING_HISTORY_EVENTS) || 3,
+      // Score penalty (0-1) for a pair matched in the most recent event
+      maxPenalty: process.env.MATCHING_HISTORY_PENALTY !== undefined ? parseFloat(process.env.MATCHING_HISTORY_PENALTY) : 0.3
+    },
+    // Candidates judged per Claude call: one target group plus up to this many
+    // candidates in a single prompt (1 = one pair per call)
+    batchSize: parseInt(process.env.MATCHING_BATCH_SIZE) || 1,
+    // Self-consistency: ask Claude several times per pair and combine the answers
+    sampling: {
+      // Judge samples per pair (1 = single sample, no confidence reported)
+      samples: parseInt(process.env.MATCHING_SAMPLES) || 1,
+      // 'median' or 'trimmed' (mean without the highest and lowest sample)
+      aggregation: process.env.MATCHING_SAMPLE_AGGREGATION || 'median',
+      // Matches whose confidence (0-1) is below this are flagged in /api/matches
+      lowConfidence: process.env.MATCHING_LOW_CONFIDENCE !== undefined ? parseFloat(process.env.MATCHING_LOW_CONFIDENCE) : 0.6
+    },
+    // Cheap pre-filter before Claude scoring (both null = every pair goes to Claude)
+    prefilter: {
+      // Send each group's K best candidates (by quantitative score) to Claude
+      topK: parseInt(process.env.MATCHING_PREFILTER_TOP_K) || null,
+      // Also send any pair whose quantitative score (0-1) reaches this
+      minQuantitative: process.env.MATCHING_PREFILTER_THRESHOLD !== undefined ? parseFloat(process.env.MATCHING_PREFILTER_THRESHOLD) : null
+    },
+    // Coverage and fairness in ranked mode
+    fairness: {
+      // Every group gets at least this many matches (when it has any allowed partner with room)
+      minMatches: process.env.MATCHING_MIN_MATCHES !== undefined ? parseInt(process.env.MATCHING_MIN_MATCHES) : 1,
+      // No group appears in more than this many matches (null = no cap)
+      maxAppearances: parseInt(process.env.MATCHING_MAX_APPEARANCES) || null
+    },
+    // Groups per match in pairing mode: 2 (pairs), 3 or 4 (pods)
+    podSize: parseInt(process.env.MATCHING_POD_SIZE) || 2,
+    // Blocking mode: groups merge into blocks of up to this many people
+    blocks: {
+      maxSize: parseInt(process.env.MATCHING_BLOCK_SIZE) || 8
+    },
+    // Preference matching: groups rank their top candidates in chat
+    preferences: {
+      // Candidates each group is asked to rank (1-10)
+      topN: parseInt(process.env.MATCHING_PREFERENCES_TOP_N) || 3
+    }
+  },
+
+  // Scoring Profiles - pick one per matching run with /api/match?profile=<name>
+  // Profiles only need to list what differs from `default`.
+  scoring: {
+    defaultProfile: process.env.SCORING_PROFILE || 'default',
+    profiles: {
+      // Balanced weights (the original algorithm)
+      default: {
+        description: 'Balanced: size matters most, interests and AI vibe check fill in the rest',
+        // Quantitative factor weights (normalized over the factors both groups have data for)
+        weights: { size: 0.4, music: 0.25, idealDay: 0.25, emoji: 0.1, semantic: 0.2 },
+        // Size similarity by size difference: byDifference[diff] for small gaps,
+        // then minus stepPerPerson for each extra person, never below floor
+        sizeDecay: { byDifference: [1.0, 0.9, 0.7, 0.5], stepPerPerson: 0.1, floor: 0.1 },
+        // Final score = quantitative/qualitative blend
+        blend: { quantitative: 0.4, qualitative: 0.6 }
+      },
+
+      // Freshman blocking - groups end up living together, so size fit dominates
+      blocking: {
+        description: 'Blocking: strongly prefers groups of similar size',
+        weights: { size: 0.6, music: 0.15, idealDay: 0.2, emoji: 0.05, semantic: 0.2 },
+        sizeDecay: { byDifference: [1.0, 0.8, 0.5, 0.3], stepPerPerson: 0.1, floor: 0.05 },
+        blend: { quantitative: 0.5, qualitative: 0.5 }
+      },
+
+      // Social mixer - size barely matters, shared interests and vibe do
+      mixer: {
+        description: 'Mixer: ignores size differences, focuses on shared interests and vibe',
+        weights: { size: 0.1, music: 0.3, idealDay: 0.3, emoji: 0.1, semantic: 0.3 },
+        sizeDecay: { byDifference: [1.0, 0.95, 0.9, 0.85], stepPerPerson: 0.05, floor: 0.5 },
+        blend: { quantitative: 0.3, qualitative: 0.7 }
+      }
+    }
+  },
+
   // File Registry Configuration
   files: {
     registryPath: './files-registry.json'
@@ -0,0 +1,44 @@
+/**
+ * Migrate JSON Storage to SQLite
+ *
+ * Copies group profiles, interview state, legacy matches and matching events
+ * from the JSON files in data/ into the SQLite database (config.storage.sqlitePath).
+ * The JSON files are left untouched. Afterwards, set STORAGE_BACKEND=sqlite.
+ *
+ * Usage: npm run migrate:sqlite
+ */
+
+const path = require('path');
+const config = require('../config');
+const { createJsonStorage } = require('../services/json-storage');
+const { createSqliteStorage } = require('../services/sqlite-storage');
+
+/**
+ * Run the migration
+ * @returns {number} Process exit code
+ */
+function main() {
+  const file = path.resolve(__dirname, '..', config.storage.sqlitePath);
+  console.log(`🗄️  Migrating JSON storage to SQLite: ${file}`);
+
+  const source = createJsonStorage();
+  let target;
+  try {
+    target = createSqliteStorage({ file });
+    const counts = target.importFrom(source);
+
+    console.log(`✅ Migrated ${counts.profiles} profiles, ${counts.interviewStates} interview states, ` +
+      `${counts.matches} legacy matches, ${counts.events} matching events (${counts.eventMatches} matches)`);
+    console.log('👉 Set STORAGE_BACKEND=sqlite to use the database');
+    return 0;
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    return 1;
+  } finally {
+    if (target) {
+      target.close();
+    }
+  }
+}
+
+process.exitCode = main();
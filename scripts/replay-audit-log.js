@@ -0,0 +1,121 @@
+/**
+ * Replay the Audit Log
+ *
+ * Rebuilds profiles, matches and matching events from the audit log
+ * (config.audit.path) and compares the result with what storage currently
+ * holds. Interview state isn't journaled in full, so it isn't rebuilt. With --out, also writes the rebuilt data into a new SQLite
+ * database (e.g. to recover from a lost or damaged data file).
+ *
+ * Usage:
+ *   npm run audit:replay
+ *   npm run audit:replay -- --out data/rebuilt.db
+ */
+
+const path = require('path');
+const config = require('../config');
+const auditLog = require('../services/audit-log');
+const { createJsonStorage } = require('../services/json-storage');
+const { createSqliteStorage } = require('../services/sqlite-storage');
+
+/**
+ * Compare two lists of records by ID
+ * @param {string} label - What the records are (for messages)
+ * @param {Array} expected - Records in storage
+ * @param {Array} actual - Replayed records
+ * @param {Function} getId - (record) => ID
+ * @returns {Array<string>} Differences
+ */
+function compareRecords(label, expected, actual, getId = record => record.id) {
+  const differences = [];
+  const replayed = new Map(actual.map(record => [getId(record), record]));
+
+  for (const record of expected) {
+    const id = getId(record);
+    if (!replayed.has(id)) {
+      differences.push(`${label} ${id} is missing from the replay`);
+    } else if (JSON.stringify(replayed.get(id)) !== JSON.stringify(record)) {
+      differences.push(`${label} ${id} differs`);
+    }
+    replayed.delete(id);
+  }
+  for (const id of replayed.keys()) {
+    differences.push(`${label} ${id} is in the replay but not in storage`);
+  }
+  return differences;
+}
+
+/**
+ * Compare replayed data with storage
+ * @param {Object} current - readState() of the storage backend
+ * @param {Object} replayed - Replayed source (see auditLog.replay)
+ * @returns {Array<string>} Differences (empty if they match)
+ */
+function compareState(current, replayed) {
+  const replayedEvents = replayed.listEvents();
+  const differences = [
+    ...compareRecords('Profile', current.profiles, replayed.listProfiles()),
+    ...compareRecords('Legacy match', current.matches, replayed.listMatches(null)),
+    ...compareRecords('Event', current.events.map(({ matches, ...event }) => event), replayedEvents.map(({ matches, ...event }) => event))
+  ];
+
+  for (const event of current.events) {
+    const replayedEvent = replayedEvents.find(e => e.id === event.id);
+    if (replayedEvent) {
+      differences.push(...compareRecords(`Match (event v${event.version})`, event.matches, replayedEvent.matches));
+    }
+  }
+  return differences;
+}
+
+/**
+ * Run the replay
+ * @returns {number} Process exit code
+ */
+function main() {
+  const outIndex = process.argv.indexOf('--out');
+  const out = outIndex >= 0 ? process.argv[outIndex + 1] : null;
+  if (outIndex >= 0 && !out) {
+    console.error('❌ --out needs a database file, e.g. --out data/rebuilt.db');
+    return 1;
+  }
+
+  let storage;
+  let target;
+  try {
+    const entries = auditLog.readEntries();
+    console.log(`📒 Replaying ${entries.length} audit log entries`);
+    const replayed = auditLog.replay(entries);
+
+    storage = config.storage.backend === 'sqlite'
+      ? createSqliteStorage({ file: path.resolve(__dirname, '..', config.storage.sqlitePath) })
+      : createJsonStorage();
+    const differences = compareState(auditLog.readState(storage), replayed);
+
+    if (differences.length === 0) {
+      console.log(`✅ Replay matches current storage (${replayed.listProfiles().length} profiles, ${replayed.listEvents().length} matching events)`);
+    } else {
+      console.log(`⚠️  Replay differs from current storage in ${differences.length} places:`);
+      differences.forEach(difference => console.log(`   - ${difference}`));
+    }
+
+    if (out) {
+      target = createSqliteStorage({ file: path.resolve(out) });
+      const counts = target.importFrom(replayed);
+      console.log(`✅ Wrote ${counts.profiles} profiles, ` +
+        `${counts.matches} legacy matches, ${counts.events} matching events (${counts.eventMatches} matches) to ${path.resolve(out)}`);
+    }
+    return differences.length === 0 ? 0 : 2;
+  } catch (error) {
+    console.error('❌ Replay failed:', error.message);
+    return 1;
+  } finally {
+    if (storage) {
+      storage.close();
+    }
+    if (target) {
+      target.close();
+    }
+  }
+}
+
+process.exitCode = main();
@@ -45,6 +45,13 @@ app.use((req, res, next) => {
   next();
 });
 
+// Storage changes made by API requests are audit-logged as 'admin' (or 'admin:<name>' with an X-Audit-Actor header)
+app.use('/api', (req, res, next) => {
+  const auditLog = require('./services/audit-log');
+  const name = req.get('X-Audit-Actor');
+  auditLog.runWith({ actor: name ? `admin:${name}` : 'admin' }, next);
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -72,103 +79,161 @@ app.get('/', (req, res) => {
 // Mandy the Group Matchmaker webhook endpoint
 app.post('/webhook/mandy', mandyWebhookHandler);
 
-// Matching endpoint - run matching algorithm and save results (POST or GET)
-const handleMatchRequest = async (req, res) => {
-  try {
-    console.log('💕 Matching endpoint called');
-    
-    const groupMatching = require('./services/group-matching');
-    const groupProfileStorage = require('./services/group-profile-storage');
-    const fs = require('fs');
-    const path = require('path');
-    
-    const allProfiles = groupProfileStorage.getAllProfiles();
-    
-    if (allProfiles.length < 2) {
-      return res.status(400).json({
+/**
+ * Parse and validate matching options from a request
+ * @returns {Object} { options, error } - error is a 400 response body or null
+ */
+const parseMatchOptions = (req) => {
+  const matchingRunner = require('./services/matching-runner');
+  const groupProfileStorage = require('./services/group-profile-storage');
+  
+  // mode=ranked (default): best overall match + top 3 per group
+  // mode=pairing: every group gets exactly one partner (matching event)
+  // mode=blocks: groups merge into blocks of up to blockSize people
+  const options = {
+    mode: req.query.mode || req.body?.mode || 'ranked',
+    oddStrategy: req.query.odd || req.body?.odd || 'unmatched',
+    // Named scoring profile from config.scoring.profiles (e.g. ?profile=mixer)
+    scoringProfile: req.query.profile || req.body?.profile || config.scoring.defaultProfile,
+    // Hard constraints: JSON body { constraints: { maxCombinedSize, doNotMatch, requireShared } }
+    // or query params ?maxCombinedSize=8&requireShared=cohort
+    constraints: {
+      ...(req.body?.constraints || {}),
+      ...(req.query.maxCombinedSize ? { maxCombinedSize: req.query.maxCombinedSize } : {}),
+      ...(req.query.requireShared ? { requireShared: req.query.requireShared } : {})
+    },
+    // Dry run: ?preview=true or { preview: true } - nothing is saved, result includes a diff
+    preview: req.query.preview === 'true' || req.body?.preview === true,
+    // Repeat policy: JSON body { history: { mode, decayEvents, maxPenalty } }
+    // or query params ?history=never|decay|off&historyEvents=3&historyPenalty=0.3
+    history: {
+      ...(req.body?.history || {}),
+      ...(req.query.history ? { mode: req.query.history } : {}),
+      ...(req.query.historyEvents ? { decayEvents: req.query.historyEvents } : {}),
+      ...(req.query.historyPenalty ? { maxPenalty: req.query.historyPenalty } : {})
+    },
+    // Pairing mode: ?podSize=3 or { podSize: 3 } - groups per match (2, 3 or 4)
+    podSize: req.query.podSize || req.body?.podSize || config.matching.podSize,
+    // Blocks mode: ?blockSize=8 or { blockSize: 8 } - max people per block
+    blockSize: req.query.blockSize || req.body?.blockSize || config.matching.blocks.maxSize,
+    // Batch judging: ?batch=8 or { batchSize: 8 } - candidates judged per Claude call
+    batchSize: req.query.batch || req.body?.batchSize || config.matching.batchSize,
+    // Self-consistency: JSON body { sampling: { samples, aggregation } }
+    // or query params ?samples=3&aggregation=median|trimmed
+    sampling: {
+      ...(req.body?.sampling || {}),
+      ...(req.query.samples ? { samples: req.query.samples } : {}),
+      ...(req.query.aggregation ? { aggregation: req.query.aggregation } : {})
+    },
+    // Coverage and fairness (ranked mode): JSON body { fairness: { minMatches, maxAppearances } }
+    // or query params ?minMatches=1&maxAppearances=5
+    fairness: {
+      ...(req.body?.fairness || {}),
+      ...(req.query.minMatches ? { minMatches: req.query.minMatches } : {}),
+      ...(req.query.maxAppearances ? { maxAppearances: req.query.maxAppearances } : {})
+    },
+    // Pre-filter before Claude scoring: JSON body { prefilter: { topK, minQuantitative } }
+    // or query params ?topK=5&minQuantitative=0.6
+    prefilter: {
+      ...(req.body?.prefilter || {}),
+      ...(req.query.topK ? { topK: req.query.topK } : {}),
+      ...(req.query.minQuantitative ? { minQuantitative: req.query.minQuantitative } : {})
+    }
+  };
+  
+  const validationError = matchingRunner.validateOptions(options);
+  if (validationError) {
+    return { options, error: validationError };
+  }
+  
+  const groupsCount = groupProfileStorage.getAllProfiles().length;
+  if (groupsCount < 2) {
+    return {
+      options,
+      error: {
         error: 'Not enough groups',
         message: 'Need at least 2 groups to perform matching',
-        groupsCount: allProfiles.length
-      });
-    }
+        groupsCount
+      }
+    };
+  }
+  
+  return { options, error: null };
+};
+
+/**
+ * Start a matching job, or respond 409 if one is already running
+ * @param {Object} extraOptions - Options added to the parsed request options (e.g. incremental)
+ * @returns {Object|null} Job status, or null if a response was already sent
+ */
+const startMatchJob = (req, res, extraOptions = {}) => {
+  const matchingJobs = require('./services/matching-jobs');
+  const { options, error } = parseMatchOptions(req);
+  
+  if (error) {
+    res.status(400).json(error);
+    return null;
+  }
+  
+  const activeJob = matchingJobs.getActiveJob();
+  if (activeJob) {
+    res.status(409).json({
+      error: 'Matching already running',
+      message: 'Only one matching job can run at a time',
+      jobId: activeJob.id,
+      statusUrl: `/api/match/jobs/${activeJob.id}`
+    });
+    return null;
+  }
+  
+  return matchingJobs.startJob({ ...options, ...extraOptions });
+};
+
+// Matching endpoint (POST) - start matching in the background, poll the job for progress
+app.post('/api/match', (req, res) => {
+  try {
+    console.log('💕 Matching job requested');
     
-    // Clear existing matches for fresh matching event
-    const matchesData = { matches: [] };
-    fs.writeFileSync(path.join(__dirname, 'data', 'matches.json'), JSON.stringify(matchesData, null, 2));
+    const job = startMatchJob(req, res);
+    if (!job) return;
     
-    // Find best overall match
-    const bestMatch = await groupMatching.findBestMatch();
+    res.status(202).json({
+      success: true,
+      message: 'Matching started',
+      jobId: job.id,
+      statusUrl: `/api/match/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error('❌ Matching error:', error);
+    res.status(500).json({
+      error: 'Matching failed',
+      message: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Matching endpoint (GET) - run matching and wait for the result (just click the URL in Railway!)
+// Runs as a job too, so it keeps going if the browser tab is closed
+app.get('/api/match', async (req, res) => {
+  try {
+    console.log('💕 Matching endpoint called');
     
-    if (bestMatch) {
-      groupProfileStorage.saveMatch({
-        group1Name: bestMatch.group1.groupName,
-        group2Name: bestMatch.group2.groupName,
-        group1Id: bestMatch.group1.id,
-        group2Id: bestMatch.group2.id,
-        compatibility: bestMatch.compatibility,
-        matchedAt: new Date().toISOString(),
-        isBestMatch: true
-      });
-    }
+    const matchingJobs = require('./services/matching-jobs');
+    const job = startMatchJob(req, res);
+    if (!job) return;
     
-    // Find top matches for each group
-    const matchesByGroup = {};
-    let totalMatchesSaved = 0;
+    const finished = await matchingJobs.waitForJob(job.id);
     
-    for (const group of allProfiles) {
-      const matches = await groupMatching.findMatchesForGroup(group.groupName, 3);
-      matchesByGroup[group.groupName] = matches.map(m => ({
-        groupName: m.group.groupName,
-        compatibility: m.compatibility.percentage,
-        breakdown: m.compatibility
-      }));
-      
-      // Save top 3 matches for this group (avoid duplicates with best match)
-      for (const match of matches) {
-        const isBestMatchPair = bestMatch && (
-          (match.group.groupName === bestMatch.group1.groupName && group.groupName === bestMatch.group2.groupName) ||
-          (match.group.groupName === bestMatch.group2.groupName && group.groupName === bestMatch.group1.groupName)
-        );
-        
-        if (!isBestMatchPair) {
-          groupProfileStorage.saveMatch({
-            group1Name: group.groupName,
-            group2Name: match.group.groupName,
-            group1Id: group.id,
-            group2Id: match.group.id,
-            compatibility: match.compatibility,
-            matchedAt: new Date().toISOString()
-          });
-          totalMatchesSaved++;
-        }
-      }
+    if (finished.status === 'failed') {
+      return res.status(500).json({
+        error: 'Matching failed',
+        message: finished.error,
+        jobId: finished.id
+      });
     }
     
-    const allMatches = groupProfileStorage.getAllMatches();
-    
-    res.json({
-      success: true,
-      message: 'Matching completed successfully',
-      summary: {
-        totalGroups: allProfiles.length,
-        totalMatches: allMatches.length,
-        bestMatch: bestMatch ? {
-          group1: bestMatch.group1.groupName,
-          group2: bestMatch.group2.groupName,
-          compatibility: bestMatch.compatibility.percentage,
-          breakdown: bestMatch.compatibility
-        } : null
-      },
-      matchesByGroup,
-      allMatches: allMatches.map(m => ({
-        group1: m.group1Name,
-        group2: m.group2Name,
-        compatibility: m.compatibility?.percentage || 0,
-        matchedAt: m.matchedAt,
-        isBestMatch: m.isBestMatch || false
-      }))
-    });
-    
+    res.json({ ...finished.result, jobId: finished.id });
   } catch (error) {
     console.error('❌ Matching error:', error);
     res.status(500).json({
@@ -177,30 +242,239 @@ const handleMatchRequest = async (req, res) => {
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
-};
+});
+
+// Incremental matching - pair one late group with a still-unmatched group (waits for the result)
+// Body: { group: "<id or name>", preview?, profile?, constraints?, history? }
+app.post('/api/match/incremental', async (req, res) => {
+  try {
+    const groupProfileStorage = require('./services/group-profile-storage');
+    const matchingJobs = require('./services/matching-jobs');
+    const groupRef = req.body?.group || req.body?.groupId || req.query.group;
 
-// Support both GET and POST for easy access (just click the URL in Railway!)
-app.get('/api/match', handleMatchRequest);
-app.post('/api/match', handleMatchRequest);
+    if (!groupRef) {
+      return res.status(400).json({
+        error: 'Missing group',
+        message: 'Pass the new group\'s ID or name as "group"'
+      });
+    }
+
+    const group = groupProfileStorage.getAllProfiles().find(g => g.id === groupRef) ||
+      groupProfileStorage.getProfileByGroupName(groupRef);
+    if (!group) {
+      return res.status(404).json({
+        error: 'Group not found',
+        group: groupRef
+      });
+    }
+
+    const baseEvent = require('./services/matching-runner').getIncrementalBase();
+    if (baseEvent && baseEvent.matches.some(m => groupProfileStorage.getMatchMembers(m).some(member => member.groupId === group.id))) {
+      return res.status(409).json({
+        error: 'Group already matched',
+        message: `${group.groupName} is already matched in event v${baseEvent.version}`,
+        eventId: baseEvent.id
+      });
+    }
+
+    console.log(`💕 Incremental matching requested for ${group.groupName}`);
+    const job = startMatchJob(req, res, { incremental: true, groupId: group.id });
+    if (!job) return;
+
+    const finished = await matchingJobs.waitForJob(job.id);
+    if (finished.status === 'failed') {
+      return res.status(500).json({
+        error: 'Incremental matching failed',
+        message: finished.error,
+        jobId: finished.id
+      });
+    }
+
+    res.json({ ...finished.result, jobId: finished.id });
+  } catch (error) {
+    console.error('❌ Incremental matching error:', error);
+    res.status(500).json({
+      error: 'Incremental matching failed',
+      message: error.message
+    });
+  }
+});
+
+// Preference matching, phase 1 - send each group its top candidates to rank in chat (background job)
+// Takes the usual matching options plus topN (candidates per group)
+app.post('/api/preferences/collect', (req, res) => {
+  try {
+    const preferenceMatching = require('./services/preference-matching');
+    const topN = req.query.topN || req.body?.topN || preferenceMatching.getDefaultTopN();
+    const topNError = preferenceMatching.validateTopN(topN);
+
+    if (topNError) {
+      return res.status(400).json({
+        error: 'Invalid topN',
+        message: topNError
+      });
+    }
+
+    console.log('🗳️  Ranking collection requested');
+    const job = startMatchJob(req, res, { preferences: 'collect', topN: Number(topN) });
+    if (!job) return;
+
+    res.status(202).json({
+      success: true,
+      message: 'Scoring groups and sending ranking requests',
+      jobId: job.id,
+      statusUrl: `/api/match/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error('❌ Ranking collection error:', error);
+    res.status(500).json({
+      error: 'Ranking collection failed',
+      message: error.message
+    });
+  }
+});
+
+// Rankings received so far for a preference event
+app.get('/api/preferences/:eventId', (req, res) => {
+  const groupProfileStorage = require('./services/group-profile-storage');
+  const event = groupProfileStorage.getEvent(req.params.eventId);
+
+  if (!event || event.config?.mode !== 'preferences') {
+    return res.status(404).json({
+      error: 'Preference event not found',
+      eventId: req.params.eventId
+    });
+  }
+
+  const rankings = Object.entries(event.rankings || {}).map(([groupId, r]) => ({
+    groupId,
+    groupName: groupProfileStorage.getAllProfiles().find(p => p.id === groupId)?.groupName || null,
+    candidates: r.candidates.map(c => c.groupName),
+    ranking: r.ranking ? r.ranking.map(id => r.candidates.find(c => c.groupId === id)?.groupName) : null,
+    requestSent: r.requestSent,
+    receivedAt: r.receivedAt
+  }));
+
+  res.json({
+    success: true,
+    eventId: event.id,
+    status: event.status,
+    rankingsReceived: rankings.filter(r => r.ranking).length,
+    totalGroups: rankings.length,
+    rankings
+  });
+});
+
+// Preference matching, phase 2 - stable matching on the rankings received (waits for the result)
+app.post('/api/preferences/:eventId/match', async (req, res) => {
+  try {
+    const groupProfileStorage = require('./services/group-profile-storage');
+    const matchingJobs = require('./services/matching-jobs');
+    const event = groupProfileStorage.getEvent(req.params.eventId);
+
+    if (!event || event.config?.mode !== 'preferences') {
+      return res.status(404).json({
+        error: 'Preference event not found',
+        eventId: req.params.eventId
+      });
+    }
+
+    if (event.status !== 'collecting') {
+      return res.status(409).json({
+        error: 'Not collecting rankings',
+        message: `Matching event v${event.version} is ${event.status}`,
+        eventId: event.id
+      });
+    }
+
+    console.log(`🗳️  Preference matching requested for event v${event.version}`);
+    const job = startMatchJob(req, res, { preferences: 'match', eventId: event.id });
+    if (!job) return;
+
+    const finished = await matchingJobs.waitForJob(job.id);
+    if (finished.status === 'failed') {
+      return res.status(500).json({
+        error: 'Preference matching failed',
+        message: finished.error,
+        jobId: finished.id
+      });
+    }
+
+    res.json({ ...finished.result, jobId: finished.id });
+  } catch (error) {
+    console.error('❌ Preference matching error:', error);
+    res.status(500).json({
+      error: 'Preference matching failed',
+      message: error.message
+    });
+  }
+});
+
+// Matching job status endpoint - progress, phase, errors and final result
+app.get('/api/match/jobs/:id', (req, res) => {
+  const matchingJobs = require('./services/matching-jobs');
+  const job = matchingJobs.getJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `No matching job with ID "${req.params.id}"`
+    });
+  }
+  
+  res.json({ success: true, job });
+});
 
 // Get matches endpoint - retrieve saved matches
+// (published event, else the latest one; ?eventId= shows a specific event)
 app.get('/api/matches', (req, res) => {
   try {
     const groupProfileStorage = require('./services/group-profile-storage');
-    const allMatches = groupProfileStorage.getAllMatches();
+    const event = req.query.eventId
+      ? groupProfileStorage.getEvent(req.query.eventId)
+      : groupProfileStorage.getCurrentEvent();
+
+    if (req.query.eventId && !event) {
+      return res.status(404).json({
+        error: 'Matching event not found',
+        eventId: req.query.eventId
+      });
+    }
+
+    const allMatches = event ? event.matches : groupProfileStorage.getAllMatches();
     const allProfiles = groupProfileStorage.getAllProfiles();
+    const groupMatching = require('./services/group-matching');
     
     res.json({
       success: true,
+      event: event ? { id: event.id, version: event.version, published: event.published } : null,
       totalGroups: allProfiles.length,
       totalMatches: allMatches.length,
+      lowConfidenceMatches: allMatches.filter(m => groupMatching.isLowConfidence(m.compatibility)).length,
+      estimatedMatches: allMatches.filter(m => m.compatibility?.estimated).length,
       matches: allMatches.map(m => ({
+        id: m.id,
         group1: m.group1Name,
         group2: m.group2Name,
+        ...(m.group3Name ? { group3: m.group3Name } : {}),
+        // Every group in the match (pairs, triads, pods and blocks alike)
+        members: groupProfileStorage.getMatchMembers(m).map(member => member.groupName),
+        ...(m.blockSize ? { blockSize: m.blockSize } : {}),
+        // Preference matching: where each group had its partner on its list (1 = first choice)
+        ...(m.preference ? { preference: m.preference } : {}),
         compatibility: m.compatibility?.percentage || 0,
         breakdown: m.compatibility,
+        scoringProfile: m.scoringProfile || null,
+        explanation: m.explanation?.text || null,
+        confidence: m.compatibility?.confidence ?? null,
+        // Judge samples disagreed a lot - worth a human look before publishing
+        lowConfidence: groupMatching.isLowConfidence(m.compatibility),
+        // Pre-filtered: at least one pair was never judged by Claude
+        estimated: m.compatibility?.estimated || false,
         matchedAt: m.matchedAt,
-        isBestMatch: m.isBestMatch || false
+        isBestMatch: m.isBestMatch || false,
+        // A group was edited, merged or deleted after this match was made
+        ...(m.flags ? { flags: m.flags } : {})
       }))
     });
   } catch (error) {
@@ -212,6 +486,154 @@ app.get('/api/matches', (req, res) => {
   }
 });
 
+// Explanation of why a match was made ("why you two" blurb)
+app.get('/api/matches/:id/explanation', (req, res) => {
+  try {
+    const groupProfileStorage = require('./services/group-profile-storage');
+    const match = groupProfileStorage.getMatchById(req.params.id);
+
+    if (!match) {
+      return res.status(404).json({
+        error: 'Match not found',
+        matchId: req.params.id
+      });
+    }
+
+    let explanation = match.explanation;
+
+    // Matches saved before explanations existed: build one from the current profiles
+    if (!explanation) {
+      const matchExplainer = require('./services/match-explainer');
+      const profiles = groupProfileStorage.getAllProfiles();
+      const groups = groupProfileStorage.getMatchMembers(match)
+        .map(member => profiles.find(p => p.id === member.groupId));
+
+      if (groups.length < 2 || groups.some(g => !g)) {
+        return res.status(404).json({
+          error: 'No explanation available',
+          message: 'Match has no stored explanation and its group profiles no longer exist'
+        });
+      }
+      explanation = matchExplainer.explainMatch(groups, match.compatibility);
+    }
+
+    res.json({
+      success: true,
+      matchId: match.id,
+      groups: groupProfileStorage.getMatchMembers(match).map(member => member.groupName),
+      compatibility: match.compatibility?.percentage || 0,
+      explanation
+    });
+  } catch (error) {
+    console.error('❌ Error fetching match explanation:', error);
+    res.status(500).json({
+      error: 'Failed to fetch match explanation',
+      message: error.message
+    });
+  }
+});
+
+// Scoring profiles endpoint - list profiles usable with /api/match?profile=<name>
+app.get('/api/scoring-profiles', (req, res) => {
+  const groupMatching = require('./services/group-matching');
+  res.json({
+    success: true,
+    defaultProfile: config.scoring.defaultProfile,
+    profiles: groupMatching.listScoringProfiles().map(p => ({
+      ...p,
+      ...groupMatching.getScoringProfile(p.name)
+    }))
+  });
+});
+
+/**
+ * Summary of a matching event for listings (without its matches)
+ * @param {Object} event - Matching event record
+ * @returns {Object} Event summary
+ */
+function toEventSummary(event) {
+  const { matches, summary, profileIds, rankings, ...rest } = event;
+  return {
+    ...rest,
+    totalGroups: profileIds.length,
+    totalMatches: matches.length
+  };
+}
+
+// List matching events (newest first)
+app.get('/api/events', (req, res) => {
+  try {
+    const groupProfileStorage = require('./services/group-profile-storage');
+    const events = groupProfileStorage.listEvents();
+
+    res.json({
+      success: true,
+      totalEvents: events.length,
+      events: events.map(toEventSummary)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching matching events:', error);
+    res.status(500).json({
+      error: 'Failed to fetch matching events',
+      message: error.message
+    });
+  }
+});
+
+// Full matching event: configuration, participating profiles, summary and matches
+app.get('/api/events/:id', (req, res) => {
+  try {
+    const groupProfileStorage = require('./services/group-profile-storage');
+    const event = groupProfileStorage.getEvent(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Matching event not found',
+        eventId: req.params.id
+      });
+    }
+
+    res.json({
+      success: true,
+      event
+    });
+  } catch (error) {
+    console.error('❌ Error fetching matching event:', error);
+    res.status(500).json({
+      error: 'Failed to fetch matching event',
+      message: error.message
+    });
+  }
+});
+
+// Mark an event as published - its matches become the current matches
+app.post('/api/events/:id/publish', (req, res) => {
+  const groupProfileStorage = require('./services/group-profile-storage');
+  const event = groupProfileStorage.getEvent(req.params.id);
+
+  if (!event) {
+    return res.status(404).json({
+      error: 'Matching event not found',
+      eventId: req.params.id
+    });
+  }
+
+  try {
+    const matchingRunner = require('./services/matching-runner');
+    const published = matchingRunner.publishEvent(req.params.id);
+    res.json({
+      success: true,
+      message: `Matching event v${published.version} published`,
+      event: toEventSummary(published)
+    });
+  } catch (error) {
+    res.status(409).json({
+      error: 'Cannot publish matching event',
+      message: error.message
+    });
+  }
+});
+
 // Get groups endpoint - retrieve all group profiles
 app.get('/api/groups', (req, res) => {
   try {
@@ -225,7 +647,10 @@ app.get('/api/groups', (req, res) => {
         groupName: g.groupName,
         id: g.id,
         size: g.answers?.question2 || g.q2 || 'N/A',
-        createdAt: g.createdAt
+        createdAt: g.createdAt,
+        ...(g.updatedAt ? { updatedAt: g.updatedAt } : {}),
+        // Saved under a suffixed name because the name was taken - merge it if it's the same group
+        ...(g.metadata?.possibleDuplicateOf ? { possibleDuplicateOf: g.metadata.possibleDuplicateOf } : {})
       }))
     });
   } catch (error) {
@@ -237,6 +662,234 @@ app.get('/api/groups', (req, res) => {
   }
 });
 
+/**
+ * Group profile for API responses (without its text vector)
+ * @param {Object} profile - Group profile record
+ * @returns {Object} Profile details
+ */
+function toGroupDetails(profile) {
+  const { textVector, ...rest } = profile;
+  return rest;
+}
+
+// Edit a group profile: { groupName, answers } (answers are merged; null removes one)
+app.patch('/api/groups/:id', (req, res) => {
+  try {
+    const groupProfileStorage = require('./services/group-profile-storage');
+    const { updates, error } = groupProfileStorage.normalizeProfileUpdates(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid profile update',
+        message: error
+      });
+    }
+
+    if (!groupProfileStorage.getProfileById(req.params.id)) {
+      return res.status(404).json({
+        error: 'Group not found',
+        groupId: req.params.id
+      });
+    }
+
+    const existing = updates.groupName ? groupProfileStorage.getProfileByGroupName(updates.groupName) : null;
+    if (existing && existing.id !== req.params.id) {
+      return res.status(409).json({
+        error: 'Group name taken',
+        message: `"${updates.groupName}" is already used by group ${existing.id}`,
+        groupId: existing.id
+      });
+    }
+
+    const { profile, matchesUpdated } = groupProfileStorage.updateGroupProfile(req.params.id, updates);
+    res.json({
+      success: true,
+      group: toGroupDetails(profile),
+      matchesUpdated
+    });
+  } catch (error) {
+    console.error('❌ Error updating group:', error);
+    res.status(500).json({
+      error: 'Failed to update group',
+      message: error.message
+    });
+  }
+});
+
+// Delete a group profile (its matches are kept but flagged 'group-deleted')
+app.delete('/api/groups/:id', (req, res) => {
+  try {
+    const groupProfileStorage = require('./services/group-profile-storage');
+    const result = groupProfileStorage.deleteGroupProfile(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Group not found',
+        groupId: req.params.id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Group "${result.profile.groupName}" deleted`,
+      groupId: result.profile.id,
+      matchesFlagged: result.matchesFlagged
+    });
+  } catch (error) {
+    console.error('❌ Error deleting group:', error);
+    res.status(500).json({
+      error: 'Failed to delete group',
+      message: error.message
+    });
+  }
+});
+
+// Fold a duplicate profile (:id) into another one: { "into": "<group id to keep>" }
+app.post('/api/groups/:id/merge', (req, res) => {
+  try {
+    const groupProfileStorage = require('./services/group-profile-storage');
+    const targetId = req.body?.into;
+
+    if (typeof targetId !== 'string' || !targetId) {
+      return res.status(400).json({
+        error: 'Invalid merge',
+        message: 'Body must name the group to keep: { "into": "<group id>" }'
+      });
+    }
+    if (targetId === req.params.id) {
+      return res.status(400).json({
+        error: 'Invalid merge',
+        message: 'Cannot merge a group into itself'
+      });
+    }
+
+    const missing = [req.params.id, targetId].find(id => !groupProfileStorage.getProfileById(id));
+    if (missing) {
+      return res.status(404).json({
+        error: 'Group not found',
+        groupId: missing
+      });
+    }
+
+    const { profile, duplicate, matchesFlagged } = groupProfileStorage.mergeGroupProfiles(req.params.id, targetId);
+    res.json({
+      success: true,
+      message: `Group "${duplicate.groupName}" merged into "${profile.groupName}"`,
+      group: toGroupDetails(profile),
+      mergedGroupId: duplicate.id,
+      matchesFlagged
+    });
+  } catch (error) {
+    console.error('❌ Error merging groups:', error);
+    res.status(500).json({
+      error: 'Failed to merge groups',
+      message: error.message
+    });
+  }
+});
+
+// Export all data linked to a chat or group (privacy request)
+app.get('/api/privacy/export', (req, res) => {
+  try {
+    const privacy = require('./services/privacy');
+    const { subject, error } = privacy.normalizeSubject(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid privacy request',
+        message: error
+      });
+    }
+
+    const bundle = privacy.exportData(subject);
+    if (!bundle) {
+      return res.status(404).json({
+        error: 'No data found',
+        ...subject
+      });
+    }
+
+    res.json(bundle);
+  } catch (error) {
+    console.error('❌ Error exporting data:', error);
+    res.status(500).json({
+      error: 'Failed to export data',
+      message: error.message
+    });
+  }
+});
+
+// Permanently erase all data linked to a chat or group (privacy request)
+app.post('/api/privacy/erase', (req, res) => {
+  try {
+    const privacy = require('./services/privacy');
+    const { subject, error } = privacy.normalizeSubject({ chatId: req.body?.chatId, groupId: req.body?.groupId });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid privacy request',
+        message: error
+      });
+    }
+    if (req.body?.confirm !== true) {
+      return res.status(400).json({
+        error: 'Not confirmed',
+        message: 'Erasure is permanent - send "confirm": true to go ahead'
+      });
+    }
+
+    const entry = privacy.eraseData(subject, { requestedBy: 'admin' });
+    if (!entry) {
+      return res.status(404).json({
+        error: 'No data found',
+        ...subject
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Data erased',
+      erasure: entry
+    });
+  } catch (error) {
+    console.error('❌ Error erasing data:', error);
+    res.status(500).json({
+      error: 'Failed to erase data',
+      message: error.message
+    });
+  }
+});
+
+// Audit log - every storage change, newest first
+// Query: entity, entityId, eventId, action, actor, jobId, since, until, limit
+app.get('/api/audit', (req, res) => {
+  try {
+    const auditLog = require('./services/audit-log');
+    const { filters, error } = auditLog.normalizeAuditFilters(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid audit query',
+        message: error
+      });
+    }
+
+    const { total, entries } = auditLog.listEntries(filters);
+    res.json({
+      success: true,
+      total,
+      returned: entries.length,
+      entries
+    });
+  } catch (error) {
+    console.error('❌ Error reading audit log:', error);
+    res.status(500).json({
+      error: 'Failed to read audit log',
+      message: error.message
+    });
+  }
+});
+
 // Start server
 // Railway sets PORT automatically, default to 3000 for local dev
 const PORT = process.env.PORT || config.server.port || 3000;
@@ -254,9 +907,30 @@ const server = app.listen(PORT, HOST, () => {
   console.log(`  POST /webhook/mandy               - Mandy the Group Matchmaker`);
   console.log(`  GET  /health                      - Health check`);
   console.log(`\nAPI Endpoints:`);
-  console.log(`  GET/POST /api/match               - Run matching algorithm (clickable!)`);
+  console.log(`  GET  /api/match                   - Run matching and wait for result (clickable!)`);
+  console.log(`       ?mode=pairing                - One partner per group (matching event)`);
+  console.log(`       ?mode=pairing&podSize=3      - Pods of 3 (or 4) groups instead of pairs`);
+  console.log(`       ?mode=blocks&blockSize=8     - Merge groups into blocks of up to 8 people`);
+  console.log(`       ?profile=<name>              - Scoring profile (default, blocking, mixer, ...)`);
+  console.log(`  POST /api/match                   - Start matching job in the background`);
+  console.log(`  GET  /api/match/jobs/:id          - Matching job progress and result`);
+  console.log(`  POST /api/match/incremental       - Match one late group without a full rerun`);
+  console.log(`  POST /api/preferences/collect     - Ask groups to rank their top candidates`);
+  console.log(`  GET  /api/preferences/:eventId    - Rankings received so far`);
+  console.log(`  POST /api/preferences/:eventId/match - Stable matching on the rankings`);
   console.log(`  GET  /api/matches                 - Get all saved matches`);
+  console.log(`  GET  /api/matches/:id/explanation - Why a match was made`);
+  console.log(`  GET  /api/events                  - List matching events`);
+  console.log(`  GET  /api/events/:id              - Matching event with its matches`);
+  console.log(`  POST /api/events/:id/publish      - Publish a matching event`);
   console.log(`  GET  /api/groups                  - Get all group profiles`);
+  console.log(`  PATCH /api/groups/:id             - Edit a group's name or answers`);
+  console.log(`  DELETE /api/groups/:id            - Delete a group profile`);
+  console.log(`  POST /api/groups/:id/merge        - Fold a duplicate profile into another`);
+  console.log(`  GET  /api/privacy/export          - Export a chat's or group's data`);
+  console.log(`  POST /api/privacy/erase           - Permanently erase a chat's or group's data`);
+  console.log(`  GET  /api/audit                   - Audit log of storage changes`);
+  console.log(`  GET  /api/scoring-profiles        - List scoring profiles`);
   console.log(`\nConfiguration:`);
   console.log(`  Claude API: ${config.claude.apiKey && !config.claude.apiKey.includes('your_') ? '✅ Configured' : '❌ Not configured'}`);
   console.log(`  A1Zap API: ${config.a1zap.apiKey && !config.a1zap.apiKey.includes('your_') ? '✅ Configured' : '❌ Not configured'}`);
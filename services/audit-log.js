@@ -0,0 +1,685 @@
+/**
+ * Audit Log
+ *
+ * Append-only journal of every storage change, one JSON entry per line in
+ * data/audit-log.jsonl (config.audit). The storage facade wraps its backend with
+ * createJournaledStorage(), so profiles, interview state, matches and matching
+ * events can't change without an entry:
+ * { id, at, actor, jobId?, action, entity, entityId, eventId?, changes, before, after }
+ *
+ * - actor: who caused the change - 'admin' (an /api request, or 'admin:<name>'
+ *   with an X-Audit-Actor header), 'chat:<chatId>' (a message to Mandy) or
+ *   'system'. Set per request with runWith(); matching jobs add their jobId.
+ * - changes: the top-level fields that differ (null when created/deleted).
+ *   before/after hold only those fields' old and new values; a created record
+ *   is kept whole in `after`, a deleted one in `before`. A field missing from
+ *   `after` was removed.
+ * - Profiles' text vectors are derived from the answers, so the journal keeps
+ *   a marker instead and replay recomputes them.
+ * - Interview state changes with every message, so only its start and end are
+ *   logged (interviewState.created/deleted, without the answers). It isn't
+ *   replayed: it only holds the progress of interviews still running.
+ *
+ * The first entry is a snapshot of whatever was stored when the journal
+ * started, so replaying the journal (replay(), npm run audit:replay) rebuilds
+ * the current profiles, matches and matching events. The only rewrite ever made
+ * is for a privacy erasure, which scrubs the erased group from past entries
+ * (see eraseGroup()).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const { corruptFileError, writeFileAtomic } = require('./json-file');
+const { getMatchKey, redactGroup, stripMatchText } = require('./match-records');
+const textVectorizer = require('./text-vectorizer');
+
+const JOURNAL_FILE = path.resolve(__dirname, '..', config.audit?.path || 'data/audit-log.jsonl');
+
+const ENTITIES = ['storage', 'profile', 'interviewState', 'match', 'event', 'privacy'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+// Journaled in place of a profile's text vector (recomputed from the answers on replay)
+const DERIVED_VECTOR = 'derived';
+
+// Who is making the current changes (follows async calls made inside runWith())
+const context = new AsyncLocalStorage();
+
+// Entries parsed so far and the byte length of the journal they came from, so a
+// read only parses what was appended since the last one
+let parsed = { size: 0, lines: 0, entries: [] };
+
+/**
+ * Run a function with an audit context (actor, jobId)
+ * Storage changes made inside it - including in async calls it starts - are
+ * journaled with this context. Nested contexts add to the outer one.
+ * @param {Object} values - { actor, jobId }
+ * @param {Function} fn - Function to run
+ * @returns {*} fn's return value
+ */
+function runWith(values, fn) {
+  return context.run({ ...(context.getStore() || {}), ...values }, fn);
+}
+
+/**
+ * Get the current actor
+ * @returns {string} Actor ('system' outside any runWith())
+ */
+function getActor() {
+  return context.getStore()?.actor || 'system';
+}
+
+/**
+ * Append an entry to the journal
+ * @param {Object} entry - { action, entity, entityId, eventId, before, after, ... }
+ * @returns {Object} Stored entry (with id, at, actor, jobId and changes filled in)
+ */
+function record(entry) {
+  const store = context.getStore() || {};
+  const stored = {
+    id: `audit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    at: new Date().toISOString(),
+    actor: store.actor || 'system',
+    ...(store.jobId ? { jobId: store.jobId } : {}),
+    ...entry,
+    changes: entry.changes || listChanges(entry.before, entry.after)
+  };
+
+  if (!fs.existsSync(path.dirname(JOURNAL_FILE))) {
+    fs.mkdirSync(path.dirname(JOURNAL_FILE), { recursive: true });
+  }
+  fs.appendFileSync(JOURNAL_FILE, JSON.stringify(stored) + '\n');
+  return stored;
+}
+
+/**
+ * List the top-level fields that differ between two versions of a record
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Record after the change
+ * @returns {Array|null} Field names, or null if the record was created or deleted
+ */
+function listChanges(before, after) {
+  if (!before || !after) {
+    return null;
+  }
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields].filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+/**
+ * Copy the given fields of a record (fields it doesn't have are left out)
+ * @param {Object} record - Record
+ * @param {Array<string>} fields - Field names
+ * @returns {Object} Record with just those fields
+ */
+function pickFields(record, fields) {
+  return Object.fromEntries(fields.filter(field => field in record).map(field => [field, record[field]]));
+}
+
+/**
+ * Copy a record the way the journal stores it (text vector replaced by a marker)
+ * @param {string} entity - Entity type
+ * @param {Object|null} record - Record or changed fields
+ * @returns {Object|null} Record to journal
+ */
+function toJournalRecord(entity, record) {
+  if (entity === 'profile' && record && record.textVector !== undefined) {
+    return { ...record, textVector: DERIVED_VECTOR };
+  }
+  return record;
+}
+
+/**
+ * Journal a change to a stored record, keeping only the fields that changed
+ * An update that changes nothing isn't journaled.
+ * @param {Object} entry - { action, entity, entityId, eventId, before, after } with whole records
+ * @returns {Object|null} Stored entry, or null if nothing changed
+ */
+function recordChange(entry) {
+  const { entity, before, after } = entry;
+  const changes = listChanges(before, after);
+  if (changes && changes.length === 0) {
+    return null;
+  }
+
+  return record({
+    ...entry,
+    changes,
+    before: toJournalRecord(entity, changes ? pickFields(before, changes) : before),
+    after: toJournalRecord(entity, changes ? pickFields(after, changes) : after)
+  });
+}
+
+/**
+ * Read every journal entry, oldest first
+ * Entries read before are kept in memory; only lines appended since are parsed.
+ * A half-written last line (the process died mid-append) is skipped.
+ * @returns {Array} Entries
+ * @throws {Error} ECORRUPT if any other line doesn't parse
+ */
+function readEntries() {
+  const size = fs.existsSync(JOURNAL_FILE) ? fs.statSync(JOURNAL_FILE).size : 0;
+  if (size < parsed.size) {
+    // Rewritten or replaced since the last read
+    parsed = { size: 0, lines: 0, entries: [] };
+  }
+
+  if (size > parsed.size) {
+    const appended = Buffer.alloc(size - parsed.size);
+    const fd = fs.openSync(JOURNAL_FILE, 'r');
+    try {
+      fs.readSync(fd, appended, 0, appended.length, parsed.size);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // Only whole lines are taken; an unfinished last line is read again once more follows it
+    let complete = appended.lastIndexOf('\n') + 1;
+    const lines = appended.toString('utf8', 0, complete).split('\n').slice(0, -1);
+    const entries = [...parsed.entries];
+    lines.forEach((line, i) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        if (i < lines.length - 1 || complete < appended.length) {
+          throw corruptFileError(JOURNAL_FILE, `line ${parsed.lines + i + 1}: ${error.message}`);
+        }
+        complete -= Buffer.byteLength(line) + 1;
+        lines.pop();
+      }
+    });
+    if (complete < appended.length) {
+      console.warn(`⚠️  Skipping half-written last line of ${JOURNAL_FILE}`);
+    }
+    parsed = { size: parsed.size + complete, lines: parsed.lines + lines.length, entries };
+  }
+  return [...parsed.entries];
+}
+
+/**
+ * Validate audit query filters
+ * @param {Object} raw - { entity, entityId, eventId, action, actor, jobId, since, until, limit } (strings, e.g. from a query string)
+ * @returns {Object} { filters, error } - error is a message string, or null if valid
+ */
+function normalizeAuditFilters(raw = {}) {
+  const filters = {};
+
+  for (const field of ['entityId', 'eventId', 'action', 'actor', 'jobId']) {
+    if (raw[field] !== undefined) {
+      if (typeof raw[field] !== 'string' || !raw[field]) {
+        return { filters: null, error: `${field} must be a non-empty string` };
+      }
+      filters[field] = raw[field];
+    }
+  }
+
+  if (raw.entity !== undefined) {
+    if (!ENTITIES.includes(raw.entity)) {
+      return { filters: null, error: `entity must be one of: ${ENTITIES.join(', ')}` };
+    }
+    filters.entity = raw.entity;
+  }
+
+  for (const field of ['since', 'until']) {
+    if (raw[field] !== undefined) {
+      const time = Date.parse(raw[field]);
+      if (Number.isNaN(time)) {
+        return { filters: null, error: `${field} must be a date or timestamp (e.g. 2025-12-11T02:00:00Z)` };
+      }
+      filters[field] = time;
+    }
+  }
+
+  const limit = Number(raw.limit ?? DEFAULT_LIMIT);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { filters: null, error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+  }
+  filters.limit = limit;
+
+  return { filters, error: null };
+}
+
+/**
+ * Find journal entries, newest first
+ * `actor` matches exactly or as a prefix ('chat' finds every 'chat:<chatId>').
+ * @param {Object} filters - Normalized filters (see normalizeAuditFilters)
+ * @returns {Object} { total (matching entries), entries (up to limit) }
+ */
+function listEntries(filters = {}) {
+  const matching = readEntries().filter(entry =>
+    (!filters.entity || entry.entity === filters.entity) &&
+    (!filters.entityId || entry.entityId === filters.entityId) &&
+    (!filters.eventId || entry.eventId === filters.eventId) &&
+    (!filters.action || entry.action === filters.action) &&
+    (!filters.jobId || entry.jobId === filters.jobId) &&
+    (!filters.actor || entry.actor === filters.actor || entry.actor.startsWith(`${filters.actor}:`)) &&
+    (!filters.since || Date.parse(entry.at) >= filters.since) &&
+    (!filters.until || Date.parse(entry.at) <= filters.until)
+  );
+
+  return {
+    total: matching.length,
+    entries: matching.reverse().slice(0, filters.limit || DEFAULT_LIMIT)
+  };
+}
+
+/**
+ * Copy an event record without its matches (they're journaled on their own)
+ * @param {Object|null} event - Event
+ * @returns {Object|null} Event without `matches`
+ */
+function withoutMatches(event) {
+  if (!event) {
+    return null;
+  }
+  const { matches, ...record } = event;
+  return record;
+}
+
+/**
+ * Read everything a backend stores (the journal's starting snapshot)
+ * @param {Object} backend - Storage backend
+ * @returns {Object} { profiles, interviewStates, matches (legacy), events (with matches) }
+ */
+function readState(backend) {
+  return {
+    profiles: backend.listProfiles(),
+    interviewStates: backend.listInterviewStates(),
+    matches: backend.listMatches(null),
+    events: backend.listEvents()
+  };
+}
+
+/**
+ * Start the journal with a snapshot of the current data, if it hasn't started yet
+ * @param {Object} backend - Storage backend (unwrapped)
+ */
+function ensureSnapshot(backend) {
+  if (fs.existsSync(JOURNAL_FILE) && fs.statSync(JOURNAL_FILE).size > 0) {
+    return;
+  }
+
+  // Interview state isn't replayed (see above), so it isn't part of the snapshot
+  const { interviewStates, ...state } = readState(backend);
+  state.profiles = state.profiles.map(profile => toJournalRecord('profile', profile));
+  record({ action: 'storage.snapshot', entity: 'storage', entityId: backend.name, before: null, after: state });
+  console.log(`📒 Started audit log ${JOURNAL_FILE} (snapshot of ${state.profiles.length} profiles, ${state.events.length} matching events)`);
+}
+
+/**
+ * Journal a change the backend has already made
+ * The change can't be taken back at this point, so a failed append (e.g. a full
+ * disk) is logged instead of failing the caller. The journal then misses that
+ * change: npm run audit:replay reports the difference, and deleting the log
+ * starts a new one from a fresh snapshot.
+ * @param {Function} write - record or recordChange
+ * @param {Object} entry - Entry to write
+ * @returns {Object|null} Stored entry, or null if nothing was written
+ */
+function journalChange(write, entry) {
+  try {
+    return write(entry);
+  } catch (error) {
+    console.error(`❌ Audit log: failed to journal ${entry.action} ${entry.entityId} (the change was made):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Wrap a storage backend so every change is journaled
+ * Reads pass straight through. Each change is recorded after the backend made
+ * it, with the fields that changed (see recordChange()); a failed append is
+ * logged without failing the change (see journalChange()).
+ * @param {Object} backend - Storage backend (see group-profile-storage.js)
+ * @returns {Object} Backend with the same interface
+ */
+function createJournaledStorage(backend) {
+  return {
+    ...backend,
+
+    insertProfile(profile) {
+      backend.insertProfile(profile);
+      journalChange(recordChange, { action: 'profile.created', entity: 'profile', entityId: profile.id, before: null, after: profile });
+    },
+
+    updateProfile(profile) {
+      const before = backend.getProfileById(profile.id);
+      const found = backend.updateProfile(profile);
+      if (found) {
+        journalChange(recordChange, { action: 'profile.updated', entity: 'profile', entityId: profile.id, before, after: profile });
+      }
+      return found;
+    },
+
+    deleteProfile(groupId) {
+      const before = backend.getProfileById(groupId);
+      const found = backend.deleteProfile(groupId);
+      if (found) {
+        journalChange(recordChange, { action: 'profile.deleted', entity: 'profile', entityId: groupId, before, after: null });
+      }
+      return found;
+    },
+
+    // Only the start and end of an interview are journaled, not each answer
+    setInterviewState(chatId, interviewState) {
+      const started = !backend.getInterviewState(chatId);
+      backend.setInterviewState(chatId, interviewState);
+      if (started) {
+        journalChange(record, { action: 'interviewState.created', entity: 'interviewState', entityId: chatId, before: null, after: null });
+      }
+    },
+
+    deleteInterviewState(chatId) {
+      const found = backend.getInterviewState(chatId);
+      backend.deleteInterviewState(chatId);
+      if (found) {
+        journalChange(record, { action: 'interviewState.deleted', entity: 'interviewState', entityId: chatId, before: null, after: null });
+      }
+    },
+
+    putMatch(eventId, match) {
+      // A match for the same groups is replaced (a rerun of the same event)
+      const key = getMatchKey(match);
+      const before = backend.listMatches(eventId).find(m => getMatchKey(m) === key) || null;
+      backend.putMatch(eventId, match);
+      journalChange(recordChange, {
+        action: before ? 'match.replaced' : 'match.created',
+        entity: 'match',
+        entityId: match.id,
+        eventId,
+        before,
+        after: match
+      });
+    },
+
+    updateMatchesForGroup(group, updateMatch) {
+      const updated = [];
+      const count = backend.updateMatchesForGroup(group, match => {
+        const after = updateMatch(match);
+        updated.push({ before: match, after });
+        return after;
+      });
+
+      for (const { before, after } of updated) {
+        journalChange(recordChange, {
+          action: 'match.updated',
+          entity: 'match',
+          entityId: after.id,
+          eventId: backend.getMatch(after.id)?.eventId || null,
+          before,
+          after
+        });
+      }
+      return count;
+    },
+
+    insertEvent(event) {
+      backend.insertEvent(event);
+      journalChange(recordChange, { action: 'event.created', entity: 'event', entityId: event.id, before: null, after: withoutMatches(event) });
+    },
+
+    updateEvent(eventId, updates) {
+      const before = withoutMatches(backend.getEvent(eventId));
+      const updated = backend.updateEvent(eventId, updates);
+      if (updated) {
+        journalChange(recordChange, {
+          action: 'event.updated',
+          entity: 'event',
+          entityId: eventId,
+          before,
+          after: withoutMatches(updated)
+        });
+      }
+      return updated;
+    }
+  };
+}
+
+/**
+ * Apply a journaled change to a record
+ * @param {Object} record - Record before the change
+ * @param {Object} entry - Journal entry ({ changes, after } with the changed fields)
+ * @returns {Object} New record
+ */
+function applyChange(record, entry) {
+  const updated = { ...record };
+  for (const field of entry.changes) {
+    if (entry.after && field in entry.after) {
+      updated[field] = entry.after[field];
+    } else {
+      delete updated[field];
+    }
+  }
+  return updated;
+}
+
+/**
+ * Restore a journaled profile's text vector
+ * @param {Object} profile - Profile as replayed
+ * @returns {Object} Profile with its text vector recomputed
+ */
+function restoreProfile(profile) {
+  if (profile.textVector !== DERIVED_VECTOR) {
+    return profile;
+  }
+  return { ...profile, textVector: textVectorizer.vectorizeProfile(profile) };
+}
+
+/**
+ * Replay a match change in a list of matches
+ * A created match is added. A replaced or updated one is found by the ID it had
+ * before the change (a replacement changes the ID) and has the change applied.
+ * @param {Array} matches - Match list (modified in place)
+ * @param {Object} entry - match.* journal entry
+ */
+function putReplayedMatch(matches, entry) {
+  const previousId = entry.before?.id || entry.entityId;
+  const index = entry.changes ? matches.findIndex(m => m.id === previousId) : -1;
+  if (index >= 0) {
+    matches[index] = applyChange(matches[index], entry);
+  } else {
+    matches.push(entry.after);
+  }
+}
+
+/**
+ * Rebuild the stored data by replaying journal entries
+ * Interview state isn't journaled in full, so the rebuilt data has none.
+ * @param {Array} entries - Journal entries, oldest first (default: the whole journal)
+ * @returns {Object} Read-only source with listProfiles(), listInterviewStates(),
+ *                   listMatches(eventId) and listEvents() (what sqlite importFrom() takes)
+ * @throws {Error} If the journal doesn't start with a snapshot
+ */
+function replay(entries = readEntries()) {
+  if (entries.length > 0 && entries[0].action !== 'storage.snapshot') {
+    throw new Error('Audit log does not start with a storage snapshot - it cannot be replayed');
+  }
+
+  const profiles = new Map();
+  const events = new Map();
+  // Event ID ('' for legacy matches) -> matches
+  const matches = new Map([['', []]]);
+
+  for (const entry of entries) {
+    const scope = entry.eventId || '';
+    switch (entry.action) {
+      case 'storage.snapshot':
+        entry.after.profiles.forEach(profile => profiles.set(profile.id, restoreProfile(profile)));
+        matches.set('', [...entry.after.matches]);
+        for (const event of entry.after.events) {
+          events.set(event.id, withoutMatches(event));
+          matches.set(event.id, [...(event.matches || [])]);
+        }
+        break;
+      case 'profile.created':
+        profiles.set(entry.entityId, restoreProfile(entry.after));
+        break;
+      case 'profile.updated':
+        profiles.set(entry.entityId, restoreProfile(applyChange(profiles.get(entry.entityId), entry)));
+        break;
+      case 'profile.deleted':
+        profiles.delete(entry.entityId);
+        break;
+      case 'match.created':
+      case 'match.replaced':
+      case 'match.updated':
+        if (!matches.has(scope)) {
+          matches.set(scope, []);
+        }
+        putReplayedMatch(matches.get(scope), entry);
+        break;
+      case 'event.created':
+        events.set(entry.entityId, entry.after);
+        matches.set(entry.entityId, []);
+        break;
+      case 'event.updated':
+        events.set(entry.entityId, applyChange(events.get(entry.entityId), entry));
+        break;
+      default:
+        // Entries that don't change replayed data (interview state, privacy.erased)
+        break;
+    }
+  }
+
+  return {
+    listProfiles: () => [...profiles.values()],
+    listInterviewStates: () => ({}),
+    listMatches: (eventId = null) => matches.get(eventId || '') || [],
+    listEvents: () => [...events.values()].map(event => ({ ...event, matches: matches.get(event.id) || [] }))
+  };
+}
+
+/**
+ * Find the matches an erased group was part of, by match ID
+ * A change to a match only journals the changed fields, which may not name the
+ * group, so its matches are collected from the entries that hold whole records.
+ * @param {Array} entries - Journal entries, oldest first
+ * @param {Array} identities - [{ id, groupName, chatId }] the group was stored under
+ * @returns {Set<string>} Match IDs
+ */
+function findGroupMatchIds(entries, identities) {
+  const ids = new Set();
+  const mentionsGroup = match => identities.some(identity => identity.id && JSON.stringify(match).includes(identity.id));
+
+  for (const entry of entries) {
+    if (entry.entity === 'storage') {
+      [...entry.after.matches, ...entry.after.events.flatMap(event => event.matches || [])]
+        .filter(mentionsGroup)
+        .forEach(match => ids.add(match.id));
+    } else if (entry.entity === 'match' && (mentionsGroup(entry) || ids.has(entry.before?.id))) {
+      ids.add(entry.entityId);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Scrub an erased group from one journal entry
+ * Mentions of the group become the placeholder. Records of the group itself
+ * (its profile and interview states) are reduced to the placeholder, and match
+ * and event records lose the free text written about or by it.
+ * @param {Object} entry - Journal entry
+ * @param {Array} identities - [{ id, groupName, chatId }] the group was stored under
+ * @param {Object} placeholder - { id, groupName }
+ * @param {Set<string>} matchIds - IDs of the group's matches (see findGroupMatchIds)
+ * @returns {Object} Scrubbed entry
+ */
+function eraseFromEntry(entry, identities, placeholder, matchIds) {
+  const redacted = identities.reduce((record, identity) => redactGroup(record, identity, placeholder), entry);
+  const groupMatch = redacted.entity === 'match' && matchIds.has(redacted.entityId);
+  if (!groupMatch && JSON.stringify(redacted) === JSON.stringify(entry)) {
+    return entry;
+  }
+
+  const scrubProfile = profile => profile?.id === placeholder.id ? { id: placeholder.id, groupName: placeholder.groupName } : profile;
+  const scrubEvent = event => {
+    if (event?.rankings?.[placeholder.id]) {
+      delete event.rankings[placeholder.id].raw;
+    }
+    return event;
+  };
+  const mentionsGroup = record => record && JSON.stringify(record).includes(placeholder.id);
+  const scrubMatch = match => mentionsGroup(match) ? stripMatchText(match) : match;
+  const scrubStates = states => {
+    for (const chatId of Object.keys(states)) {
+      if (chatId === placeholder.id) {
+        states[chatId] = {};
+      }
+    }
+    return states;
+  };
+
+  for (const side of ['before', 'after']) {
+    const value = redacted[side];
+    if (!value) {
+      continue;
+    }
+    if (redacted.entity === 'profile' && redacted.entityId === placeholder.id) {
+      // Changed fields of the group's own profile say nothing once it's gone
+      redacted[side] = redacted.changes ? {} : scrubProfile(value);
+    } else if (redacted.entity === 'interviewState' && redacted.entityId === placeholder.id) {
+      redacted[side] = {};
+    } else if (redacted.entity === 'match') {
+      redacted[side] = groupMatch ? stripMatchText(value) : scrubMatch(value);
+    } else if (redacted.entity === 'event') {
+      redacted[side] = scrubEvent(value);
+    } else if (redacted.entity === 'storage') {
+      value.profiles = value.profiles.map(scrubProfile);
+      // Snapshots taken before interview state was left out still hold it
+      if (value.interviewStates) {
+        value.interviewStates = scrubStates(value.interviewStates);
+      }
+      value.matches = value.matches.map(scrubMatch);
+      value.events = value.events.map(event => ({ ...scrubEvent(event), matches: (event.matches || []).map(scrubMatch) }));
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Scrub an erased group from every journal entry (privacy erasure)
+ * The one exception to append-only: the journal would otherwise keep the data
+ * the erasure removed. Entries stay in place, so the journal still replays to
+ * the current state.
+ * @param {Array} identities - [{ id, groupName, chatId }] the group was stored under
+ *                             (just { chatId } for a chat that never finished its interview)
+ * @param {Object} placeholder - { id, groupName } it was replaced with in storage
+ * @returns {number} Number of entries scrubbed
+ */
+function eraseGroup(identities, placeholder) {
+  const entries = readEntries();
+  const matchIds = findGroupMatchIds(entries, identities);
+  let count = 0;
+
+  const scrubbed = entries.map(entry => {
+    const result = eraseFromEntry(entry, identities, placeholder, matchIds);
+    if (result !== entry) {
+      count++;
+    }
+    return result;
+  });
+
+  if (count > 0) {
+    writeFileAtomic(JOURNAL_FILE, scrubbed.map(entry => JSON.stringify(entry) + '\n').join(''));
+    parsed = { size: 0, lines: 0, entries: [] };
+  }
+  return count;
+}
+
+module.exports = {
+  runWith,
+  getActor,
+  record,
+  readEntries,
+  normalizeAuditFilters,
+  listEntries,
+  readState,
+  ensureSnapshot,
+  createJournaledStorage,
+  replay,
+  eraseGroup
+};
@@ -12,9 +12,9 @@
  *    - Group Size Similarity: Groups with similar sizes get higher scores
  *    - Activity Level Match: Based on "ideal day" responses
  *    - Energy Level Match: Based on emoji and overall vibe
+ *    - Semantic Similarity: Cosine similarity of local text vectors of all answers
  * 
  * 2. QUALITATIVE ANALYSIS (AI-powered):
- *    - Semantic similarity of answers using embeddings
  *    - Cultural fit (music taste, fiction references)
  *    - Shared interests (Roman Empire, side quests)
  *    - Complementary personalities
@@ -24,14 +24,53 @@
  *    - Final score: 0-100 (higher = more compatible)
  * 
  * How it works:
- * - Each group profile is analyzed and given a "match vector"
- * - Groups are compared pairwise using cosine similarity
+ * - Each group profile gets a text vector (hashed n-grams, see text-vectorizer.js)
+ * - Groups are compared pairwise (vectors via cosine similarity, plus the factors above)
  * - Top matches are ranked by compatibility score
  * - Can be run on-demand or scheduled (e.g., weekly matching events)
  */
 
 const claudeService = require('./claude-service');
+const config = require('../config');
 const groupProfileStorage = require('./group-profile-storage');
+const scoreCache = require('./score-cache');
+const textVectorizer = require('./text-vectorizer');
+
+// Bump whenever the qualitative scoring prompt changes - invalidates cached Claude scores
+// (weights live in scoring profiles and are applied on top of cached scores)
+const SCORING_VERSION = '4';
+
+// Sub-scores the Claude judge returns for every pair (each 0-100 with a one-sentence rationale)
+const QUALITATIVE_DIMENSIONS = ['sizeFit', 'sharedInterests', 'culturalFit', 'complementarity'];
+
+// Cosine similarity at which answers count as a full semantic match
+// (hashed n-gram vectors of different people's answers rarely go above ~0.5)
+const SEMANTIC_FULL_MATCH = 0.5;
+
+// Ways to combine several judge samples for one pair
+const SAMPLE_AGGREGATIONS = ['median', 'trimmed'];
+
+// Spread (standard deviation, 0-1 scale) of a pair's judge samples at which confidence reaches 0
+const MAX_CONFIDENT_SPREAD = 0.25;
+
+// Music genres by keyword (used for music taste similarity)
+const MUSIC_GENRES = {
+  rock: ['rock', 'indie rock', 'alternative', 'punk'],
+  pop: ['pop', 'mainstream', 'top 40'],
+  hiphop: ['rap', 'hip hop', 'hiphop', 'trap'],
+  electronic: ['house', 'edm', 'electronic', 'techno', 'dubstep'],
+  indie: ['indie', 'alternative', 'indie rock']
+};
+
+// Ideal-day activity categories by keyword (used for activity similarity)
+const ACTIVITY_CATEGORIES = {
+  outdoor: ['beach', 'hiking', 'mountain', 'park', 'outdoor', 'camping', 'nature'],
+  food: ['eating', 'restaurant', 'food', 'cooking', 'dining'],
+  social: ['friends', 'hanging', 'party', 'social', 'together'],
+  creative: ['art', 'music', 'creative', 'projects', 'making'],
+  chill: ['chill', 'relax', 'netflix', 'watching', 'lounging'],
+  adventure: ['exploring', 'travel', 'adventure', 'road trip', 'trip']
+};
 
 /**
  * Helper to get answer value (handles both old and new format)
@@ -62,52 +101,229 @@ function getAnswer(group, questionNumber) {
   return null;
 }
 
+/**
+ * Check whether a Claude error is worth retrying
+ * Rate limits, overload, server errors, timeouts and dropped connections are transient.
+ * @param {Error} error - Error from claudeService
+ * @returns {boolean} True if the call should be retried
+ */
+function isTransientError(error) {
+  const status = error.status || error.response?.status;
+  if (status === 429 || (status >= 500 && status < 600)) {
+    return true;
+  }
+  return /timed out|timeout|overloaded|rate limit|ECONNRESET|ETIMEDOUT|socket hang up|connection error/i
+    .test(error.message || '');
+}
+
+/**
+ * Call Claude with a per-call timeout, retrying transient errors with exponential backoff
+ * Callers that also retry malformed responses pass the same `budget` to every call, so
+ * both kinds of retry share config.matching.maxRetries: one request makes at most
+ * maxRetries + 1 Claude calls, whatever goes wrong.
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - claudeService.generateText options
+ * @param {Object} budget - { attempts } Claude calls already made for this request (default: none)
+ * @returns {Promise<string>} Generated text
+ */
+async function generateTextWithRetry(prompt, options = {}, budget = { attempts: 0 }) {
+  const { maxRetries, retryDelayMs, callTimeoutMs } = config.matching;
+
+  for (;;) {
+    const attempt = budget.attempts++;
+    try {
+      return await claudeService.generateText(prompt, {
+        timeout: callTimeoutMs,
+        ...options
+      });
+    } catch (error) {
+      if (attempt >= maxRetries || !isTransientError(error)) {
+        throw error;
+      }
+      const delay = retryDelayMs * Math.pow(2, attempt) * (0.5 + Math.random());
+      console.warn(`⚠️  Transient Claude error (attempt ${attempt + 1}/${maxRetries + 1}), retrying in ${Math.round(delay)}ms: ${error.message}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Run an async worker over items with at most `limit` in flight at once
+ * Results keep the input order. Workers should handle their own errors.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Max concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = [];
+  for (let w = 0; w < Math.min(Math.max(1, limit), items.length); w++) {
+    runners.push((async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    })());
+  }
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Resolve a named scoring profile from config.scoring.profiles
+ * Fields a profile leaves out fall back to the `default` profile.
+ * @param {string} name - Profile name (default: config.scoring.defaultProfile)
+ * @returns {Object|null} { name, weights, sizeDecay, blend } or null if unknown
+ */
+function getScoringProfile(name = config.scoring.defaultProfile) {
+  const profiles = config.scoring.profiles;
+  const profile = Object.prototype.hasOwnProperty.call(profiles, name) ? profiles[name] : null;
+
+  if (!profile) {
+    return null;
+  }
+
+  const base = profiles.default || {};
+  return {
+    name,
+    weights: { ...base.weights, ...profile.weights },
+    sizeDecay: { ...base.sizeDecay, ...profile.sizeDecay },
+    blend: { ...base.blend, ...profile.blend }
+  };
+}
+
+/**
+ * List available scoring profiles
+ * @returns {Array} [{ name, description }]
+ */
+function listScoringProfiles() {
+  return Object.entries(config.scoring.profiles).map(([name, profile]) => ({
+    name,
+    description: profile.description || ''
+  }));
+}
+
+/**
+ * Get a group's size as a number
+ * @param {Object} group - Group profile
+ * @returns {number} Size, or 0 if unknown
+ */
+function getGroupSize(group) {
+  const sizeRaw = getAnswer(group, 2);
+  if (!sizeRaw) return 0;
+  // Extract number from string like "3 people" or just use number
+  return parseInt(sizeRaw.toString().match(/\d+/)?.[0] || sizeRaw) || 0;
+}
+
+/**
+ * Size similarity of two groups along a scoring profile's decay curve
+ * @param {Object} group1 - First group profile
+ * @param {Object} group2 - Second group profile
+ * @param {Object} sizeDecay - { byDifference, stepPerPerson, floor }
+ * @returns {number|null} Score from 0-1, or null if either size is unknown
+ */
+function calculateSizeScore(group1, group2, sizeDecay) {
+  const size1 = getGroupSize(group1);
+  const size2 = getGroupSize(group2);
+
+  if (size1 <= 0 || size2 <= 0) {
+    return null;
+  }
+
+  const { byDifference, stepPerPerson, floor } = sizeDecay;
+  const sizeDiff = Math.abs(size1 - size2);
+
+  if (sizeDiff < byDifference.length) {
+    return byDifference[sizeDiff];
+  }
+
+  // Larger differences keep losing stepPerPerson per extra person
+  const lastDiff = byDifference.length - 1;
+  return Math.max(floor, byDifference[lastDiff] - (sizeDiff - lastDiff) * stepPerPerson);
+}
+
+/**
+ * Get a profile's text vector, computing it if missing or outdated
+ * @param {Object} group - Group profile
+ * @returns {Object} Sparse text vector
+ */
+function getProfileVector(group) {
+  if (textVectorizer.isCurrentVector(group.textVector)) {
+    return group.textVector;
+  }
+  return textVectorizer.vectorizeProfile(group);
+}
+
+/**
+ * Semantic similarity of two groups' free-text answers (local, no LLM)
+ * @param {Object} group1 - First group profile
+ * @param {Object} group2 - Second group profile
+ * @returns {number|null} Score from 0-1, or null if either group has no free text
+ */
+function calculateSemanticSimilarity(group1, group2) {
+  const cosine = textVectorizer.cosineSimilarity(getProfileVector(group1), getProfileVector(group2));
+  if (cosine === null) {
+    return null;
+  }
+  return Math.min(1, Math.max(0, cosine) / SEMANTIC_FULL_MATCH);
+}
+
+/**
+ * Detect the music genre of a music-taste answer (basic keyword matching)
+ * When several genres match, the last one in MUSIC_GENRES wins.
+ * @param {string} text - Music taste answer
+ * @returns {string|null} Genre key or null
+ */
+function detectMusicGenre(text) {
+  const lower = (text || '').toLowerCase();
+  let genre = null;
+  for (const [name, terms] of Object.entries(MUSIC_GENRES)) {
+    if (terms.some(term => lower.includes(term))) genre = name;
+  }
+  return genre;
+}
+
+/**
+ * Detect activity categories mentioned in an ideal-day answer
+ * @param {string} text - Ideal day answer
+ * @returns {Array<string>} Category keys
+ */
+function detectActivityCategories(text) {
+  const lower = (text || '').toLowerCase();
+  return Object.entries(ACTIVITY_CATEGORIES)
+    .filter(([, keywords]) => keywords.some(kw => lower.includes(kw)))
+    .map(([category]) => category);
+}
+
 /**
  * Calculate quantitative compatibility score between two groups
  * Prioritizes similar group sizes and shared interests
+ * Factor weights and the size-decay curve come from the scoring profile.
  * @param {Object} group1 - First group profile
  * @param {Object} group2 - Second group profile
+ * @param {Object} scoringProfile - Resolved scoring profile (see getScoringProfile)
  * @returns {number} Score from 0-1
  */
-function calculateQuantitativeScore(group1, group2) {
+function calculateQuantitativeScore(group1, group2, scoringProfile = getScoringProfile()) {
+  const { weights } = scoringProfile;
   let score = 0;
   let totalWeight = 0;
 
-  // Factor 1: Group Size Similarity (HIGH PRIORITY - 40% weight)
+  // Factor 1: Group Size Similarity (HIGH PRIORITY in the default profile - 0.4 weight)
   // Groups with similar sizes should match better
-  const size1Raw = getAnswer(group1, 2);
-  const size2Raw = getAnswer(group2, 2);
+  // Default curve: exact match = 1.0, difference of 1 = 0.9, difference of 2 = 0.7, etc.
+  const sizeScore = calculateSizeScore(group1, group2, scoringProfile.sizeDecay);
   
-  if (size1Raw && size2Raw) {
-    // Extract number from string like "3 people" or just use number
-    const size1 = parseInt(size1Raw.toString().match(/\d+/)?.[0] || size1Raw) || 0;
-    const size2 = parseInt(size2Raw.toString().match(/\d+/)?.[0] || size2Raw) || 0;
-    
-    if (size1 > 0 && size2 > 0) {
-      // Improved size similarity: exponential decay for larger differences
-      // Exact match = 1.0, difference of 1 = 0.9, difference of 2 = 0.7, etc.
-      const sizeDiff = Math.abs(size1 - size2);
-      let sizeScore;
-      
-      if (sizeDiff === 0) {
-        sizeScore = 1.0; // Perfect match
-      } else if (sizeDiff === 1) {
-        sizeScore = 0.9; // Very close (e.g., 3 vs 4)
-      } else if (sizeDiff === 2) {
-        sizeScore = 0.7; // Close (e.g., 3 vs 5)
-      } else if (sizeDiff <= 3) {
-        sizeScore = 0.5; // Moderate difference
-      } else {
-        // Larger differences get penalized more
-        sizeScore = Math.max(0.1, 0.5 - (sizeDiff - 3) * 0.1);
-      }
-      
-      score += sizeScore * 0.4; // 40% weight
-      totalWeight += 0.4;
-    }
+  if (sizeScore !== null) {
+    score += sizeScore * weights.size;
+    totalWeight += weights.size;
   }
 
-  // Factor 2: Music Taste Similarity (25% weight)
+  // Factor 2: Music Taste Similarity (default 0.25 weight)
   // Groups with similar music taste often have compatible vibes
   const music1 = (getAnswer(group1, 5) || '').toLowerCase().trim();
   const music2 = (getAnswer(group2, 5) || '').toLowerCase().trim();
@@ -120,21 +336,8 @@ function calculateQuantitativeScore(group1, group2) {
       musicScore = 1.0;
     } else {
       // Check for similar genres (basic keyword matching)
-      const keywords = {
-        rock: ['rock', 'indie rock', 'alternative', 'punk'],
-        pop: ['pop', 'mainstream', 'top 40'],
-        hiphop: ['rap', 'hip hop', 'hiphop', 'trap'],
-        electronic: ['house', 'edm', 'electronic', 'techno', 'dubstep'],
-        indie: ['indie', 'alternative', 'indie rock']
-      };
-      
-      let genre1 = null;
-      let genre2 = null;
-      
-      for (const [genre, terms] of Object.entries(keywords)) {
-        if (terms.some(term => music1.includes(term))) genre1 = genre;
-        if (terms.some(term => music2.includes(term))) genre2 = genre;
-      }
+      const genre1 = detectMusicGenre(music1);
+      const genre2 = detectMusicGenre(music2);
       
       if (genre1 && genre2) {
         musicScore = genre1 === genre2 ? 0.8 : 0.3;
@@ -147,11 +350,11 @@ function calculateQuantitativeScore(group1, group2) {
       }
     }
     
-    score += musicScore * 0.25; // 25% weight
-    totalWeight += 0.25;
+    score += musicScore * weights.music;
+    totalWeight += weights.music;
   }
 
-  // Factor 3: Activity/Interest Similarity (25% weight)
+  // Factor 3: Activity/Interest Similarity (default 0.25 weight)
   // Based on "ideal day" - groups with similar ideal days often get along
   const idealDay1 = (getAnswer(group1, 3) || '').toLowerCase();
   const idealDay2 = (getAnswer(group2, 3) || '').toLowerCase();
@@ -164,22 +367,8 @@ function calculateQuantitativeScore(group1, group2) {
       activityScore = 1.0;
     } else {
       // Check for shared keywords (activities, places)
-      const activityKeywords = {
-        outdoor: ['beach', 'hiking', 'mountain', 'park', 'outdoor', 'camping', 'nature'],
-        food: ['eating', 'restaurant', 'food', 'cooking', 'dining'],
-        social: ['friends', 'hanging', 'party', 'social', 'together'],
-        creative: ['art', 'music', 'creative', 'projects', 'making'],
-        chill: ['chill', 'relax', 'netflix', 'watching', 'lounging'],
-        adventure: ['exploring', 'travel', 'adventure', 'road trip', 'trip']
-      };
-      
-      let category1 = [];
-      let category2 = [];
-      
-      for (const [category, keywords] of Object.entries(activityKeywords)) {
-        if (keywords.some(kw => idealDay1.includes(kw))) category1.push(category);
-        if (keywords.some(kw => idealDay2.includes(kw))) category2.push(category);
-      }
+      const category1 = detectActivityCategories(idealDay1);
+      const category2 = detectActivityCategories(idealDay2);
       
       const commonCategories = category1.filter(c => category2.includes(c));
       if (commonCategories.length > 0) {
@@ -193,215 +382,2124 @@ function calculateQuantitativeScore(group1, group2) {
       }
     }
     
-    score += activityScore * 0.25; // 25% weight
-    totalWeight += 0.25;
+    score += activityScore * weights.idealDay;
+    totalWeight += weights.idealDay;
   }
 
-  // Factor 4: Emoji/Vibe Similarity (10% weight - lower priority)
+  // Factor 4: Emoji/Vibe Similarity (default 0.1 weight - lower priority)
   const emoji1 = (getAnswer(group1, 8) || '').toLowerCase().trim();
   const emoji2 = (getAnswer(group2, 8) || '').toLowerCase().trim();
   
   if (emoji1 && emoji2) {
     const emojiScore = emoji1 === emoji2 ? 0.8 : 0.3;
-    score += emojiScore * 0.1; // 10% weight
-    totalWeight += 0.1;
+    score += emojiScore * weights.emoji;
+    totalWeight += weights.emoji;
+  }
+
+  // Factor 5: Semantic Similarity of all free-text answers (default 0.2 weight)
+  // Cosine similarity of local hashed n-gram vectors - catches overlap the keyword lists miss
+  const semanticScore = calculateSemanticSimilarity(group1, group2);
+  
+  if (semanticScore !== null) {
+    score += semanticScore * weights.semantic;
+    totalWeight += weights.semantic;
   }
 
   // Normalize by total weight (handles missing data)
   return totalWeight > 0 ? score / totalWeight : 0.5;
 }
 
+/**
+ * Extract the JSON object from a Claude response
+ * Tolerates code fences or stray text around the object.
+ * @param {string} response - Raw response text
+ * @returns {Object|null} Parsed object or null if there's no valid JSON object
+ */
+function extractJson(response) {
+  const text = String(response || '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate a parsed qualitative response against the expected schema:
+ * { overall: 0-100, sizeFit: { score: 0-100, rationale: string }, sharedInterests: {...}, ... }
+ * @param {Object} parsed - Parsed JSON
+ * @returns {Array<string>} Schema errors (empty if valid)
+ */
+function validateQualitativeResponse(parsed) {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return ['response is not a JSON object'];
+  }
+
+  const errors = [];
+  const isScore = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+
+  if (!isScore(parsed.overall)) {
+    errors.push('overall must be a number from 0-100');
+  }
+
+  for (const dimension of QUALITATIVE_DIMENSIONS) {
+    const entry = parsed[dimension];
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${dimension} is missing`);
+      continue;
+    }
+    if (!isScore(entry.score)) {
+      errors.push(`${dimension}.score must be a number from 0-100`);
+    }
+    if (typeof entry.rationale !== 'string' || !entry.rationale.trim()) {
+      errors.push(`${dimension}.rationale must be a non-empty string`);
+    }
+  }
+
+  return errors;
+}
+
+// What the judge weighs, in order (shared by the pair and batch prompts)
+const SCORING_PRIORITIES = `CRITICAL PRIORITIES (in order):
+1. Size Fit (sizeFit) - Groups with similar sizes should score MUCH higher (e.g., 3 vs 3 = excellent, 3 vs 4 = very good, 3 vs 8 = poor)
+2. Shared Interests (sharedInterests) - Groups with similar interests (music, activities, references) should score higher
+3. Cultural Fit (culturalFit) - Similar vibes, energy levels, and values
+4. Complementarity (complementarity) - Groups that would balance each other well`;
+
+const SCORING_GUIDELINES = `SCORING GUIDELINES:
+- Groups with same/similar sizes (difference ≤ 1): Start at 70-100 base
+- Groups with moderate size difference (2-3): Start at 50-70 base
+- Groups with large size difference (4+): Start at 30-50 base, reduce further if interests don't align
+- Add points for shared interests (music, activities, references): +5-15 points each
+- Add points for cultural fit: +5-10 points
+- Subtract points for conflicting vibes: -5-10 points
+- The overall score follows these guidelines; sub-scores rate each criterion on its own`;
+
+// One judged pair, as Claude returns it
+const SCORE_FORMAT = `{
+  "sizeFit": { "score": 0, "rationale": "..." },
+  "sharedInterests": { "score": 0, "rationale": "..." },
+  "culturalFit": { "score": 0, "rationale": "..." },
+  "complementarity": { "score": 0, "rationale": "..." },
+  "overall": 0
+}`;
+
+/**
+ * Describe a group's answers for a scoring prompt
+ * @param {Object} group - Group profile
+ * @returns {string} "- Name: ..." lines
+ */
+function describeGroupForPrompt(group) {
+  const sizeRaw = getAnswer(group, 2);
+  const size = sizeRaw ? parseInt(sizeRaw.toString().match(/\d+/)?.[0] || sizeRaw) || 0 : 0;
+
+  return `- Name: ${group.groupName}
+- Group Size: ${size} ${size === 1 ? 'person' : 'people'}
+- Ideal Day: ${getAnswer(group, 3) || 'N/A'}
+- Fiction Group: ${getAnswer(group, 4) || 'N/A'}
+- Music Taste: ${getAnswer(group, 5) || 'N/A'}
+- Disliked Celebrity: ${getAnswer(group, 6) || 'N/A'}
+- Origin Story: ${getAnswer(group, 7) || 'N/A'}
+- Emoji: ${getAnswer(group, 8) || 'N/A'}
+- Roman Empire: ${getAnswer(group, 9) || 'N/A'}
+- Side Quest: ${getAnswer(group, 10) || 'N/A'}`;
+}
+
+/**
+ * Convert a validated judge response to the 0-1 scale
+ * @param {Object} parsed - Response that passed validateQualitativeResponse
+ * @returns {Object} { score (0-1), dimensions: { [name]: { score (0-1), rationale } } }
+ */
+function toQualitativeResult(parsed) {
+  const dimensions = {};
+  for (const dimension of QUALITATIVE_DIMENSIONS) {
+    dimensions[dimension] = {
+      score: parsed[dimension].score / 100,
+      rationale: parsed[dimension].rationale.trim()
+    };
+  }
+  return { score: parsed.overall / 100, dimensions };
+}
+
 /**
  * Calculate qualitative compatibility using AI
+ * Claude returns an overall score plus sub-scores (size fit, shared interests, cultural fit,
+ * complementarity) as JSON. Malformed responses are retried; once retries run out this throws
+ * so the caller can flag the pair instead of inventing a score.
  * @param {Object} group1 - First group profile
  * @param {Object} group2 - Second group profile
- * @returns {Promise<number>} Score from 0-1
+ * @returns {Promise<Object>} { score (0-1), dimensions: { [name]: { score (0-1), rationale } } }
  */
 async function calculateQualitativeScore(group1, group2) {
-  // Get group sizes for context
-  const size1Raw = getAnswer(group1, 2);
-  const size2Raw = getAnswer(group2, 2);
-  const size1 = size1Raw ? parseInt(size1Raw.toString().match(/\d+/)?.[0] || size1Raw) || 0 : 0;
-  const size2 = size2Raw ? parseInt(size2Raw.toString().match(/\d+/)?.[0] || size2Raw) || 0 : 0;
-  
   const comparisonPrompt = `You are analyzing two groups for compatibility in a matchmaking system (like blocking groups at Harvard).
 
-CRITICAL PRIORITIES (in order):
-1. Group Size Similarity - Groups with similar sizes should score MUCH higher (e.g., 3 vs 3 = excellent, 3 vs 4 = very good, 3 vs 8 = poor)
-2. Shared Interests - Groups with similar interests (music, activities, references) should score higher
-3. Cultural Fit - Similar vibes, energy levels, and values
-4. Complementary Personalities - Groups that would balance each other well
+${SCORING_PRIORITIES}
 
 Group 1:
-- Name: ${group1.groupName}
-- Group Size: ${size1} ${size1 === 1 ? 'person' : 'people'}
-- Ideal Day: ${getAnswer(group1, 3) || 'N/A'}
-- Fiction Group: ${getAnswer(group1, 4) || 'N/A'}
-- Music Taste: ${getAnswer(group1, 5) || 'N/A'}
-- Disliked Celebrity: ${getAnswer(group1, 6) || 'N/A'}
-- Origin Story: ${getAnswer(group1, 7) || 'N/A'}
-- Emoji: ${getAnswer(group1, 8) || 'N/A'}
-- Roman Empire: ${getAnswer(group1, 9) || 'N/A'}
-- Side Quest: ${getAnswer(group1, 10) || 'N/A'}
+${describeGroupForPrompt(group1)}
 
 Group 2:
-- Name: ${group2.groupName}
-- Group Size: ${size2} ${size2 === 1 ? 'person' : 'people'}
-- Ideal Day: ${getAnswer(group2, 3) || 'N/A'}
-- Fiction Group: ${getAnswer(group2, 4) || 'N/A'}
-- Music Taste: ${getAnswer(group2, 5) || 'N/A'}
-- Disliked Celebrity: ${getAnswer(group2, 6) || 'N/A'}
-- Origin Story: ${getAnswer(group2, 7) || 'N/A'}
-- Emoji: ${getAnswer(group2, 8) || 'N/A'}
-- Roman Empire: ${getAnswer(group2, 9) || 'N/A'}
-- Side Quest: ${getAnswer(group2, 10) || 'N/A'}
-
-SCORING GUIDELINES:
-- Groups with same/similar sizes (difference ≤ 1): Start at 70-100 base
-- Groups with moderate size difference (2-3): Start at 50-70 base
-- Groups with large size difference (4+): Start at 30-50 base, reduce further if interests don't align
-- Add points for shared interests (music, activities, references): +5-15 points each
-- Add points for cultural fit: +5-10 points
-- Subtract points for conflicting vibes: -5-10 points
+${describeGroupForPrompt(group2)}
 
-Analyze their compatibility and respond with ONLY a number from 0-100.
-Just the number, nothing else.`;
+${SCORING_GUIDELINES}
 
-  try {
-    const response = await claudeService.generateText(comparisonPrompt, {
+Respond with ONLY a JSON object in exactly this format (scores are whole numbers from 0-100,
+each rationale is one sentence):
+${SCORE_FORMAT}`;
+
+  // Transient and malformed-response retries share one budget of maxRetries + 1 calls
+  const { maxRetries } = config.matching;
+  const budget = { attempts: 0 };
+  let lastErrors = [];
+
+  while (budget.attempts <= maxRetries) {
+    // Throws once the budget is spent on transient errors - getQualitativeScore handles the fallback
+    const response = await generateTextWithRetry(comparisonPrompt, {
       temperature: 0.3,
-      maxTokens: 10
-    });
+      maxTokens: 600
+    }, budget);
+
+    const parsed = extractJson(response);
+    lastErrors = parsed ? validateQualitativeResponse(parsed) : ['response is not valid JSON'];
 
-    const score = parseInt(response.trim());
-    if (isNaN(score) || score < 0 || score > 100) {
-      return 50; // Default to neutral if parsing fails
+    if (lastErrors.length === 0) {
+      return toQualitativeResult(parsed); // Convert to 0-1 scale
     }
-    return score / 100; // Convert to 0-1 scale
-  } catch (error) {
-    console.error('Error calculating qualitative score:', error);
-    return 0.5; // Default to neutral on error
+
+    console.warn(`⚠️  Malformed qualitative response for ${group1.groupName} ↔ ${group2.groupName} (attempt ${budget.attempts}/${maxRetries + 1}): ${lastErrors.join('; ')}`);
+  }
+
+  throw new Error(`Malformed qualitative response: ${lastErrors.join('; ')}`);
+}
+
+/**
+ * Validate self-consistency options, filling gaps from config.matching.sampling
+ * @param {Object} raw - { samples, aggregation, lowConfidence } (strings allowed, e.g. from a query string)
+ * @returns {Object} { sampling, error } - error is a message string, or null if valid
+ */
+function normalizeSampling(raw = {}) {
+  const defaults = config.matching.sampling || {};
+
+  const samples = Number(raw.samples ?? defaults.samples ?? 1);
+  if (!Number.isInteger(samples) || samples < 1 || samples > 9) {
+    return { sampling: null, error: 'samples must be a whole number from 1-9' };
+  }
+
+  const aggregation = raw.aggregation ?? defaults.aggregation ?? 'median';
+  if (!SAMPLE_AGGREGATIONS.includes(aggregation)) {
+    return { sampling: null, error: 'aggregation must be "median" or "trimmed"' };
+  }
+
+  const lowConfidence = Number(raw.lowConfidence ?? defaults.lowConfidence ?? 0.6);
+  if (!Number.isFinite(lowConfidence) || lowConfidence < 0 || lowConfidence > 1) {
+    return { sampling: null, error: 'lowConfidence must be between 0 and 1' };
+  }
+
+  return { sampling: { samples, aggregation, lowConfidence }, error: null };
+}
+
+/**
+ * Combine several sampled scores into one
+ * @param {Array<number>} values - Sampled scores
+ * @param {string} aggregation - 'median' or 'trimmed' (mean without the highest and lowest sample)
+ * @returns {number} Aggregated score
+ */
+function aggregateSamples(values, aggregation) {
+  const sorted = [...values].sort((a, b) => a - b);
+
+  if (aggregation === 'trimmed') {
+    const kept = sorted.length >= 3 ? sorted.slice(1, -1) : sorted;
+    return kept.reduce((sum, v) => sum + v, 0) / kept.length;
   }
+
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
 }
 
 /**
- * Calculate overall compatibility score between two groups
+ * Calculate qualitative compatibility from several independent judge samples
+ * The overall score and every sub-score are aggregated separately; rationales come from
+ * the sample closest to the aggregated score. The spread of the samples becomes a
+ * confidence value (1 = every sample agreed, 0 = spread of MAX_CONFIDENT_SPREAD or more,
+ * or fewer than 2 samples succeeded). Throws only if every sample failed.
  * @param {Object} group1 - First group profile
  * @param {Object} group2 - Second group profile
- * @returns {Promise<Object>} { score: number, breakdown: Object }
+ * @param {Object} sampling - Normalized sampling options
+ * @returns {Promise<Object>} { score, dimensions, confidence, samples: { scores, stdDev, aggregation, failed } }
  */
-async function calculateCompatibility(group1, group2) {
-  const quantitativeScore = calculateQuantitativeScore(group1, group2);
-  const qualitativeScore = await calculateQualitativeScore(group1, group2);
+async function calculateSampledQualitativeScore(group1, group2, sampling) {
+  const results = [];
+  let lastError = null;
 
-  // IMPROVED WEIGHTING: 
-  // - 40% quantitative (prioritizes group size and interests)
-  // - 60% qualitative (AI analysis considers everything, including size)
-  // This gives quantitative factors (especially size) significant influence
-  // while still allowing AI to capture nuanced compatibility
-  const finalScore = (quantitativeScore * 0.4) + (qualitativeScore * 0.6);
+  // One sample at a time - pairs already run in parallel up to config.matching.concurrency
+  for (let i = 0; i < sampling.samples; i++) {
+    try {
+      results.push(await calculateQualitativeScore(group1, group2));
+    } catch (error) {
+      lastError = error;
+      console.warn(`⚠️  Judge sample ${i + 1}/${sampling.samples} failed for ${group1.groupName} ↔ ${group2.groupName}: ${error.message}`);
+    }
+  }
+
+  if (results.length === 0) {
+    throw lastError;
+  }
+
+  const scores = results.map(r => r.score);
+  const score = aggregateSamples(scores, sampling.aggregation);
+  const representative = results.reduce((best, r) =>
+    Math.abs(r.score - score) < Math.abs(best.score - score) ? r : best);
+
+  const dimensions = {};
+  for (const dimension of QUALITATIVE_DIMENSIONS) {
+    dimensions[dimension] = {
+      score: aggregateSamples(results.map(r => r.dimensions[dimension].score), sampling.aggregation),
+      rationale: representative.dimensions[dimension].rationale
+    };
+  }
+
+  const mean = scores.reduce((sum, v) => sum + v, 0) / scores.length;
+  const stdDev = Math.sqrt(scores.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / scores.length);
+  const confidence = results.length < 2 ? 0 : Math.max(0, 1 - stdDev / MAX_CONFIDENT_SPREAD);
 
   return {
-    score: finalScore,
-    percentage: Math.round(finalScore * 100),
-    breakdown: {
-      quantitative: Math.round(quantitativeScore * 100),
-      qualitative: Math.round(qualitativeScore * 100),
-      sizeMatch: getSizeMatchScore(group1, group2)
+    score,
+    dimensions,
+    confidence,
+    samples: {
+      scores,
+      stdDev,
+      aggregation: sampling.aggregation,
+      failed: sampling.samples - results.length
     }
   };
 }
 
 /**
- * Calculate size match score for breakdown
+ * Judge one target group against several candidates in a single Claude call
+ * The target is described once instead of once per pair. Every candidate must come back
+ * under its own id with a valid score; candidates that are missing or malformed are left
+ * out of the result so the caller can score them one pair at a time. A response with no
+ * usable scores at all is retried like a malformed pair response, then this throws.
+ * @param {Object} target - Group profile every candidate is compared with
+ * @param {Array} candidates - Candidate group profiles
+ * @returns {Promise<Map>} Candidate id -> { score (0-1), dimensions }
  */
-function getSizeMatchScore(group1, group2) {
-  const size1Raw = getAnswer(group1, 2);
-  const size2Raw = getAnswer(group2, 2);
-  
-  if (!size1Raw || !size2Raw) return 0;
-  
-  const size1 = parseInt(size1Raw.toString().match(/\d+/)?.[0] || size1Raw) || 0;
-  const size2 = parseInt(size2Raw.toString().match(/\d+/)?.[0] || size2Raw) || 0;
-  
-  if (size1 === 0 || size2 === 0) return 0;
-  
-  const sizeDiff = Math.abs(size1 - size2);
-  
-  if (sizeDiff === 0) return 100;
-  if (sizeDiff === 1) return 90;
-  if (sizeDiff === 2) return 70;
-  if (sizeDiff === 3) return 50;
-  return Math.max(10, 50 - (sizeDiff - 3) * 10);
-}
+async function calculateBatchQualitativeScores(target, candidates) {
+  const candidateList = candidates
+    .map(candidate => `Candidate (candidateId: "${candidate.id}"):\n${describeGroupForPrompt(candidate)}`)
+    .join('\n\n');
 
-/**
- * Find best matches for a group
- * @param {string} groupName - Group name to find matches for
- * @param {number} limit - Number of matches to return (default: 5)
- * @returns {Promise<Array>} Array of { group, compatibility } objects
- */
-async function findMatchesForGroup(groupName, limit = 5) {
-  const allProfiles = groupProfileStorage.getAllProfiles();
-  const targetGroup = groupProfileStorage.getProfileByGroupName(groupName);
+  const batchPrompt = `You are analyzing groups for compatibility in a matchmaking system (like blocking groups at Harvard).
+Score the TARGET group against each candidate below. Judge every candidate on its own merits
+against the target - do not rank the candidates against each other.
 
-  if (!targetGroup) {
-    throw new Error(`Group "${groupName}" not found`);
-  }
+${SCORING_PRIORITIES}
+
+TARGET group:
+${describeGroupForPrompt(target)}
+
+${candidateList}
 
-  const matches = [];
+${SCORING_GUIDELINES}
 
-  for (const group of allProfiles) {
-    // Skip self
-    if (group.groupName.toLowerCase() === groupName.toLowerCase()) {
+Respond with ONLY a JSON object with one entry per candidate (${candidates.length} in total), using
+each candidate's candidateId exactly as given. Scores are whole numbers from 0-100, each rationale
+is one sentence:
+{
+  "scores": [
+    {
+      "candidateId": "...",
+      "sizeFit": { "score": 0, "rationale": "..." },
+      "sharedInterests": { "score": 0, "rationale": "..." },
+      "culturalFit": { "score": 0, "rationale": "..." },
+      "complementarity": { "score": 0, "rationale": "..." },
+      "overall": 0
+    }
+  ]
+}`;
+
+  // Transient and malformed-response retries share one budget of maxRetries + 1 calls
+  const { maxRetries } = config.matching;
+  const budget = { attempts: 0 };
+  let lastError = '';
+
+  while (budget.attempts <= maxRetries) {
+    const response = await generateTextWithRetry(batchPrompt, {
+      temperature: 0.3,
+      maxTokens: 400 * candidates.length + 200
+    }, budget);
+
+    const parsed = extractJson(response);
+    if (!parsed || !Array.isArray(parsed.scores)) {
+      lastError = parsed ? 'scores must be an array' : 'response is not valid JSON';
+      console.warn(`⚠️  Malformed batch response for ${target.groupName} (attempt ${budget.attempts}/${maxRetries + 1}): ${lastError}`);
       continue;
     }
 
-    const compatibility = await calculateCompatibility(targetGroup, group);
-    matches.push({
-      group: group,
-      compatibility: compatibility
-    });
+    const results = new Map();
+    const problems = [];
+    for (const candidate of candidates) {
+      const entry = parsed.scores.find(s => s && String(s.candidateId) === String(candidate.id));
+      const errors = entry ? validateQualitativeResponse(entry) : ['not scored'];
+      if (errors.length === 0) {
+        results.set(candidate.id, toQualitativeResult(entry));
+      } else {
+        problems.push(`${candidate.groupName}: ${errors.join('; ')}`);
+      }
+    }
+
+    if (problems.length > 0) {
+      console.warn(`⚠️  Batch for ${target.groupName} missing ${problems.length}/${candidates.length} candidates (falling back to pair scoring): ${problems.join(' | ')}`);
+    }
+    return results;
   }
 
-  // Sort by compatibility score (highest first)
-  matches.sort((a, b) => b.compatibility.score - a.compatibility.score);
+  throw new Error(`Malformed batch response: ${lastError}`);
+}
 
-  return matches.slice(0, limit);
+/**
+ * Score cache key for a pair's Claude score
+ * Batch and pair judging share entries - both use the same rubric and response format.
+ * Multi-sample scores are cached separately per sample count and aggregation.
+ * @param {Object} group1 - First group profile
+ * @param {Object} group2 - Second group profile
+ * @param {Object} sampling - Normalized sampling options (default: a single sample)
+ * @returns {string} Cache key
+ */
+function getQualitativeCacheKey(group1, group2, sampling = { samples: 1 }) {
+  const version = sampling.samples > 1
+    ? `${SCORING_VERSION}-x${sampling.samples}-${sampling.aggregation}`
+    : SCORING_VERSION;
+  return scoreCache.buildKey(
+    { id: group1.id, hash: hashProfile(group1) },
+    { id: group2.id, hash: hashProfile(group2) },
+    version
+  );
 }
 
 /**
- * Find the best overall match (top pair)
- * NOTE: This does NOT save matches - use find-matches.js for matching events
- * @returns {Promise<Object|null>} { group1, group2, compatibility } or null
+ * Get the Claude (qualitative) score for a pair
+ * Never throws: a failed Claude call falls back to a neutral 0.5 and is flagged with
+ * `error` so the pair isn't cached and shows up in the run report.
+ * @param {Object} group1 - First group profile
+ * @param {Object} group2 - Second group profile
+ * @param {Object} options - Options
+ * @param {boolean} options.useCache - Reuse/persist scores in the score cache (default: true)
+ * @param {Object} options.sampling - Normalized sampling options (default: config defaults)
+ * @param {Object|null} options.cached - Result of a cache lookup the caller already made
+ *                                       (null for a miss), so it isn't looked up (and counted) twice
+ * @returns {Promise<Object>} { score, dimensions?, confidence?, samples?, error? }
  */
-async function findBestMatch() {
-  const allProfiles = groupProfileStorage.getAllProfiles();
+async function getQualitativeScore(group1, group2, options = {}) {
+  const { useCache = true, sampling = normalizeSampling().sampling } = options;
+  const key = getQualitativeCacheKey(group1, group2, sampling);
 
-  if (allProfiles.length < 2) {
-    return null; // Need at least 2 groups
+  if (useCache) {
+    const cached = options.cached !== undefined ? options.cached : scoreCache.get(key);
+    if (cached) {
+      return cached;
+    }
   }
 
-  let bestMatch = null;
-  let bestScore = 0;
-
-  // Compare all pairs (optimization: could be improved with caching)
-  for (let i = 0; i < allProfiles.length; i++) {
-    for (let j = i + 1; j < allProfiles.length; j++) {
-      const compatibility = await calculateCompatibility(allProfiles[i], allProfiles[j]);
-      
-      if (compatibility.score > bestScore) {
-        bestScore = compatibility.score;
-        bestMatch = {
-          group1: allProfiles[i],
-          group2: allProfiles[j],
-          compatibility: compatibility
-        };
-      }
+  try {
+    const result = sampling.samples > 1
+      ? await calculateSampledQualitativeScore(group1, group2, sampling)
+      : await calculateQualitativeScore(group1, group2);
+    if (useCache) {
+      scoreCache.set(key, result);
     }
+    return result;
+  } catch (error) {
+    console.error(`Error calculating qualitative score (${group1.groupName} ↔ ${group2.groupName}):`, error.message);
+    return { score: 0.5, error: error.message };
   }
+}
 
-  return bestMatch;
+/**
+ * Convert qualitative sub-scores to percentages for the breakdown
+ * @param {Object} dimensions - { [name]: { score (0-1), rationale } }
+ * @returns {Object} { [name]: { score (0-100), rationale } }
+ */
+function formatDimensions(dimensions) {
+  const formatted = {};
+  for (const [name, { score, rationale }] of Object.entries(dimensions)) {
+    formatted[name] = { score: Math.round(score * 100), rationale };
+  }
+  return formatted;
+}
+
+/**
+ * Compatibility estimate for a pair that wasn't sent to Claude (pre-filtered out)
+ * A stand-in qualitative score is blended in like a real one, so estimates sit on
+ * the same scale as judged pairs instead of competing on the quantitative score alone.
+ * @param {Object} group1 - First group profile
+ * @param {Object} group2 - Second group profile
+ * @param {Object} scoringProfile - Resolved scoring profile
+ * @param {number} qualitativeStandIn - Qualitative score (0-1) assumed for the pair
+ * @returns {Object} Compatibility object with `estimated: true` and no qualitative score
+ */
+function buildEstimatedCompatibility(group1, group2, scoringProfile, qualitativeStandIn) {
+  const compatibility = buildCompatibility(group1, group2, { score: qualitativeStandIn }, scoringProfile);
+
+  return {
+    ...compatibility,
+    breakdown: {
+      ...compatibility.breakdown,
+      qualitative: null,
+      qualitativeStandIn: Math.round(qualitativeStandIn * 100)
+    },
+    estimated: true
+  };
+}
+
+/**
+ * Conservative qualitative score for pre-filtered pairs: the lowest one Claude gave in the run
+ * @param {Map} scores - Map of pair key -> compatibility object for the judged pairs
+ * @returns {number} Qualitative score (0-1), neutral 0.5 if no pair was judged
+ */
+function getQualitativeStandIn(scores) {
+  const judged = [...scores.values()]
+    .filter(c => !c.error && typeof c.breakdown?.qualitative === 'number')
+    .map(c => c.breakdown.qualitative / 100);
+  return judged.length > 0 ? Math.min(...judged) : 0.5;
+}
+
+/**
+ * Blend quantitative and qualitative scores into a compatibility object
+ * @param {Object} group1 - First group profile
+ * @param {Object} group2 - Second group profile
+ * @param {Object} qualitative - { score, dimensions?, error? } from getQualitativeScore
+ * @param {Object} scoringProfile - Resolved scoring profile
+ * @returns {Object} Compatibility object
+ */
+function buildCompatibility(group1, group2, qualitative, scoringProfile) {
+  const quantitativeScore = calculateQuantitativeScore(group1, group2, scoringProfile);
+  const qualitativeScore = qualitative.score;
+  const { blend } = scoringProfile;
+
+  // Default blend:
+  // - 40% quantitative (prioritizes group size and interests)
+  // - 60% qualitative (AI analysis considers everything, including size)
+  // This gives quantitative factors (especially size) significant influence
+  // while still allowing AI to capture nuanced compatibility
+  const finalScore = ((quantitativeScore * blend.quantitative) + (qualitativeScore * blend.qualitative)) /
+    (blend.quantitative + blend.qualitative);
+
+  return {
+    score: finalScore,
+    percentage: Math.round(finalScore * 100),
+    breakdown: {
+      quantitative: Math.round(quantitativeScore * 100),
+      qualitative: Math.round(qualitativeScore * 100),
+      sizeMatch: getSizeMatchScore(group1, group2, scoringProfile),
+      semanticSimilarity: Math.round((calculateSemanticSimilarity(group1, group2) || 0) * 100),
+      ...(qualitative.dimensions ? { qualitativeDimensions: formatDimensions(qualitative.dimensions) } : {}),
+      ...(qualitative.samples ? {
+        qualitativeSamples: {
+          scores: qualitative.samples.scores.map(score => Math.round(score * 100)),
+          stdDev: Math.round(qualitative.samples.stdDev * 100),
+          aggregation: qualitative.samples.aggregation,
+          failed: qualitative.samples.failed
+        }
+      } : {})
+    },
+    scoringProfile: scoringProfile.name,
+    ...(qualitative.confidence !== undefined ? { confidence: Math.round(qualitative.confidence * 100) / 100 } : {}),
+    ...(qualitative.error ? { error: qualitative.error } : {})
+  };
+}
+
+/**
+ * Calculate overall compatibility score between two groups (always asks Claude)
+ * @param {Object} group1 - First group profile
+ * @param {Object} group2 - Second group profile
+ * @param {Object} scoringProfile - Resolved scoring profile (default: config default)
+ * @returns {Promise<Object>} { score: number, breakdown: Object, error?: string }
+ */
+async function calculateCompatibility(group1, group2, scoringProfile = getScoringProfile()) {
+  const qualitative = await getQualitativeScore(group1, group2, { useCache: false });
+  return buildCompatibility(group1, group2, qualitative, scoringProfile);
+}
+
+/**
+ * Fingerprint the parts of a profile that affect its score
+ * @param {Object} group - Group profile
+ * @returns {string} Hash of name and answers
+ */
+function hashProfile(group) {
+  const answers = [];
+  for (let q = 1; q <= 10; q++) {
+    answers.push(getAnswer(group, q));
+  }
+  return scoreCache.hashContent({ groupName: group.groupName, answers });
+}
+
+/**
+ * Get compatibility for a pair, reusing the persistent score cache
+ * Only calls Claude when the pair (or either profile) changed since it was last scored;
+ * the scoring profile is applied on top, so switching profiles never re-calls Claude.
+ * Call scoreCache.flush() after a batch of lookups to persist new scores.
+ * @param {Object} group1 - First group profile
+ * @param {Object} group2 - Second group profile
+ * @param {Object} scoringProfile - Resolved scoring profile (default: config default)
+ * @param {Object} sampling - Normalized sampling options (default: config defaults)
+ * @param {Object|null} cached - Cache lookup already made for the pair (default: look it up)
+ * @returns {Promise<Object>} Compatibility object (same shape as calculateCompatibility)
+ */
+async function getCompatibility(group1, group2, scoringProfile = getScoringProfile(), sampling, cached) {
+  const qualitative = await getQualitativeScore(group1, group2, { sampling, cached });
+  return buildCompatibility(group1, group2, qualitative, scoringProfile);
+}
+
+/**
+ * Score a pair without ever throwing (one bad pair must not sink a whole run)
+ * @param {Object} group1 - First group profile
+ * @param {Object} group2 - Second group profile
+ * @param {Object} scoringProfile - Resolved scoring profile
+ * @param {Object} sampling - Normalized sampling options (default: config defaults)
+ * @param {Object|null} cached - Cache lookup already made for the pair (default: look it up)
+ * @returns {Promise<Object>} Compatibility object, with `error` set on failure
+ */
+async function scorePairSafely(group1, group2, scoringProfile, sampling, cached) {
+  try {
+    return await getCompatibility(group1, group2, scoringProfile, sampling, cached);
+  } catch (error) {
+    console.error(`❌ Failed to score ${group1.groupName} ↔ ${group2.groupName}:`, error.message);
+    return {
+      score: 0,
+      percentage: 0,
+      breakdown: {},
+      scoringProfile: scoringProfile.name,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Calculate size match score for breakdown (0-100, 0 if either size is unknown)
+ * @param {Object} group1 - First group profile
+ * @param {Object} group2 - Second group profile
+ * @param {Object} scoringProfile - Resolved scoring profile (default: config default)
+ * @returns {number} Score from 0-100
+ */
+function getSizeMatchScore(group1, group2, scoringProfile = getScoringProfile()) {
+  const sizeScore = calculateSizeScore(group1, group2, scoringProfile.sizeDecay);
+  return sizeScore === null ? 0 : Math.round(sizeScore * 100);
+}
+
+/**
+ * Normalize hard constraints for a matching run
+ * Run-level values override the defaults in config.matching.constraints.
+ * @param {Object} raw - Constraints
+ * @param {number} raw.maxCombinedSize - Max total people across matched groups
+ * @param {Array<Array<string>>} raw.doNotMatch - [groupA, groupB] name/ID pairs that must never match
+ * @param {Array<string>|string} raw.requireShared - Attributes matched groups must share (e.g. "cohort")
+ * @returns {Object} { constraints, error } - error is a message string or null
+ */
+function normalizeConstraints(raw = {}) {
+  const defaults = config.matching.constraints || {};
+
+  const maxRaw = raw.maxCombinedSize ?? defaults.maxCombinedSize ?? null;
+  const maxCombinedSize = maxRaw === null || maxRaw === '' ? null : Number(maxRaw);
+  if (maxCombinedSize !== null && (!Number.isInteger(maxCombinedSize) || maxCombinedSize < 2)) {
+    return { constraints: null, error: 'maxCombinedSize must be a whole number of at least 2' };
+  }
+
+  let requireShared = raw.requireShared ?? defaults.requireShared ?? [];
+  if (typeof requireShared === 'string') {
+    requireShared = requireShared.split(',').map(a => a.trim()).filter(Boolean);
+  }
+  if (!Array.isArray(requireShared) || requireShared.some(a => typeof a !== 'string')) {
+    return { constraints: null, error: 'requireShared must be a list of attribute names' };
+  }
+
+  const doNotMatch = raw.doNotMatch ?? [];
+  if (!Array.isArray(doNotMatch) || doNotMatch.some(pair => !Array.isArray(pair) || pair.length !== 2)) {
+    return { constraints: null, error: 'doNotMatch must be a list of [group, group] pairs' };
+  }
+
+  return {
+    constraints: {
+      maxCombinedSize,
+      requireShared,
+      doNotMatch: doNotMatch.map(pair => pair.map(ref => String(ref)))
+    },
+    error: null
+  };
+}
+
+/**
+ * Check whether a group is referred to by a name or ID
+ * @param {Object} group - Group profile
+ * @param {string} ref - Group name (case-insensitive) or ID
+ * @returns {boolean} True if ref points at this group
+ */
+function isGroupRef(group, ref) {
+  return group.id === ref ||
+    (!!group.groupName && group.groupName.toLowerCase() === String(ref).toLowerCase());
+}
+
+/**
+ * Read a matching attribute (e.g. cohort) from a profile
+ * Looks in profile.attributes first, then top-level profile fields.
+ * @param {Object} group - Group profile
+ * @param {string} name - Attribute name
+ * @returns {*} Attribute value, or null if not set
+ */
+function getGroupAttribute(group, name) {
+  const value = group.attributes?.[name] ?? group[name];
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Check groups that would be matched together against hard constraints
+ * Works for pairs and for larger sets (triads)
+ * @param {Array<Object>} groups - Group profiles
+ * @param {Object} constraints - Normalized constraints (see normalizeConstraints)
+ * @returns {Array<string>} Reasons the groups can't be matched (empty if allowed)
+ */
+function checkConstraints(groups, constraints) {
+  const reasons = [];
+
+  // Max combined size (groups with unknown size count as 0)
+  if (constraints.maxCombinedSize !== null) {
+    const combinedSize = groups.reduce((sum, g) => sum + getGroupSize(g), 0);
+    if (combinedSize > constraints.maxCombinedSize) {
+      reasons.push(`combined size ${combinedSize} exceeds max ${constraints.maxCombinedSize}`);
+    }
+  }
+
+  // Do-not-match lists (run-level pairs and each profile's own doNotMatch list)
+  for (let i = 0; i < groups.length; i++) {
+    for (let j = i + 1; j < groups.length; j++) {
+      const [a, b] = [groups[i], groups[j]];
+      const listedForRun = constraints.doNotMatch.some(([x, y]) =>
+        (isGroupRef(a, x) && isGroupRef(b, y)) || (isGroupRef(a, y) && isGroupRef(b, x))
+      );
+      const listedByGroup = (a.doNotMatch || []).some(ref => isGroupRef(b, ref)) ||
+        (b.doNotMatch || []).some(ref => isGroupRef(a, ref));
+
+      if (listedForRun || listedByGroup) {
+        reasons.push(`${a.groupName} and ${b.groupName} are on a do-not-match list`);
+      }
+    }
+  }
+
+  // Required shared attributes
+  for (const attribute of constraints.requireShared) {
+    const missing = groups.filter(g => getGroupAttribute(g, attribute) === null);
+    if (missing.length > 0) {
+      reasons.push(`${missing.map(g => g.groupName).join(', ')} missing ${attribute}`);
+      continue;
+    }
+
+    const values = groups.map(g => String(getGroupAttribute(g, attribute)).toLowerCase());
+    if (new Set(values).size > 1) {
+      reasons.push(`different ${attribute} (${groups.map(g => getGroupAttribute(g, attribute)).join(' vs ')})`);
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Split all pairs of groups into allowed and excluded by hard constraints
+ * @param {Array} profiles - Group profiles
+ * @param {Object} constraints - Normalized constraints
+ * @returns {Object} { allowed: Array<[group1, group2]>, excluded: Array<{ group1, group2, reasons }> }
+ */
+function filterPairs(profiles, constraints) {
+  const allowed = [];
+  const excluded = [];
+
+  for (let i = 0; i < profiles.length; i++) {
+    for (let j = i + 1; j < profiles.length; j++) {
+      const reasons = checkConstraints([profiles[i], profiles[j]], constraints);
+      if (reasons.length > 0) {
+        excluded.push({ group1: profiles[i], group2: profiles[j], reasons });
+      } else {
+        allowed.push([profiles[i], profiles[j]]);
+      }
+    }
+  }
+
+  return { allowed, excluded };
+}
+
+/**
+ * Find best matches for a group
+ * @param {string} groupName - Group name to find matches for
+ * @param {number} limit - Number of matches to return (default: 5)
+ * @param {Object} options - Options
+ * @param {Map} options.scores - Precomputed scores from scoreAllPairs (skips rescoring)
+ * @param {Object} options.scoringProfile - Resolved scoring profile (default: config default)
+ * @param {Object} options.constraints - Normalized hard constraints (default: config defaults)
+ * @returns {Promise<Array>} Array of { group, compatibility } objects
+ */
+async function findMatchesForGroup(groupName, limit = 5, options = {}) {
+  const {
+    scores,
+    scoringProfile = getScoringProfile(),
+    constraints = normalizeConstraints().constraints
+  } = options;
+  const allProfiles = groupProfileStorage.getAllProfiles();
+  const targetGroup = groupProfileStorage.getProfileByGroupName(groupName);
+
+  if (!targetGroup) {
+    throw new Error(`Group "${groupName}" not found`);
+  }
+
+  // Skip self and candidates ruled out by hard constraints
+  const candidates = allProfiles.filter(g =>
+    g.groupName.toLowerCase() !== groupName.toLowerCase() &&
+    checkConstraints([targetGroup, g], constraints).length === 0
+  );
+
+  const matches = await runWithConcurrency(candidates, config.matching.concurrency, async (group) => ({
+    group: group,
+    compatibility: scores?.get(getPairKey(targetGroup.id, group.id)) || await scorePairSafely(targetGroup, group, scoringProfile)
+  }));
+
+  scoreCache.flush();
+
+  // Sort by compatibility score (highest first)
+  matches.sort((a, b) => b.compatibility.score - a.compatibility.score);
+
+  return matches.slice(0, limit);
+}
+
+/**
+ * Find the best overall match (top pair)
+ * NOTE: This does NOT save matches - use find-matches.js for matching events
+ * @param {Object} options - Options
+ * @param {Map} options.scores - Precomputed scores from scoreAllPairs (skips rescoring)
+ * @param {Object} options.scoringProfile - Resolved scoring profile (default: config default)
+ * @param {Object} options.constraints - Normalized hard constraints (default: config defaults)
+ * @returns {Promise<Object|null>} { group1, group2, compatibility } or null
+ */
+async function findBestMatch(options = {}) {
+  const allProfiles = groupProfileStorage.getAllProfiles();
+
+  if (allProfiles.length < 2) {
+    return null; // Need at least 2 groups
+  }
+
+  let bestMatch = null;
+  let bestScore = 0;
+
+  // Compare all pairs (unchanged pairs come from the score cache)
+  // (pairs excluded by hard constraints are never scored)
+  const scores = options.scores || await scoreAllPairs(allProfiles, {
+    scoringProfile: options.scoringProfile,
+    constraints: options.constraints
+  });
+
+  for (let i = 0; i < allProfiles.length; i++) {
+    for (let j = i + 1; j < allProfiles.length; j++) {
+      const compatibility = scores.get(getPairKey(allProfiles[i].id, allProfiles[j].id));
+      
+      if (compatibility && compatibility.score > bestScore) {
+        bestScore = compatibility.score;
+        bestMatch = {
+          group1: allProfiles[i],
+          group2: allProfiles[j],
+          compatibility: compatibility
+        };
+      }
+    }
+  }
+
+  return bestMatch;
+}
+
+/**
+ * Build a stable key for an unordered pair of group IDs
+ * @param {string} id1 - First group ID
+ * @param {string} id2 - Second group ID
+ * @returns {string} Pair key (same for both orderings)
+ */
+function getPairKey(id1, id2) {
+  return id1 < id2 ? `${id1}|${id2}` : `${id2}|${id1}`;
+}
+
+/**
+ * Validate pre-filter options, filling gaps from config.matching.prefilter
+ * @param {Object} raw - { topK, minQuantitative } (strings allowed, e.g. from a query string)
+ * @returns {Object} { prefilter, error } - prefilter.enabled is false when neither is set
+ */
+function normalizePrefilter(raw = {}) {
+  const defaults = config.matching.prefilter || {};
+
+  const topKRaw = raw.topK ?? defaults.topK ?? null;
+  const topK = topKRaw === null || topKRaw === '' ? null : Number(topKRaw);
+  if (topK !== null && (!Number.isInteger(topK) || topK < 1)) {
+    return { prefilter: null, error: 'topK must be a whole number of at least 1' };
+  }
+
+  const minRaw = raw.minQuantitative ?? defaults.minQuantitative ?? null;
+  const minQuantitative = minRaw === null || minRaw === '' ? null : Number(minRaw);
+  if (minQuantitative !== null && (!Number.isFinite(minQuantitative) || minQuantitative < 0 || minQuantitative > 1)) {
+    return { prefilter: null, error: 'minQuantitative must be between 0 and 1' };
+  }
+
+  return {
+    prefilter: { enabled: topK !== null || minQuantitative !== null, topK, minQuantitative },
+    error: null
+  };
+}
+
+/**
+ * Validate coverage/fairness options, filling gaps from config.matching.fairness
+ * @param {Object} raw - { minMatches, maxAppearances } (strings allowed, e.g. from a query string)
+ * @returns {Object} { fairness, error } - maxAppearances is null when there's no cap
+ */
+function normalizeFairness(raw = {}) {
+  const defaults = config.matching.fairness || {};
+
+  const minMatches = Number(raw.minMatches ?? defaults.minMatches ?? 1);
+  if (!Number.isInteger(minMatches) || minMatches < 0) {
+    return { fairness: null, error: 'minMatches must be a whole number of at least 0' };
+  }
+
+  const maxRaw = raw.maxAppearances ?? defaults.maxAppearances ?? null;
+  const maxAppearances = maxRaw === null || maxRaw === '' ? null : Number(maxRaw);
+  if (maxAppearances !== null && (!Number.isInteger(maxAppearances) || maxAppearances < 1)) {
+    return { fairness: null, error: 'maxAppearances must be a whole number of at least 1' };
+  }
+  if (maxAppearances !== null && maxAppearances < minMatches) {
+    return { fairness: null, error: 'maxAppearances can\'t be lower than minMatches' };
+  }
+
+  return { fairness: { minMatches, maxAppearances }, error: null };
+}
+
+/**
+ * Cheap first stage: pick which pairs are worth a Claude call
+ * A pair goes to Claude if it's among the top-K candidates (by quantitative score) of
+ * either group, or if its quantitative score reaches minQuantitative.
+ * @param {Array<Array>} pairs - [[group1, group2], ...]
+ * @param {Object} scoringProfile - Resolved scoring profile
+ * @param {Object} prefilter - Normalized pre-filter options
+ * @returns {Object} { selected: Array<[group1, group2]>, skipped: Array<[group1, group2]> }
+ */
+function selectCandidatePairs(pairs, scoringProfile, prefilter) {
+  if (!prefilter.enabled) {
+    return { selected: pairs, skipped: [] };
+  }
+
+  const ranked = pairs.map(pair => ({
+    pair,
+    quantitative: calculateQuantitativeScore(pair[0], pair[1], scoringProfile)
+  }));
+
+  const selected = new Set();
+
+  if (prefilter.minQuantitative !== null) {
+    ranked.filter(r => r.quantitative >= prefilter.minQuantitative).forEach(r => selected.add(r));
+  }
+
+  if (prefilter.topK !== null) {
+    // Each group's candidates, best first
+    const byGroup = new Map();
+    for (const r of ranked) {
+      for (const group of r.pair) {
+        if (!byGroup.has(group.id)) byGroup.set(group.id, []);
+        byGroup.get(group.id).push(r);
+      }
+    }
+    for (const candidates of byGroup.values()) {
+      candidates
+        .sort((a, b) => b.quantitative - a.quantitative)
+        .slice(0, prefilter.topK)
+        .forEach(r => selected.add(r));
+    }
+  }
+
+  return {
+    selected: ranked.filter(r => selected.has(r)).map(r => r.pair),
+    skipped: ranked.filter(r => !selected.has(r)).map(r => r.pair)
+  };
+}
+
+/**
+ * Score every allowed pair of groups exactly once
+ * Pairs excluded by hard constraints are skipped (not in the returned map).
+ * With a pre-filter, only promising pairs are sent to Claude; the rest get an
+ * estimated compatibility (`estimated: true`) that blends in the lowest qualitative
+ * score Claude gave in the run, so a guess never gets more credit than a real verdict.
+ * Pairs are scored in parallel (config.matching.concurrency at a time). Pairs whose
+ * Claude call failed are still included, with `error` set on the compatibility.
+ * @param {Array} profiles - Group profiles to compare
+ * @param {Object} options - Scoring options
+ * @param {Function} options.onProgress - Called as (scored, total) after each Claude-scored pair
+ * @param {Object} options.scoringProfile - Resolved scoring profile (default: config default)
+ * @param {Object} options.constraints - Normalized hard constraints (default: config defaults)
+ * @param {Object} options.prefilter - Normalized pre-filter options (default: config defaults)
+ * @param {number} options.batchSize - Candidates judged per Claude call (default: config.matching.batchSize; 1 = one pair per call)
+ * @param {Object} options.sampling - Normalized self-consistency options (default: config defaults)
+ * @returns {Promise<Map>} Map of pair key -> compatibility object
+ */
+async function scoreAllPairs(profiles, options = {}) {
+  const {
+    onProgress,
+    scoringProfile = getScoringProfile(),
+    constraints = normalizeConstraints().constraints,
+    prefilter = normalizePrefilter().prefilter,
+    batchSize = config.matching.batchSize,
+    sampling = normalizeSampling().sampling
+  } = options;
+
+  const { selected, skipped } = selectCandidatePairs(filterPairs(profiles, constraints).allowed, scoringProfile, prefilter);
+  const scores = await scorePairs(selected, { onProgress, scoringProfile, batchSize, sampling });
+
+  const qualitativeStandIn = getQualitativeStandIn(scores);
+  for (const [group1, group2] of skipped) {
+    scores.set(getPairKey(group1.id, group2.id), buildEstimatedCompatibility(group1, group2, scoringProfile, qualitativeStandIn));
+  }
+
+  if (skipped.length > 0) {
+    console.log(`✂️  Pre-filter skipped ${skipped.length} of ${selected.length + skipped.length} Claude calls`);
+  }
+  return scores;
+}
+
+/**
+ * Score one group against a list of candidates (e.g. a late group against the unmatched cohort)
+ * Candidates excluded by hard constraints are skipped (not in the returned map).
+ * @param {Object} group - Group profile
+ * @param {Array} candidates - Candidate group profiles
+ * @param {Object} options - Same options as scoreAllPairs
+ * @returns {Promise<Map>} Map of pair key -> compatibility object
+ */
+async function scoreCandidates(group, candidates, options = {}) {
+  const {
+    onProgress,
+    scoringProfile = getScoringProfile(),
+    constraints = normalizeConstraints().constraints,
+    batchSize = config.matching.batchSize,
+    sampling = normalizeSampling().sampling
+  } = options;
+
+  const pairs = candidates
+    .filter(candidate => candidate.id !== group.id)
+    .filter(candidate => checkConstraints([group, candidate], constraints).length === 0)
+    .map(candidate => [group, candidate]);
+
+  return scorePairs(pairs, { onProgress, scoringProfile, batchSize, sampling });
+}
+
+/**
+ * Group pairs into batch judging calls around shared target groups
+ * Repeatedly takes the group with the most pairs left as the target and batches its
+ * candidates, so each profile is sent to Claude as few times as possible.
+ * @param {Array<Array>} pairs - [[group1, group2], ...]
+ * @param {number} batchSize - Max candidates per call
+ * @returns {Array<Object>} [{ target, candidates }]
+ */
+function planBatches(pairs, batchSize) {
+  // Group id -> { group, partners: Map of group id -> group }
+  const remaining = new Map();
+  const link = (group, partner) => {
+    if (!remaining.has(group.id)) {
+      remaining.set(group.id, { group, partners: new Map() });
+    }
+    remaining.get(group.id).partners.set(partner.id, partner);
+  };
+  for (const [group1, group2] of pairs) {
+    link(group1, group2);
+    link(group2, group1);
+  }
+
+  const batches = [];
+  while (remaining.size > 0) {
+    let target = null;
+    for (const entry of remaining.values()) {
+      if (!target || entry.partners.size > target.partners.size) {
+        target = entry;
+      }
+    }
+
+    const candidates = [...target.partners.values()];
+    remaining.delete(target.group.id);
+    for (const candidate of candidates) {
+      const entry = remaining.get(candidate.id);
+      entry.partners.delete(target.group.id);
+      if (entry.partners.size === 0) {
+        remaining.delete(candidate.id);
+      }
+    }
+
+    for (let i = 0; i < candidates.length; i += batchSize) {
+      batches.push({ target: target.group, candidates: candidates.slice(i, i + batchSize) });
+    }
+  }
+
+  return batches;
+}
+
+/**
+ * Score pairs with batch judging (one Claude call per target group and up to batchSize candidates)
+ * Cached pairs are reused as usual. Candidates a batch response leaves out (or gets wrong),
+ * and single-candidate batches, are scored with the normal pair prompt.
+ * @param {Array<Array>} pairs - [[group1, group2], ...]
+ * @param {Object} options - { onProgress, scoringProfile, batchSize }
+ * @returns {Promise<Map>} Map of pair key -> compatibility object
+ */
+async function scorePairsInBatches(pairs, options) {
+  const { onProgress, scoringProfile, batchSize } = options;
+  const scores = new Map();
+  const record = (group1, group2, compatibility) => {
+    scores.set(getPairKey(group1.id, group2.id), compatibility);
+    if (onProgress) {
+      onProgress(scores.size, pairs.length);
+    }
+  };
+
+  // Cached pairs never go into a batch
+  const unscored = [];
+  for (const [group1, group2] of pairs) {
+    const cached = scoreCache.get(getQualitativeCacheKey(group1, group2));
+    if (cached) {
+      record(group1, group2, buildCompatibility(group1, group2, cached, scoringProfile));
+    } else {
+      unscored.push([group1, group2]);
+    }
+  }
+
+  const batches = planBatches(unscored, batchSize);
+  let batchCalls = 0;
+  let fallbacks = 0;
+
+  await runWithConcurrency(batches, config.matching.concurrency, async ({ target, candidates }) => {
+    let judged = new Map();
+    if (candidates.length > 1) {
+      batchCalls++;
+      try {
+        judged = await calculateBatchQualitativeScores(target, candidates);
+      } catch (error) {
+        console.error(`Error judging batch for ${target.groupName} (falling back to pair scoring):`, error.message);
+      }
+    }
+
+    for (const candidate of candidates) {
+      const qualitative = judged.get(candidate.id);
+      if (qualitative) {
+        scoreCache.set(getQualitativeCacheKey(target, candidate), qualitative);
+        record(target, candidate, buildCompatibility(target, candidate, qualitative, scoringProfile));
+      } else {
+        fallbacks++;
+        // Already a cache miss above - don't look it up (and count it) again
+        record(target, candidate, await scorePairSafely(target, candidate, scoringProfile, undefined, null));
+      }
+    }
+  });
+
+  if (unscored.length > 0) {
+    console.log(`📦 Judged ${unscored.length} pairs with ${batchCalls} batch calls (${fallbacks} scored one pair at a time)`);
+  }
+
+  scoreCache.flush();
+  return scores;
+}
+
+/**
+ * Score a list of pairs in parallel and persist new Claude scores
+ * Multi-sample scoring always uses the pair prompt (it takes precedence over batch judging).
+ * @param {Array<Array>} pairs - [[group1, group2], ...]
+ * @param {Object} options - { onProgress, scoringProfile, batchSize?, sampling? } - batchSize > 1 enables batch judging
+ * @returns {Promise<Map>} Map of pair key -> compatibility object
+ */
+async function scorePairs(pairs, options) {
+  const { onProgress, scoringProfile, batchSize = 1, sampling } = options;
+  const multiSample = sampling && sampling.samples > 1;
+
+  // Scores from before a profile was edited can never be hit again
+  const groups = new Map(pairs.flat().map(group => [group.id, group]));
+  const stale = scoreCache.removeStale(new Map([...groups.values()].map(group => [group.id, hashProfile(group)])));
+  if (stale > 0) {
+    console.log(`🧹 Dropped ${stale} cached scores of edited profiles`);
+  }
+
+  if (batchSize > 1 && !multiSample) {
+    return scorePairsInBatches(pairs, options);
+  }
+  if (batchSize > 1) {
+    console.log(`🎲 Sampling each pair ${sampling.samples} times - batch judging is skipped`);
+  }
+
+  const scores = new Map();
+
+  await runWithConcurrency(pairs, config.matching.concurrency, async ([group1, group2]) => {
+    const compatibility = await scorePairSafely(group1, group2, scoringProfile, sampling);
+    scores.set(getPairKey(group1.id, group2.id), compatibility);
+    if (onProgress) {
+      onProgress(scores.size, pairs.length);
+    }
+  });
+
+  scoreCache.flush();
+  return scores;
+}
+
+/**
+ * Check whether a match's Claude score is too unstable to trust
+ * Only multi-sample scores carry a confidence; single-sample matches are never flagged.
+ * @param {Object} compatibility - Compatibility object
+ * @param {number} threshold - Confidence below which a match is flagged (default: config.matching.sampling.lowConfidence)
+ * @returns {boolean} True if the match should be flagged
+ */
+function isLowConfidence(compatibility, threshold = normalizeSampling().sampling.lowConfidence) {
+  return typeof compatibility?.confidence === 'number' && compatibility.confidence < threshold;
+}
+
+/**
+ * Combine several pairwise compatibilities into one (used for triads)
+ * Averages the score and every numeric breakdown field; estimated if any pair was
+ * @param {Array<Object>} compatibilities - Compatibility objects
+ * @returns {Object} Combined compatibility object
+ */
+function combineCompatibilities(compatibilities) {
+  const score = compatibilities.reduce((sum, c) => sum + c.score, 0) / compatibilities.length;
+  const breakdown = {};
+
+  for (const key of Object.keys(compatibilities[0].breakdown || {})) {
+    const values = compatibilities
+      .map(c => c.breakdown?.[key])
+      .filter(v => typeof v === 'number');
+    if (values.length > 0) {
+      breakdown[key] = Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+    }
+  }
+
+  // A triad is only as certain as its shakiest pair
+  const confidences = compatibilities.map(c => c.confidence).filter(c => typeof c === 'number');
+
+  return {
+    score,
+    percentage: Math.round(score * 100),
+    breakdown,
+    ...(confidences.length > 0 ? { confidence: Math.min(...confidences) } : {}),
+    ...(compatibilities.some(c => c.estimated) ? { estimated: true } : {})
+  };
+}
+
+// Largest cohort solved exactly (bitmask DP is O(2^n * n))
+const EXACT_PAIRING_LIMIT = 20;
+
+/**
+ * Exact maximum-weight pairing via DP over subsets of remaining groups
+ * Pairs as many groups as possible first, then maximizes total score among those pairings.
+ * Pairs with a null weight (excluded by constraints) are never used.
+ * @param {number} n - Number of groups
+ * @param {Function} weight - (i, j) => pair score, or null if the pair is not allowed
+ * @returns {Object} { pairs: Array<[i, j]>, unmatched: Array<number> }
+ */
+function solveExactPairing(n, weight) {
+  // Bonus per pair larger than any possible total score, so more pairs always wins
+  const PAIR_BONUS = n + 1;
+  const size = 1 << n;
+  const best = new Float64Array(size);
+  const choice = new Int8Array(size);
+
+  for (let mask = 1; mask < size; mask++) {
+    let i = 0;
+    while (!(mask & (1 << i))) i++;
+    const rest = mask ^ (1 << i);
+
+    // Option 1: leave the lowest group unmatched
+    let bestValue = best[rest];
+    let bestChoice = -1;
+
+    // Option 2: pair it with another remaining group
+    for (let j = i + 1; j < n; j++) {
+      if (!(rest & (1 << j))) continue;
+      const w = weight(i, j);
+      if (w === null) continue;
+      const value = w + PAIR_BONUS + best[rest ^ (1 << j)];
+      if (value > bestValue) {
+        bestValue = value;
+        bestChoice = j;
+      }
+    }
+
+    best[mask] = bestValue;
+    choice[mask] = bestChoice;
+  }
+
+  const pairs = [];
+  const unmatched = [];
+  let mask = size - 1;
+
+  while (mask) {
+    let i = 0;
+    while (!(mask & (1 << i))) i++;
+    const j = choice[mask];
+    if (j < 0) {
+      unmatched.push(i);
+      mask ^= 1 << i;
+    } else {
+      pairs.push([i, j]);
+      mask ^= (1 << i) | (1 << j);
+    }
+  }
+
+  return { pairs, unmatched };
+}
+
+/**
+ * Approximate maximum-weight pairing for large cohorts
+ * Greedy pairing by score, then local improvements until nothing changes:
+ * - unmatched groups are paired directly or by re-routing one existing pair
+ * - 2-opt swaps between pairs
+ * - an unmatched group takes a seat in a pair it fits better
+ * @param {number} n - Number of groups
+ * @param {Function} weight - (i, j) => pair score, or null if the pair is not allowed
+ * @returns {Object} { pairs: Array<[i, j]>, unmatched: Array<number> }
+ */
+function solveGreedyPairing(n, weight) {
+  const edges = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const w = weight(i, j);
+      if (w !== null) {
+        edges.push([i, j, w]);
+      }
+    }
+  }
+  edges.sort((a, b) => b[2] - a[2]);
+
+  const used = new Set();
+  const pairs = [];
+  for (const [i, j] of edges) {
+    if (used.has(i) || used.has(j)) continue;
+    pairs.push([i, j]);
+    used.add(i);
+    used.add(j);
+  }
+
+  let unmatched = [];
+  for (let i = 0; i < n; i++) {
+    if (!used.has(i)) unmatched.push(i);
+  }
+
+  const EPSILON = 1e-9;
+  const allowed = (i, j) => weight(i, j) !== null;
+  const total = (pairList) => pairList.reduce((sum, [i, j]) => sum + weight(i, j), 0);
+  let improved = true;
+  let passes = 0;
+
+  while (improved && passes < 100) {
+    improved = false;
+    passes++;
+
+    // Grow the pairing: u-v directly, or u-a + b-v by breaking up pair (a, b)
+    for (let x = 0; x < unmatched.length && !improved; x++) {
+      for (let y = x + 1; y < unmatched.length && !improved; y++) {
+        const [u, v] = [unmatched[x], unmatched[y]];
+
+        if (allowed(u, v)) {
+          pairs.push([u, v]);
+          improved = true;
+          break;
+        }
+
+        for (let p = 0; p < pairs.length; p++) {
+          const [a, b] = pairs[p];
+          const reroutes = [[[u, a], [b, v]], [[u, b], [a, v]]]
+            .filter(([e1, e2]) => allowed(...e1) && allowed(...e2));
+          if (reroutes.length === 0) continue;
+
+          reroutes.sort((r1, r2) => total(r2) - total(r1));
+          pairs.splice(p, 1, ...reroutes[0]);
+          improved = true;
+          break;
+        }
+      }
+
+      if (improved) {
+        const paired = new Set(pairs.flat());
+        unmatched = unmatched.filter(i => !paired.has(i));
+      }
+    }
+
+    for (let p = 0; p < pairs.length; p++) {
+      for (let q = p + 1; q < pairs.length; q++) {
+        const [a, b] = pairs[p];
+        const [c, d] = pairs[q];
+        const current = weight(a, b) + weight(c, d);
+
+        if (allowed(a, c) && allowed(b, d) && weight(a, c) + weight(b, d) > current + EPSILON) {
+          pairs[p] = [a, c];
+          pairs[q] = [b, d];
+          improved = true;
+        } else if (allowed(a, d) && allowed(b, c) && weight(a, d) + weight(b, c) > current + EPSILON) {
+          pairs[p] = [a, d];
+          pairs[q] = [b, c];
+          improved = true;
+        }
+      }
+
+      // Let an unmatched group take a seat if it fits better
+      for (let x = 0; x < unmatched.length; x++) {
+        const u = unmatched[x];
+        const [a, b] = pairs[p];
+        const current = weight(a, b);
+        const withB = allowed(u, b) ? weight(u, b) : -Infinity;
+        const withA = allowed(u, a) ? weight(u, a) : -Infinity;
+
+        if (withB > current + EPSILON && withB >= withA) {
+          pairs[p] = [u, b];
+          unmatched[x] = a;
+          improved = true;
+        } else if (withA > current + EPSILON) {
+          pairs[p] = [a, u];
+          unmatched[x] = b;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return { pairs, unmatched };
+}
+
+/**
+ * Find a global one-to-one pairing for a matching event
+ * Every group gets exactly one partner, maximizing total compatibility over the cohort.
+ * Groups left over (odd cohorts, or no allowed partner under hard constraints) are either
+ * reported as unmatched or attached to the pair they fit best as a triad.
+ * @param {Object} options - Pairing options
+ * @param {string} options.oddStrategy - 'unmatched' (default) or 'triad'
+ * @param {Function} options.onProgress - Called as (scored, total) while scoring pairs
+ * @param {Map} options.scores - Precomputed scores from scoreAllPairs (skips rescoring)
+ * @param {Object} options.scoringProfile - Resolved scoring profile (default: config default)
+ * @param {Object} options.constraints - Normalized hard constraints (default: config defaults)
+ * @param {Array} options.profiles - Groups to pair (default: every stored profile)
+ * @returns {Promise<Object|null>} { pairs, triads, unmatched, totalScore, method } or null
+ */
+async function findOptimalPairing(options = {}) {
+  const {
+    oddStrategy = 'unmatched',
+    onProgress,
+    constraints = normalizeConstraints().constraints
+  } = options;
+  const allProfiles = options.profiles || groupProfileStorage.getAllProfiles();
+
+  if (allProfiles.length < 2) {
+    return null; // Need at least 2 groups
+  }
+
+  const scores = options.scores || await scoreAllPairs(allProfiles, {
+    onProgress,
+    scoringProfile: options.scoringProfile,
+    constraints
+  });
+  const compatibilityOf = (i, j) => scores.get(getPairKey(allProfiles[i].id, allProfiles[j].id));
+  // Excluded pairs have no score
+  const weight = (i, j) => compatibilityOf(i, j)?.score ?? null;
+
+  const n = allProfiles.length;
+  const method = n <= EXACT_PAIRING_LIMIT ? 'exact' : 'greedy-2opt';
+  const solution = method === 'exact'
+    ? solveExactPairing(n, weight)
+    : solveGreedyPairing(n, weight);
+
+  const pairs = solution.pairs.map(([i, j]) => ({
+    group1: allProfiles[i],
+    group2: allProfiles[j],
+    compatibility: compatibilityOf(i, j),
+    indices: [i, j]
+  }));
+
+  const triads = [];
+  const unmatched = [];
+
+  for (const u of solution.unmatched) {
+    let bestIndex = -1;
+    let bestFit = -Infinity;
+
+    if (oddStrategy === 'triad') {
+      pairs.forEach((pair, index) => {
+        const [a, b] = pair.indices;
+        if (weight(u, a) === null || weight(u, b) === null) return;
+        if (checkConstraints([pair.group1, pair.group2, allProfiles[u]], constraints).length > 0) return;
+
+        const fit = weight(u, a) + weight(u, b);
+        if (fit > bestFit) {
+          bestFit = fit;
+          bestIndex = index;
+        }
+      });
+    }
+
+    if (bestIndex < 0) {
+      unmatched.push(allProfiles[u]);
+      continue;
+    }
+
+    const [pair] = pairs.splice(bestIndex, 1);
+    const [a, b] = pair.indices;
+    triads.push({
+      group1: pair.group1,
+      group2: pair.group2,
+      group3: allProfiles[u],
+      compatibility: combineCompatibilities([
+        compatibilityOf(a, b),
+        compatibilityOf(u, a),
+        compatibilityOf(u, b)
+      ])
+    });
+  }
+
+  const totalScore = solution.pairs.reduce((sum, [i, j]) => sum + weight(i, j), 0);
+
+  return {
+    pairs: pairs.map(({ indices, ...pair }) => pair),
+    triads,
+    unmatched,
+    totalScore,
+    method
+  };
+}
+
+// Pod sizes a matching run can ask for (2 = ordinary pairs)
+const POD_SIZES = [2, 3, 4];
+
+// Largest cohort whose pods are solved exactly (DP over subsets, like pairing)
+const EXACT_POD_LIMIT = 15;
+
+/**
+ * Check a pod size option
+ * @param {number|string} podSize - Groups per pod (strings allowed, e.g. from a query string)
+ * @returns {string|null} Error message or null if valid
+ */
+function validatePodSize(podSize) {
+  return POD_SIZES.includes(Number(podSize)) ? null : `podSize must be one of ${POD_SIZES.join(', ')}`;
+}
+
+/**
+ * Score of a pod: the sum of its pair scores
+ * @param {Array<number>} pod - Group indexes
+ * @param {Function} weight - (i, j) => pair score, or null if the pair is not allowed
+ * @returns {number|null} Sum of pair scores, or null if any pair is not allowed
+ */
+function scorePod(pod, weight) {
+  let total = 0;
+  for (let x = 0; x < pod.length; x++) {
+    for (let y = x + 1; y < pod.length; y++) {
+      const w = weight(pod[x], pod[y]);
+      if (w === null) return null;
+      total += w;
+    }
+  }
+  return total;
+}
+
+/**
+ * Exact pods of podSize groups via DP over subsets of remaining groups
+ * Forms as many pods as possible first, then maximizes the total of pair scores inside pods.
+ * @param {number} n - Number of groups
+ * @param {Function} weight - (i, j) => pair score, or null if the pair is not allowed
+ * @param {number} podSize - Groups per pod
+ * @param {Function} allowPod - (pod) => whether a full pod passes the hard constraints as a whole
+ * @returns {Object} { pods: Array<Array<number>>, unmatched: Array<number> }
+ */
+function solveExactPods(n, weight, podSize, allowPod = () => true) {
+  // Bonus per pod larger than any possible total score, so more pods always wins
+  const POD_BONUS = n * podSize + 1;
+  const size = 1 << n;
+  const best = new Float64Array(size);
+  // Bitmask of the pod formed with the lowest remaining group (0 = leave it unmatched)
+  const choice = new Int32Array(size);
+
+  for (let mask = 1; mask < size; mask++) {
+    let i = 0;
+    while (!(mask & (1 << i))) i++;
+    const rest = mask ^ (1 << i);
+
+    let bestValue = best[rest];
+    let bestChoice = 0;
+
+    const others = [];
+    for (let j = i + 1; j < n; j++) {
+      if (rest & (1 << j)) others.push(j);
+    }
+
+    // Extend the pod one group at a time, skipping groups not allowed with everyone in it
+    const extend = (pod, podBits, score, from) => {
+      if (pod.length === podSize) {
+        if (!allowPod(pod)) return;
+        const value = score + POD_BONUS + best[rest ^ (podBits ^ (1 << i))];
+        if (value > bestValue) {
+          bestValue = value;
+          bestChoice = podBits;
+        }
+        return;
+      }
+      for (let x = from; x < others.length; x++) {
+        const j = others[x];
+        let gain = 0;
+        for (const k of pod) {
+          const w = weight(k, j);
+          if (w === null) {
+            gain = null;
+            break;
+          }
+          gain += w;
+        }
+        if (gain === null) continue;
+        pod.push(j);
+        extend(pod, podBits | (1 << j), score + gain, x + 1);
+        pod.pop();
+      }
+    };
+    extend([i], 1 << i, 0, 0);
+
+    best[mask] = bestValue;
+    choice[mask] = bestChoice;
+  }
+
+  const pods = [];
+  const unmatched = [];
+  let mask = size - 1;
+
+  while (mask) {
+    let i = 0;
+    while (!(mask & (1 << i))) i++;
+    const podBits = choice[mask];
+    if (!podBits) {
+      unmatched.push(i);
+      mask ^= 1 << i;
+    } else {
+      const pod = [];
+      for (let j = 0; j < n; j++) {
+        if (podBits & (1 << j)) pod.push(j);
+      }
+      pods.push(pod);
+      mask ^= podBits;
+    }
+  }
+
+  return { pods, unmatched };
+}
+
+/**
+ * Approximate pods for large cohorts
+ * Greedy: seed each pod with the best remaining pair that can still be filled up, and fill it
+ * with the best-scoring remaining groups. If that strands enough groups for another pod, a pod
+ * is rebuilt together with them. Then groups are swapped between pods (and with unmatched
+ * groups) until nothing improves.
+ * @param {number} n - Number of groups
+ * @param {Function} weight - (i, j) => pair score, or null if the pair is not allowed
+ * @param {number} podSize - Groups per pod
+ * @param {Function} allowPod - (pod) => whether a full pod passes the hard constraints as a whole
+ * @returns {Object} { pods: Array<Array<number>>, unmatched: Array<number> }
+ */
+function solveGreedyPods(n, weight, podSize, allowPod = () => true) {
+  const EPSILON = 1e-9;
+  const free = new Set([...Array(n).keys()]);
+  const pods = [];
+
+  // Best way to fill a pod up from the free groups (exhaustive - at most two groups to add).
+  // Any free group can join the seed; added groups are tried in index order so each set is scored once.
+  const complete = (pod, lastAdded = -1) => {
+    if (pod.length === podSize) {
+      return allowPod(pod) ? { pod, score: scorePod(pod, weight) } : null;
+    }
+    let best = null;
+    for (const j of free) {
+      if (pod.includes(j) || j < lastAdded) continue;
+      if (pod.some(k => weight(k, j) === null)) continue;
+      const candidate = complete([...pod, j], j);
+      if (candidate && (!best || candidate.score > best.score)) {
+        best = candidate;
+      }
+    }
+    return best;
+  };
+
+  for (;;) {
+    // Seed with the best pair that can still be completed into a full pod
+    const seeds = [];
+    for (const i of free) {
+      for (const j of free) {
+        if (j > i && weight(i, j) !== null) {
+          seeds.push([i, j, weight(i, j)]);
+        }
+      }
+    }
+    seeds.sort((a, b) => b[2] - a[2]);
+
+    let pod = null;
+    for (const [i, j] of seeds) {
+      const completion = complete([i, j]);
+      if (completion) {
+        pod = completion.pod;
+        break;
+      }
+    }
+    if (!pod) break;
+
+    pod.forEach(i => free.delete(i));
+    pods.push(pod);
+  }
+  let unmatched = [...free];
+
+  // Repair: rebuild one pod together with the unmatched groups if that forms more pods
+  for (let a = 0; a < pods.length && unmatched.length >= podSize; a++) {
+    const local = [...pods[a], ...unmatched];
+    if (local.length > EXACT_POD_LIMIT) break;
+    const rebuilt = solveExactPods(local.length, (x, y) => weight(local[x], local[y]), podSize,
+      pod => allowPod(pod.map(x => local[x])));
+    if (rebuilt.pods.length > 1) {
+      pods.splice(a, 1, ...rebuilt.pods.map(pod => pod.map(x => local[x])));
+      unmatched = rebuilt.unmatched.map(x => local[x]);
+      a = -1;
+    }
+  }
+
+  // Local improvements: swap groups between pods, or with an unmatched group
+  let improved = true;
+  let passes = 0;
+  while (improved && passes < 100) {
+    improved = false;
+    passes++;
+
+    for (let a = 0; a < pods.length; a++) {
+      for (let x = 0; x < podSize; x++) {
+        for (let b = a + 1; b < pods.length; b++) {
+          for (let y = 0; y < podSize; y++) {
+            const podA = [...pods[a]];
+            const podB = [...pods[b]];
+            [podA[x], podB[y]] = [podB[y], podA[x]];
+            const after = [scorePod(podA, weight), scorePod(podB, weight)];
+            if (after.includes(null) || !allowPod(podA) || !allowPod(podB)) continue;
+            if (after[0] + after[1] > scorePod(pods[a], weight) + scorePod(pods[b], weight) + EPSILON) {
+              pods[a] = podA;
+              pods[b] = podB;
+              improved = true;
+            }
+          }
+        }
+
+        for (let u = 0; u < unmatched.length; u++) {
+          const podA = [...pods[a]];
+          podA[x] = unmatched[u];
+          const after = scorePod(podA, weight);
+          if (after !== null && allowPod(podA) && after > scorePod(pods[a], weight) + EPSILON) {
+            unmatched[u] = pods[a][x];
+            pods[a] = podA;
+            improved = true;
+          }
+        }
+      }
+    }
+  }
+
+  return { pods, unmatched };
+}
+
+/**
+ * Find pods of podSize groups for a matching event (podSize 2 is findOptimalPairing)
+ * Every group joins at most one pod, maximizing total compatibility inside pods; every pair
+ * in a pod must be allowed, and the pod as a whole must pass the hard constraints (e.g.
+ * maxCombinedSize). Groups left over (cohort not divisible by podSize, or no allowed
+ * pod) are either reported as unmatched or added to the pod they fit best.
+ * @param {Object} options - Pod options
+ * @param {number} options.podSize - Groups per pod (3 or 4)
+ * @param {string} options.oddStrategy - 'unmatched' (default) or 'triad' (leftovers join a pod)
+ * @param {Map} options.scores - Precomputed scores from scoreAllPairs (skips rescoring)
+ * @param {Object} options.scoringProfile - Resolved scoring profile (default: config default)
+ * @param {Object} options.constraints - Normalized hard constraints (default: config defaults)
+ * @returns {Promise<Object|null>} { pods: [{ groups, compatibility }], unmatched, totalScore, method } or null
+ */
+async function findOptimalPods(options = {}) {
+  const {
+    podSize = 3,
+    oddStrategy = 'unmatched',
+    onProgress,
+    constraints = normalizeConstraints().constraints
+  } = options;
+  const allProfiles = groupProfileStorage.getAllProfiles();
+
+  if (allProfiles.length < 2) {
+    return null; // Need at least 2 groups
+  }
+
+  const scores = options.scores || await scoreAllPairs(allProfiles, {
+    onProgress,
+    scoringProfile: options.scoringProfile,
+    constraints
+  });
+  const compatibilityOf = (i, j) => scores.get(getPairKey(allProfiles[i].id, allProfiles[j].id));
+  // Excluded pairs have no score
+  const weight = (i, j) => compatibilityOf(i, j)?.score ?? null;
+
+  // Pair scores only cover pairs; limits like maxCombinedSize apply to the whole pod
+  const podChecks = new Map();
+  const allowPod = pod => {
+    const key = [...pod].sort((a, b) => a - b).join(',');
+    if (!podChecks.has(key)) {
+      podChecks.set(key, checkConstraints(pod.map(i => allProfiles[i]), constraints).length === 0);
+    }
+    return podChecks.get(key);
+  };
+
+  const n = allProfiles.length;
+  const method = n <= EXACT_POD_LIMIT ? 'exact' : 'greedy-swap';
+  const solution = method === 'exact'
+    ? solveExactPods(n, weight, podSize, allowPod)
+    : solveGreedyPods(n, weight, podSize, allowPod);
+
+  const pods = solution.pods.map(pod => [...pod]);
+  const unmatched = [];
+
+  for (const u of solution.unmatched) {
+    let bestIndex = -1;
+    let bestFit = -Infinity;
+
+    if (oddStrategy === 'triad') {
+      // Average fit with the pod's groups; pods that already took a leftover come last
+      pods.forEach((pod, index) => {
+        const withGroup = scorePod([...pod, u], weight);
+        if (withGroup === null || !allowPod([...pod, u])) return;
+        const fit = (withGroup - scorePod(pod, weight)) / pod.length - (pod.length > podSize ? 1 : 0);
+        if (fit > bestFit) {
+          bestFit = fit;
+          bestIndex = index;
+        }
+      });
+    }
+
+    if (bestIndex < 0) {
+      unmatched.push(allProfiles[u]);
+    } else {
+      pods[bestIndex].push(u);
+    }
+  }
+
+  const pairCompatibilities = pod => {
+    const list = [];
+    for (let x = 0; x < pod.length; x++) {
+      for (let y = x + 1; y < pod.length; y++) {
+        list.push(compatibilityOf(pod[x], pod[y]));
+      }
+    }
+    return list;
+  };
+
+  return {
+    pods: pods.map(pod => ({
+      groups: pod.map(i => allProfiles[i]),
+      compatibility: combineCompatibilities(pairCompatibilities(pod))
+    })),
+    unmatched,
+    totalScore: solution.pods.reduce((sum, pod) => sum + scorePod(pod, weight), 0),
+    method
+  };
+}
+
+// Largest cohort whose blocks are searched exhaustively (set partitions grow very fast)
+const EXACT_BLOCK_LIMIT = 10;
+
+/**
+ * Total score of a block partition: the sum of pair scores over every pair sharing a block
+ * @param {Array<Array<number>>} blocks - Blocks as lists of group indexes
+ * @param {Function} weight - (i, j) => pair score
+ * @returns {number} Total score
+ */
+function scoreBlocks(blocks, weight) {
+  let total = 0;
+  for (const block of blocks) {
+    for (let x = 0; x < block.length; x++) {
+      for (let y = x + 1; y < block.length; y++) {
+        total += weight(block[x], block[y]);
+      }
+    }
+  }
+  return total;
+}
+
+/**
+ * Exact block partition for small cohorts: tries every way of placing each group
+ * @param {Array<number>} sizes - People per group
+ * @param {Function} weight - (i, j) => pair score, or null if the pair is not allowed
+ * @param {number} maxSize - Max people per block
+ * @returns {Array<Array<number>>} Blocks as lists of group indexes (groups larger than maxSize are left out)
+ */
+function solveExactBlocks(sizes, weight, maxSize) {
+  const n = sizes.length;
+  let best = { score: -1, blocks: [] };
+  const blocks = [];
+  const blockSizes = [];
+
+  const place = (i, score) => {
+    if (i === n) {
+      if (score > best.score) {
+        best = { score, blocks: blocks.map(block => [...block]) };
+      }
+      return;
+    }
+    if (sizes[i] > maxSize) {
+      place(i + 1, score);
+      return;
+    }
+
+    for (let b = 0; b < blocks.length; b++) {
+      if (blockSizes[b] + sizes[i] > maxSize) continue;
+      let gain = 0;
+      for (const j of blocks[b]) {
+        const w = weight(i, j);
+        if (w === null) {
+          gain = null;
+          break;
+        }
+        gain += w;
+      }
+      if (gain === null) continue;
+
+      blocks[b].push(i);
+      blockSizes[b] += sizes[i];
+      place(i + 1, score + gain);
+      blocks[b].pop();
+      blockSizes[b] -= sizes[i];
+    }
+
+    blocks.push([i]);
+    blockSizes.push(sizes[i]);
+    place(i + 1, score);
+    blocks.pop();
+    blockSizes.pop();
+  };
+
+  place(0, 0);
+  return best.blocks;
+}
+
+/**
+ * Approximate block partition for large cohorts
+ * Greedy merging (join the two blocks with the most score between them that still fit,
+ * once by total and once by average score between them), then single-group moves, swaps,
+ * merges and splits until nothing improves. The better of the two runs wins.
+ * @param {Array<number>} sizes - People per group
+ * @param {Function} weight - (i, j) => pair score, or null if the pair is not allowed
+ * @param {number} maxSize - Max people per block
+ * @returns {Array<Array<number>>} Blocks as lists of group indexes (groups larger than maxSize are left out)
+ */
+function solveGreedyBlocks(sizes, weight, maxSize) {
+  const EPSILON = 1e-9;
+  const sizeOf = block => block.reduce((sum, i) => sum + sizes[i], 0);
+  // Score between a group and a set of groups, or null if any pair is not allowed
+  const link = (i, groups) => {
+    let total = 0;
+    for (const j of groups) {
+      if (j === i) continue;
+      const w = weight(i, j);
+      if (w === null) return null;
+      total += w;
+    }
+    return total;
+  };
+  // Score between two blocks, or null if they can't be merged
+  const linkBlocks = (a, b) => {
+    if (sizeOf(a) + sizeOf(b) > maxSize) return null;
+    let total = 0;
+    for (const i of a) {
+      const w = link(i, b);
+      if (w === null) return null;
+      total += w;
+    }
+    return total;
+  };
+
+  const mergeGreedily = (blocks, byAverage) => {
+    for (;;) {
+      let best = null;
+      for (let a = 0; a < blocks.length; a++) {
+        for (let b = a + 1; b < blocks.length; b++) {
+          const total = linkBlocks(blocks[a], blocks[b]);
+          if (total === null) continue;
+          const gain = byAverage ? total / (blocks[a].length * blocks[b].length) : total;
+          if (!best || gain > best.gain) {
+            best = { a, b, gain };
+          }
+        }
+      }
+      if (!best) return blocks;
+      blocks[best.a] = [...blocks[best.a], ...blocks[best.b]];
+      blocks.splice(best.b, 1);
+    }
+  };
+
+  const improve = (blocks) => {
+    let improved = true;
+    let passes = 0;
+    while (improved && passes < 100) {
+      improved = false;
+      passes++;
+
+      for (let a = 0; a < blocks.length; a++) {
+        for (let b = 0; b < blocks.length; b++) {
+          if (a === b || blocks[a].length === 0 || blocks[b].length === 0) continue;
+
+          // Merge two blocks that fit together (everyone in them gains)
+          if (linkBlocks(blocks[a], blocks[b]) !== null) {
+            blocks[a] = [...blocks[a], ...blocks[b]];
+            blocks[b] = [];
+            improved = true;
+            continue;
+          }
+
+          for (const i of [...blocks[a]]) {
+            const stay = link(i, blocks[a]);
+            const move = link(i, blocks[b]);
+            if (move !== null && sizeOf(blocks[b]) + sizes[i] <= maxSize && move > stay + EPSILON) {
+              blocks[a] = blocks[a].filter(x => x !== i);
+              blocks[b] = [...blocks[b], i];
+              improved = true;
+              continue;
+            }
+
+            for (const j of blocks[b]) {
+              const restA = blocks[a].filter(x => x !== i);
+              const restB = blocks[b].filter(x => x !== j);
+              const iToB = link(i, restB);
+              const jToA = link(j, restA);
+              if (iToB === null || jToA === null) continue;
+              if (sizeOf(restA) + sizes[j] > maxSize || sizeOf(restB) + sizes[i] > maxSize) continue;
+              if (iToB + jToA > link(i, restA) + link(j, restB) + EPSILON) {
+                blocks[a] = [...restA, j];
+                blocks[b] = [...restB, i];
+                improved = true;
+                break;
+              }
+            }
+          }
+        }
+      }
+      // Split two groups of a block off into two other blocks (re-pairs fragments the merge phase left behind)
+      for (let a = 0; a < blocks.length; a++) {
+        const block = blocks[a];
+        for (let x = 0; x < block.length && blocks[a] === block; x++) {
+          for (let y = 0; y < block.length && blocks[a] === block; y++) {
+            if (x === y) continue;
+            const [i, k] = [block[x], block[y]];
+            const lost = link(i, block) + link(k, block) - weight(i, k);
+            for (let b = 0; b < blocks.length && blocks[a] === block; b++) {
+              if (b === a || sizeOf(blocks[b]) + sizes[i] > maxSize) continue;
+              const toB = link(i, blocks[b]);
+              if (toB === null) continue;
+              for (let c = 0; c < blocks.length; c++) {
+                if (c === a || c === b || sizeOf(blocks[c]) + sizes[k] > maxSize) continue;
+                const toC = link(k, blocks[c]);
+                if (toC === null || toB + toC <= lost + EPSILON) continue;
+                blocks[a] = block.filter(g => g !== i && g !== k);
+                blocks[b] = [...blocks[b], i];
+                blocks[c] = [...blocks[c], k];
+                improved = true;
+                break;
+              }
+            }
+          }
+        }
+      }
+      blocks = blocks.filter(block => block.length > 0);
+    }
+    return blocks;
+  };
+
+  const singles = () => sizes.map((size, i) => [i]).filter(([i]) => sizes[i] <= maxSize);
+  const byTotal = improve(mergeGreedily(singles(), false));
+  const byAverage = improve(mergeGreedily(singles(), true));
+  return scoreBlocks(byAverage, weight) > scoreBlocks(byTotal, weight) ? byAverage : byTotal;
+}
+
+/**
+ * Form blocks for a blocking event: every group joins a block of at most maxBlockSize people
+ * Groups that end up on their own (too big, or no compatible block with room) are leftover.
+ * Hard constraints apply to every pair inside a block.
+ * @param {Object} options - Block options
+ * @param {number} options.maxBlockSize - Max people per block (default: config.matching.blocks.maxSize)
+ * @param {Function} options.onProgress - Called as (scored, total) while scoring pairs
+ * @param {Map} options.scores - Precomputed scores from scoreAllPairs (skips rescoring)
+ * @param {Object} options.scoringProfile - Resolved scoring profile (default: config default)
+ * @param {Object} options.constraints - Normalized hard constraints (default: config defaults)
+ * @returns {Promise<Object|null>} { blocks: [{ groups, size, compatibility }], leftover: [{ group, size, reason }], totalScore, method } or null
+ */
+async function findBlocks(options = {}) {
+  const {
+    maxBlockSize = config.matching.blocks.maxSize,
+    onProgress,
+    constraints = normalizeConstraints().constraints
+  } = options;
+  const allProfiles = groupProfileStorage.getAllProfiles();
+
+  if (allProfiles.length < 2) {
+    return null; // Need at least 2 groups
+  }
+
+  const scores = options.scores || await scoreAllPairs(allProfiles, {
+    onProgress,
+    scoringProfile: options.scoringProfile,
+    constraints
+  });
+  const compatibilityOf = (i, j) => scores.get(getPairKey(allProfiles[i].id, allProfiles[j].id));
+  // Excluded pairs have no score
+  const weight = (i, j) => compatibilityOf(i, j)?.score ?? null;
+  // Groups of unknown size still take a seat
+  const sizes = allProfiles.map(g => Math.max(getGroupSize(g), 1));
+
+  const n = allProfiles.length;
+  const method = n <= EXACT_BLOCK_LIMIT ? 'exact' : 'greedy-merge';
+  const solution = method === 'exact'
+    ? solveExactBlocks(sizes, weight, maxBlockSize)
+    : solveGreedyBlocks(sizes, weight, maxBlockSize);
+  const blocks = [];
+  const leftover = [];
+
+  for (const block of solution) {
+    if (block.length === 1) continue;
+    const pairScores = [];
+    for (let x = 0; x < block.length; x++) {
+      for (let y = x + 1; y < block.length; y++) {
+        pairScores.push(compatibilityOf(block[x], block[y]));
+      }
+    }
+    blocks.push({
+      groups: block.map(i => allProfiles[i]),
+      size: block.reduce((sum, i) => sum + sizes[i], 0),
+      compatibility: combineCompatibilities(pairScores)
+    });
+  }
+
+  const inBlock = new Set(solution.filter(block => block.length > 1).flat());
+  allProfiles.forEach((group, i) => {
+    if (inBlock.has(i)) return;
+    leftover.push({
+      group,
+      size: sizes[i],
+      reason: sizes[i] > maxBlockSize
+        ? `larger than the block size (${maxBlockSize})`
+        : sizes[i] === maxBlockSize
+          ? 'fills a block on its own'
+          : 'no compatible block with room'
+    });
+  });
+
+  blocks.sort((a, b) => b.compatibility.score - a.compatibility.score);
+
+  return {
+    blocks,
+    leftover,
+    totalScore: scoreBlocks(solution, weight),
+    method
+  };
 }
 
 /**
@@ -422,9 +2520,34 @@ function getMatchingStats() {
 }
 
 module.exports = {
+  MUSIC_GENRES,
+  ACTIVITY_CATEGORIES,
+  getAnswer,
+  getGroupSize,
+  detectMusicGenre,
+  detectActivityCategories,
+  getScoringProfile,
+  listScoringProfiles,
+  normalizeConstraints,
+  normalizePrefilter,
+  normalizeFairness,
+  selectCandidatePairs,
+  normalizeSampling,
+  isLowConfidence,
+  checkConstraints,
+  filterPairs,
   calculateCompatibility,
+  calculateSemanticSimilarity,
+  getCompatibility,
   findMatchesForGroup,
   findBestMatch,
+  findOptimalPairing,
+  findOptimalPods,
+  validatePodSize,
+  findBlocks,
+  scoreAllPairs,
+  scoreCandidates,
+  getPairKey,
   getMatchingStats
 };
 
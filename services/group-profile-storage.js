@@ -5,92 +5,57 @@
  * Stores:
  * - Interview state per chat (which question, answers collected)
  * - Completed group profiles (for matching)
+ * - Matching events (one versioned record per matching run, with its matches)
+ *
+ * Where the data lives is up to the storage backend (config.storage.backend):
+ * JSON files in data/ (json-storage.js, the default) or a SQLite database
+ * (sqlite-storage.js). Callers only use the functions exported here. Every
+ * change is also journaled in the audit log (audit-log.js).
  */
 
-const fs = require('fs');
 const path = require('path');
+const config = require('../config');
+const textVectorizer = require('./text-vectorizer');
+const { getMatchMembers, isMatchOf, renameMatchMember, flagMatch, redactGroup, eraseMatchMember } = require('./match-records');
+const { createJsonStorage } = require('./json-storage');
+const auditLog = require('./audit-log');
 
-const DATA_DIR = path.join(__dirname, '../data');
-const PROFILES_FILE = path.join(DATA_DIR, 'group-profiles.json');
-const STATE_FILE = path.join(DATA_DIR, 'interview-state.json');
-const MATCHES_FILE = path.join(DATA_DIR, 'matches.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const BACKENDS = ['json', 'sqlite'];
 
 /**
- * Initialize data files if they don't exist
+ * Create the storage backend selected in config.storage
+ *
+ * A backend stores records as-is and knows nothing about IDs or versions (this
+ * module assigns them). It provides:
+ * - listProfiles(), getProfileById(id), getProfileByChatId(chatId), getProfileByGroupName(name)
+ * - insertProfile(profile), updateProfile(profile) -> found, deleteProfile(id) -> found
+ * - getInterviewState(chatId), listInterviewStates(), setInterviewState(chatId, state), deleteInterviewState(chatId)
+ * - listMatches(eventId), listMatchesForGroup(eventId, groupName), getMatch(matchId) -> { match, eventId }
+ * - putMatch(eventId, match): insert, or replace the match for the same groups (eventId null = legacy matches)
+ * - updateMatchesForGroup(group, updateMatch): rewrite every stored match of a group (all events) -> count
+ * - listEvents(), getEvent(eventId), insertEvent(event), updateEvent(eventId, updates) (events carry their matches)
+ * - close()
+ * @param {Object} storageConfig - { backend: 'json' | 'sqlite', sqlitePath }
+ * @returns {Object} Storage backend
+ * @throws {Error} If the backend is unknown
  */
-function initializeFiles() {
-  if (!fs.existsSync(PROFILES_FILE)) {
-    fs.writeFileSync(PROFILES_FILE, JSON.stringify({ groups: [] }, null, 2));
-  }
-  if (!fs.existsSync(STATE_FILE)) {
-    fs.writeFileSync(STATE_FILE, JSON.stringify({}, null, 2));
-  }
-  if (!fs.existsSync(MATCHES_FILE)) {
-    fs.writeFileSync(MATCHES_FILE, JSON.stringify({ matches: [] }, null, 2));
-  }
-}
+function createStorage(storageConfig = {}) {
+  const backend = storageConfig.backend || 'json';
 
-// Initialize on load
-initializeFiles();
-
-/**
- * Load group profiles from file
- * @returns {Object} { groups: Array }
- */
-function loadProfiles() {
-  try {
-    const data = fs.readFileSync(PROFILES_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Error loading profiles:', error);
-    return { groups: [] };
+  if (backend === 'json') {
+    return createJsonStorage();
   }
-}
-
-/**
- * Save group profiles to file
- * @param {Object} data - { groups: Array }
- */
-function saveProfiles(data) {
-  try {
-    fs.writeFileSync(PROFILES_FILE, JSON.stringify(data, null, 2));
-  } catch (error) {
-    console.error('Error saving profiles:', error);
-    throw error;
+  if (backend === 'sqlite') {
+    const { createSqliteStorage } = require('./sqlite-storage');
+    return createSqliteStorage({ file: path.resolve(__dirname, '..', storageConfig.sqlitePath || 'data/mandy.db') });
   }
+  throw new Error(`Unknown storage backend "${backend}" (use one of: ${BACKENDS.join(', ')})`);
 }
 
-/**
- * Load interview state from file
- * @returns {Object} { chatId: { questionNumber, answers, groupName, ... } }
- */
-function loadState() {
-  try {
-    const data = fs.readFileSync(STATE_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Error loading state:', error);
-    return {};
-  }
-}
-
-/**
- * Save interview state to file
- * @param {Object} state - { chatId: { ... } }
- */
-function saveState(state) {
-  try {
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
-  } catch (error) {
-    console.error('Error saving state:', error);
-    throw error;
-  }
-}
+// Every change goes through the audit log (see audit-log.js)
+const backend = createStorage(config.storage);
+auditLog.ensureSnapshot(backend);
+const storage = auditLog.createJournaledStorage(backend);
 
 /**
  * Get interview state for a chat
@@ -98,8 +63,7 @@ function saveState(state) {
  * @returns {Object|null} Interview state or null
  */
 function getInterviewState(chatId) {
-  const state = loadState();
-  return state[chatId] || null;
+  return storage.getInterviewState(chatId);
 }
 
 /**
@@ -108,9 +72,7 @@ function getInterviewState(chatId) {
  * @param {Object} interviewState - State object
  */
 function setInterviewState(chatId, interviewState) {
-  const state = loadState();
-  state[chatId] = interviewState;
-  saveState(state);
+  storage.setInterviewState(chatId, interviewState);
 }
 
 /**
@@ -118,9 +80,7 @@ function setInterviewState(chatId, interviewState) {
  * @param {string} chatId - Chat ID
  */
 function clearInterviewState(chatId) {
-  const state = loadState();
-  delete state[chatId];
-  saveState(state);
+  storage.deleteInterviewState(chatId);
 }
 
 /**
@@ -129,10 +89,7 @@ function clearInterviewState(chatId) {
  * @returns {boolean} True if exists
  */
 function groupNameExists(groupName) {
-  const profiles = loadProfiles();
-  return profiles.groups.some(g => 
-    g.groupName && g.groupName.toLowerCase() === groupName.toLowerCase()
-  );
+  return storage.getProfileByGroupName(groupName) !== null;
 }
 
 /**
@@ -141,18 +98,17 @@ function groupNameExists(groupName) {
  * @returns {Object} Saved profile with ID
  */
 function saveGroupProfile(profile) {
-  const profiles = loadProfiles();
-  
   // Add metadata
   const fullProfile = {
     ...profile,
     id: `group_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
     createdAt: new Date().toISOString(),
-    profileVersion: '1.0'
+    profileVersion: '1.0',
+    // Local text vector of free-text answers (used for semantic similarity in matching)
+    textVector: textVectorizer.vectorizeProfile(profile)
   };
   
-  profiles.groups.push(fullProfile);
-  saveProfiles(profiles);
+  storage.insertProfile(fullProfile);
   
   console.log(`✅ Saved group profile: ${fullProfile.groupName} (ID: ${fullProfile.id})`);
   return fullProfile;
@@ -163,8 +119,7 @@ function saveGroupProfile(profile) {
  * @returns {Array} Array of group profiles
  */
 function getAllProfiles() {
-  const profiles = loadProfiles();
-  return profiles.groups || [];
+  return storage.listProfiles();
 }
 
 /**
@@ -173,10 +128,7 @@ function getAllProfiles() {
  * @returns {Object|null} Profile or null
  */
 function getProfileByGroupName(groupName) {
-  const profiles = loadProfiles();
-  return profiles.groups.find(g => 
-    g.groupName && g.groupName.toLowerCase() === groupName.toLowerCase()
-  ) || null;
+  return storage.getProfileByGroupName(groupName);
 }
 
 /**
@@ -185,76 +137,497 @@ function getProfileByGroupName(groupName) {
  * @returns {Object|null} Profile or null
  */
 function getProfileByChatId(chatId) {
-  const profiles = loadProfiles();
-  return profiles.groups.find(g => g.chatId === chatId) || null;
+  return storage.getProfileByChatId(chatId);
 }
 
+// Profile fields that can be edited through updateGroupProfile()
+const EDITABLE_FIELDS = ['groupName', 'answers'];
+
 /**
- * Load matches from file
- * @returns {Object} { matches: Array }
+ * Get a profile by ID
+ * @param {string} groupId - Group ID
+ * @returns {Object|null} Profile or null
  */
-function loadMatches() {
-  try {
-    const data = fs.readFileSync(MATCHES_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Error loading matches:', error);
-    return { matches: [] };
+function getProfileById(groupId) {
+  return storage.getProfileById(groupId);
+}
+
+/**
+ * Validate a profile edit
+ * @param {Object} raw - { groupName, answers } (answers are merged; a null answer removes it)
+ * @returns {Object} { updates, error } - error is a message string, or null if valid
+ */
+function normalizeProfileUpdates(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { updates: null, error: 'Body must be a JSON object' };
+  }
+
+  const unknown = Object.keys(raw).filter(field => !EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { updates: null, error: `Unknown field(s): ${unknown.join(', ')} (editable: ${EDITABLE_FIELDS.join(', ')})` };
+  }
+  if (Object.keys(raw).length === 0) {
+    return { updates: null, error: `Nothing to update (editable: ${EDITABLE_FIELDS.join(', ')})` };
+  }
+
+  const updates = {};
+  if (raw.groupName !== undefined) {
+    if (typeof raw.groupName !== 'string' || !raw.groupName.trim()) {
+      return { updates: null, error: 'groupName must be a non-empty string' };
+    }
+    updates.groupName = raw.groupName.trim();
+  }
+  if (raw.answers !== undefined) {
+    if (!raw.answers || typeof raw.answers !== 'object' || Array.isArray(raw.answers)) {
+      return { updates: null, error: 'answers must be an object, e.g. { "question2": "5" }' };
+    }
+    const invalid = Object.entries(raw.answers).filter(([, value]) => value !== null && typeof value !== 'string');
+    if (invalid.length > 0) {
+      return { updates: null, error: `Answers must be strings (or null to remove): ${invalid.map(([key]) => key).join(', ')}` };
+    }
+    updates.answers = raw.answers;
   }
+
+  return { updates, error: null };
 }
 
 /**
- * Save matches to file
- * @param {Object} data - { matches: Array }
+ * Apply answer edits
+ * @param {Object} answers - Current answers
+ * @param {Object} edits - Answer -> new text (null removes it)
+ * @returns {Object} New answers
  */
-function saveMatches(data) {
-  try {
-    fs.writeFileSync(MATCHES_FILE, JSON.stringify(data, null, 2));
-  } catch (error) {
-    console.error('Error saving matches:', error);
-    throw error;
+function applyAnswerEdits(answers, edits) {
+  const updated = { ...answers };
+  for (const [key, value] of Object.entries(edits)) {
+    if (value === null) {
+      delete updated[key];
+    } else {
+      updated[key] = value;
+    }
   }
+  return updated;
 }
 
 /**
- * Save a match result
- * @param {Object} match - Match object { group1, group2, compatibility, matchedAt }
+ * Edit a group profile
+ * A new name is written into every stored match of the group (all events). Matches
+ * of a group whose answers changed are flagged 'profile-updated', since their
+ * scores were computed from the old answers.
+ * @param {string} groupId - Group ID
+ * @param {Object} updates - Validated edits from normalizeProfileUpdates()
+ * @returns {Object|null} { profile, matchesUpdated } or null if the group doesn't exist
+ * @throws {Error} If another group already has the new name
  */
-function saveMatch(match) {
-  const matchesData = loadMatches();
-  
-  // Check if this match already exists (same pair)
-  const existingIndex = matchesData.matches.findIndex(m => 
-    (m.group1Name === match.group1Name && m.group2Name === match.group2Name) ||
-    (m.group1Name === match.group2Name && m.group2Name === match.group1Name)
+function updateGroupProfile(groupId, updates) {
+  const profile = storage.getProfileById(groupId);
+  if (!profile) {
+    return null;
+  }
+
+  const renamed = updates.groupName !== undefined && updates.groupName !== profile.groupName;
+  if (renamed) {
+    const existing = storage.getProfileByGroupName(updates.groupName);
+    if (existing && existing.id !== groupId) {
+      throw new Error(`Group name "${updates.groupName}" is already taken`);
+    }
+  }
+
+  const answers = updates.answers ? applyAnswerEdits(profile.answers || {}, updates.answers) : profile.answers;
+  const answersChanged = JSON.stringify(answers) !== JSON.stringify(profile.answers);
+
+  const updated = {
+    ...profile,
+    groupName: renamed ? updates.groupName : profile.groupName,
+    answers,
+    updatedAt: new Date().toISOString()
+  };
+  if (answersChanged) {
+    updated.textVector = textVectorizer.vectorizeProfile(updated);
+  }
+  storage.updateProfile(updated);
+
+  let matchesUpdated = 0;
+  if (renamed || answersChanged) {
+    matchesUpdated = storage.updateMatchesForGroup(profile, match => {
+      const result = renamed ? renameMatchMember(match, profile, updated.groupName) : match;
+      return answersChanged
+        ? flagMatch(result, { type: 'profile-updated', groupId, groupName: updated.groupName })
+        : result;
+    });
+  }
+
+  console.log(`✏️  Updated group profile: ${updated.groupName} (ID: ${groupId}, ${matchesUpdated} matches updated)`);
+  return { profile: updated, matchesUpdated };
+}
+
+/**
+ * Delete a group profile
+ * Its matches stay in their matching events (they're a record of what was sent
+ * out) but are flagged 'group-deleted'.
+ * @param {string} groupId - Group ID
+ * @returns {Object|null} { profile, matchesFlagged } or null if the group doesn't exist
+ */
+function deleteGroupProfile(groupId) {
+  const profile = storage.getProfileById(groupId);
+  if (!profile) {
+    return null;
+  }
+
+  storage.deleteProfile(groupId);
+  const matchesFlagged = storage.updateMatchesForGroup(profile, match =>
+    flagMatch(match, { type: 'group-deleted', groupId, groupName: profile.groupName })
   );
-  
-  const matchToSave = {
+
+  console.log(`🗑️  Deleted group profile: ${profile.groupName} (ID: ${groupId}, ${matchesFlagged} matches flagged)`);
+  return { profile, matchesFlagged };
+}
+
+/**
+ * Fold a duplicate profile into another one
+ * The target keeps its own name and answers and takes any answers only the
+ * duplicate has. The duplicate is deleted; the target lists it in `mergedFrom`.
+ * The duplicate's matches are flagged 'group-merged' (with `mergedInto`), and the
+ * target's matches 'profile-updated' if it gained answers.
+ * @param {string} duplicateId - ID of the profile to fold in (deleted)
+ * @param {string} targetId - ID of the profile to keep
+ * @returns {Object|null} { profile, duplicate, matchesFlagged } or null if either group doesn't exist
+ * @throws {Error} If both IDs are the same
+ */
+function mergeGroupProfiles(duplicateId, targetId) {
+  if (duplicateId === targetId) {
+    throw new Error('Cannot merge a group into itself');
+  }
+
+  const duplicate = storage.getProfileById(duplicateId);
+  const target = storage.getProfileById(targetId);
+  if (!duplicate || !target) {
+    return null;
+  }
+
+  const answers = { ...(duplicate.answers || {}), ...(target.answers || {}) };
+  const answersChanged = JSON.stringify(answers) !== JSON.stringify(target.answers || {});
+  const mergedAt = new Date().toISOString();
+
+  const merged = {
+    ...target,
+    answers,
+    mergedFrom: [
+      ...(target.mergedFrom || []),
+      { id: duplicate.id, groupName: duplicate.groupName, chatId: duplicate.chatId || null, createdAt: duplicate.createdAt, mergedAt }
+    ],
+    updatedAt: mergedAt
+  };
+  if (answersChanged) {
+    merged.textVector = textVectorizer.vectorizeProfile(merged);
+  }
+
+  storage.updateProfile(merged);
+  storage.deleteProfile(duplicateId);
+
+  let matchesFlagged = storage.updateMatchesForGroup(duplicate, match =>
+    flagMatch(match, {
+      type: 'group-merged',
+      groupId: duplicate.id,
+      groupName: duplicate.groupName,
+      mergedInto: { groupId: target.id, groupName: target.groupName }
+    })
+  );
+  if (answersChanged) {
+    matchesFlagged += storage.updateMatchesForGroup(target, match =>
+      flagMatch(match, { type: 'profile-updated', groupId: target.id, groupName: target.groupName })
+    );
+  }
+
+  console.log(`🔀 Merged group profile ${duplicate.groupName} into ${target.groupName} (${matchesFlagged} matches flagged)`);
+  return { profile: merged, duplicate, matchesFlagged };
+}
+
+/**
+ * List every ID, name and chat a group has been stored under
+ * A merged profile also answers for the duplicates folded into it.
+ * @param {Object} profile - Group profile
+ * @returns {Array} [{ id, groupName, chatId }], the profile itself first
+ */
+function getGroupIdentities(profile) {
+  return [profile, ...(profile.mergedFrom || [])].map(({ id, groupName, chatId }) => ({ id, groupName, chatId: chatId || null }));
+}
+
+/**
+ * Collect the matches and ranking requests of a group (privacy export)
+ * Looks through legacy matches and every matching event, under all the group's identities.
+ * @param {Object} profile - Group profile
+ * @returns {Object} { matches: [{ eventId, eventVersion, match }], rankings: [{ eventId, eventVersion, request }] }
+ */
+function getGroupRecords(profile) {
+  const identities = getGroupIdentities(profile);
+  const isGroupMatch = match => identities.some(identity => isMatchOf(match, identity));
+
+  const matches = storage.listMatches(null)
+    .filter(isGroupMatch)
+    .map(match => ({ eventId: null, eventVersion: null, match }));
+  const rankings = [];
+
+  for (const event of listEvents()) {
+    for (const match of event.matches.filter(isGroupMatch)) {
+      matches.push({ eventId: event.id, eventVersion: event.version, match });
+    }
+    for (const identity of identities) {
+      if (event.rankings?.[identity.id]) {
+        rankings.push({ eventId: event.id, eventVersion: event.version, request: event.rankings[identity.id] });
+      }
+    }
+  }
+
+  return { matches, rankings };
+}
+
+/**
+ * Permanently erase a group profile (privacy request)
+ * Unlike deleteGroupProfile(), nothing identifying is kept: the profile is
+ * deleted, and everywhere the group appears in matches and matching events
+ * (names, IDs, rankings, summaries) it's replaced by the placeholder. Its
+ * matches also lose their explanation text and are flagged 'group-erased', and
+ * its ranking replies lose their message text.
+ * Interview state, match history and cached scores are handled by privacy.js.
+ * @param {string} groupId - Group ID
+ * @param {Object} placeholder - { id, groupName } to put in the group's place
+ * @returns {Object|null} { profile, identities, matchesScrubbed, eventsScrubbed } or null if the group doesn't exist
+ */
+function eraseGroupProfile(groupId, placeholder) {
+  const profile = storage.getProfileById(groupId);
+  if (!profile) {
+    return null;
+  }
+
+  const identities = getGroupIdentities(profile);
+  storage.deleteProfile(groupId);
+
+  let matchesScrubbed = 0;
+  for (const identity of identities) {
+    matchesScrubbed += storage.updateMatchesForGroup(identity, match => eraseMatchMember(match, identities, placeholder));
+  }
+
+  let eventsScrubbed = 0;
+  for (const { matches, ...event } of storage.listEvents()) {
+    const scrubbed = identities.reduce((record, identity) => redactGroup(record, identity, placeholder), event);
+    // The group's own ranking reply is message text
+    if (scrubbed.rankings?.[placeholder.id]) {
+      delete scrubbed.rankings[placeholder.id].raw;
+    }
+    if (JSON.stringify(scrubbed) !== JSON.stringify(event)) {
+      storage.updateEvent(event.id, scrubbed);
+      eventsScrubbed++;
+    }
+  }
+
+  console.log(`🧹 Erased group profile ${groupId} (${matchesScrubbed} matches and ${eventsScrubbed} events scrubbed)`);
+  return { profile, identities, matchesScrubbed, eventsScrubbed };
+}
+
+/**
+ * Fill in a match's ID and timestamp before it's stored
+ * @param {Object} match - Match to store
+ * @returns {Object} Match with id and matchedAt
+ */
+function prepareMatch(match) {
+  return {
     ...match,
     matchedAt: match.matchedAt || new Date().toISOString(),
     id: match.id || `match_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
   };
-  
-  if (existingIndex >= 0) {
-    // Update existing match
-    matchesData.matches[existingIndex] = matchToSave;
-  } else {
-    // Add new match
-    matchesData.matches.push(matchToSave);
-  }
-  
-  saveMatches(matchesData);
-  console.log(`✅ Saved match: ${match.group1Name} ↔ ${match.group2Name} (${match.compatibility.percentage}%)`);
+}
+
+/**
+ * Save a match result (legacy matches.json, outside any matching event)
+ * Replaces an existing legacy match for the same groups.
+ * @param {Object} match - Match object { group1, group2, compatibility, matchedAt, explanation }
+ */
+function saveMatch(match) {
+  const matchToSave = prepareMatch(match);
+  storage.putMatch(null, matchToSave);
+  console.log(`✅ Saved match: ${getMatchMembers(match).map(m => m.groupName).join(' ↔ ')} (${match.compatibility.percentage}%)`);
   return matchToSave;
 }
 
 /**
- * Get all stored matches
+ * Get all current matches
+ * Current = the published matching event, else the latest completed one.
+ * Falls back to legacy matches.json when no event has completed yet.
  * @returns {Array} Array of matches
  */
 function getAllMatches() {
-  const matchesData = loadMatches();
-  return matchesData.matches || [];
+  const currentEvent = getCurrentEvent();
+  if (currentEvent) {
+    return currentEvent.matches;
+  }
+  return storage.listMatches(null);
+}
+
+/**
+ * Get a match by ID
+ * Looks in the current matches first, then every matching event.
+ * @param {string} matchId - Match ID
+ * @returns {Object|null} Match or null
+ */
+function getMatchById(matchId) {
+  const current = getAllMatches().find(m => m.id === matchId);
+  if (current) {
+    return current;
+  }
+
+  const found = storage.getMatch(matchId);
+  if (!found) {
+    return null;
+  }
+  return found.eventId ? { ...found.match, eventId: found.eventId } : found.match;
+}
+
+/**
+ * Create a matching event (status: 'running')
+ * @param {Object} event - { config, profileIds }
+ * @returns {Object} Created event
+ */
+function createEvent(event) {
+  const version = storage.listEvents().reduce((max, e) => Math.max(max, e.version || 0), 0) + 1;
+
+  const eventToSave = {
+    id: `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    version,
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+    published: false,
+    publishedAt: null,
+    config: event.config || {},
+    profileIds: event.profileIds || [],
+    summary: null,
+    error: null,
+    matches: []
+  };
+
+  storage.insertEvent(eventToSave);
+  console.log(`🗂️  Created matching event v${version}: ${eventToSave.id}`);
+  return eventToSave;
+}
+
+/**
+ * Update fields of a matching event
+ * @param {string} eventId - Event ID
+ * @param {Object} updates - Fields to set (e.g. status, summary, completedAt)
+ * @returns {Object|null} Updated event or null if not found
+ */
+function updateEvent(eventId, updates) {
+  return storage.updateEvent(eventId, updates);
+}
+
+/**
+ * Get a matching event by ID
+ * @param {string} eventId - Event ID
+ * @returns {Object|null} Event (with matches) or null
+ */
+function getEvent(eventId) {
+  return storage.getEvent(eventId);
+}
+
+/**
+ * List matching events, newest first
+ * @returns {Array} Events (with matches)
+ */
+function listEvents() {
+  return [...storage.listEvents()].sort((a, b) => (b.version || 0) - (a.version || 0));
+}
+
+/**
+ * Get the current matching event
+ * @returns {Object|null} Published event, else the latest completed event, else null
+ */
+function getCurrentEvent() {
+  const events = listEvents();
+  return events.find(e => e.published) || events.find(e => e.status === 'completed') || null;
+}
+
+/**
+ * Mark a completed matching event as published (unpublishes any other event)
+ * @param {string} eventId - Event ID
+ * @returns {Object} Published event
+ * @throws {Error} If the event doesn't exist or hasn't completed
+ */
+function publishEvent(eventId) {
+  const event = storage.getEvent(eventId);
+
+  if (!event) {
+    throw new Error(`Matching event "${eventId}" not found`);
+  }
+  if (event.status !== 'completed') {
+    throw new Error(`Matching event "${eventId}" is ${event.status} - only completed events can be published`);
+  }
+
+  for (const other of storage.listEvents()) {
+    if (other.published && other.id !== eventId) {
+      storage.updateEvent(other.id, { published: false });
+    }
+  }
+  const published = storage.updateEvent(eventId, {
+    published: true,
+    publishedAt: new Date().toISOString()
+  });
+
+  console.log(`📣 Published matching event v${published.version}: ${published.id}`);
+  return published;
+}
+
+/**
+ * Save a match result into a matching event
+ * @param {string} eventId - Event ID
+ * @param {Object} match - Match object (same shape as saveMatch)
+ * @returns {Object} Saved match
+ * @throws {Error} If the event doesn't exist
+ */
+function saveEventMatch(eventId, match) {
+  const event = storage.getEvent(eventId);
+
+  if (!event) {
+    throw new Error(`Matching event "${eventId}" not found`);
+  }
+
+  const matchToSave = prepareMatch(match);
+  storage.putMatch(eventId, matchToSave);
+  console.log(`✅ Saved match: ${getMatchMembers(match).map(m => m.groupName).join(' ↔ ')} (${match.compatibility.percentage}%) [event v${event.version}]`);
+  return matchToSave;
+}
+
+/**
+ * Store a group's ranking reply on a matching event (preference matching)
+ * @param {string} eventId - Event ID
+ * @param {string} groupId - ID of the group that replied
+ * @param {Object} reply - { ranking: [group IDs], raw, receivedAt }
+ * @returns {Object} Updated ranking request { candidates, ranking, raw, requestedAt, receivedAt, ... }
+ * @throws {Error} If the event doesn't exist or never asked this group
+ */
+function saveEventRanking(eventId, groupId, reply) {
+  const event = storage.getEvent(eventId);
+
+  if (!event) {
+    throw new Error(`Matching event "${eventId}" not found`);
+  }
+  if (!event.rankings?.[groupId]) {
+    throw new Error(`Matching event "${eventId}" has no ranking request for group "${groupId}"`);
+  }
+
+  Object.assign(event.rankings[groupId], reply);
+  storage.updateEvent(eventId, { rankings: event.rankings });
+  return event.rankings[groupId];
+}
+
+/**
+ * Get all matches of a matching event
+ * @param {string} eventId - Event ID
+ * @returns {Array} Array of matches (empty if the event doesn't exist)
+ */
+function getEventMatches(eventId) {
+  const event = getEvent(eventId);
+  return event ? event.matches : [];
 }
 
 /**
@@ -263,11 +636,8 @@ function getAllMatches() {
  * @returns {Array} Array of matches for this group
  */
 function getMatchesForGroup(groupName) {
-  const allMatches = getAllMatches();
-  return allMatches.filter(m => 
-    m.group1Name.toLowerCase() === groupName.toLowerCase() ||
-    m.group2Name.toLowerCase() === groupName.toLowerCase()
-  );
+  const currentEvent = getCurrentEvent();
+  return storage.listMatchesForGroup(currentEvent ? currentEvent.id : null, groupName);
 }
 
 /**
@@ -275,15 +645,15 @@ function getMatchesForGroup(groupName) {
  * @returns {Object} Statistics
  */
 function getStats() {
-  const profiles = loadProfiles();
-  const state = loadState();
+  const profiles = getAllProfiles();
+  const state = storage.listInterviewStates();
   const matches = getAllMatches();
   
   return {
-    totalProfiles: profiles.groups.length,
+    totalProfiles: profiles.length,
     activeInterviews: Object.keys(state).length,
     totalMatches: matches.length,
-    groups: profiles.groups.map(g => ({
+    groups: profiles.map(g => ({
       name: g.groupName,
       id: g.id,
       createdAt: g.createdAt
@@ -298,8 +668,7 @@ function getStats() {
  * @returns {Object|null} Group response state or null
  */
 function getGroupResponseState(chatId) {
-  const state = loadState();
-  return state[chatId]?.groupResponseState || null;
+  return storage.getInterviewState(chatId)?.groupResponseState || null;
 }
 
 /**
@@ -308,12 +677,9 @@ function getGroupResponseState(chatId) {
  * @param {Object} responseState - Group response state object
  */
 function setGroupResponseState(chatId, responseState) {
-  const state = loadState();
-  if (!state[chatId]) {
-    state[chatId] = {};
-  }
-  state[chatId].groupResponseState = responseState;
-  saveState(state);
+  const interviewState = storage.getInterviewState(chatId) || {};
+  interviewState.groupResponseState = responseState;
+  storage.setInterviewState(chatId, interviewState);
 }
 
 /**
@@ -340,12 +706,11 @@ function initializeGroupResponseTracking(chatId, groupSize, userIds) {
  * @returns {Object} { allResponded: boolean, remainingCount: number }
  */
 function recordUserResponse(chatId, userId, response) {
-  const state = loadState();
-  if (!state[chatId]?.groupResponseState) {
+  const responseState = getGroupResponseState(chatId);
+  if (!responseState) {
     return { allResponded: false, remainingCount: -1 };
   }
   
-  const responseState = state[chatId].groupResponseState;
   const questionNum = responseState.currentQuestionNumber;
   
   if (!responseState.responses[questionNum]) {
@@ -369,12 +734,11 @@ function recordUserResponse(chatId, userId, response) {
  * @param {string} chatId - Chat ID
  */
 function moveToNextQuestion(chatId) {
-  const state = loadState();
-  if (!state[chatId]?.groupResponseState) {
+  const responseState = getGroupResponseState(chatId);
+  if (!responseState) {
     return;
   }
   
-  const responseState = state[chatId].groupResponseState;
   responseState.currentQuestionNumber += 1;
   setGroupResponseState(chatId, responseState);
 }
@@ -385,17 +749,17 @@ function moveToNextQuestion(chatId) {
  * @returns {Object|null} Object mapping userId to response, or null
  */
 function getCurrentQuestionResponses(chatId) {
-  const state = loadState();
-  if (!state[chatId]?.groupResponseState) {
+  const responseState = getGroupResponseState(chatId);
+  if (!responseState) {
     return null;
   }
   
-  const responseState = state[chatId].groupResponseState;
   const questionNum = responseState.currentQuestionNumber;
   return responseState.responses[questionNum] || null;
 }
 
 module.exports = {
+  createStorage,
   getInterviewState,
   setInterviewState,
   clearInterviewState,
@@ -404,8 +768,26 @@ module.exports = {
   getAllProfiles,
   getProfileByGroupName,
   getProfileByChatId,
+  getProfileById,
+  normalizeProfileUpdates,
+  updateGroupProfile,
+  deleteGroupProfile,
+  mergeGroupProfiles,
+  getGroupRecords,
+  eraseGroupProfile,
   saveMatch,
   getAllMatches,
+  getMatchById,
+  createEvent,
+  updateEvent,
+  getEvent,
+  listEvents,
+  getCurrentEvent,
+  publishEvent,
+  saveEventMatch,
+  saveEventRanking,
+  getEventMatches,
+  getMatchMembers,
   getMatchesForGroup,
   getStats,
   getGroupResponseState,
@@ -0,0 +1,153 @@
+/**
+ * JSON Files
+ *
+ * Safe reads and writes for the JSON files in data/:
+ * - Atomic writes: the data goes to a temp file next to the target, is flushed
+ *   to disk, then renamed over the target. A crash mid-write leaves the old file
+ *   intact instead of a half-written one.
+ * - One lock per file: updateJsonFile() holds the file's lock from read to write
+ *   and runs synchronously, so no other request in this process can slip a write
+ *   in between and have it overwritten. Updating a file again from inside its
+ *   own update (which would lose one of the writes) throws.
+ * - Corrupt files: a file that exists but doesn't parse (or has the wrong shape)
+ *   is reported with an ECORRUPT error instead of being read as empty, and is
+ *   never overwritten. Fix it or move it away to continue.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Files currently being updated
+const locked = new Set();
+
+// Files found corrupt on the last read (writes are refused until they read fine)
+const corrupt = new Set();
+
+/**
+ * Build the error for a corrupt file
+ * @param {string} file - File path
+ * @param {string} reason - What's wrong with it
+ * @returns {Error} Error with code 'ECORRUPT' and `file`
+ */
+function corruptFileError(file, reason) {
+  const error = new Error(`${file} is corrupt (${reason}) - fix or move it away; it won't be overwritten`);
+  error.code = 'ECORRUPT';
+  error.file = file;
+  return error;
+}
+
+/**
+ * Read a JSON file
+ * @param {string} file - File path
+ * @param {Object} options - Options
+ * @param {*} options.empty - Value for a missing file (copied, never shared)
+ * @param {Function} options.isValid - (data) => boolean, checks the file's shape
+ * @returns {*} Parsed contents, or a copy of `empty` if the file doesn't exist
+ * @throws {Error} ECORRUPT if the file is empty, doesn't parse or has the wrong shape
+ */
+function readJsonFile(file, options = {}) {
+  const { empty = {}, isValid = () => true } = options;
+
+  if (!fs.existsSync(file)) {
+    return JSON.parse(JSON.stringify(empty));
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    corrupt.add(file);
+    throw corruptFileError(file, text.trim() ? error.message : 'file is empty');
+  }
+
+  if (!isValid(data)) {
+    corrupt.add(file);
+    throw corruptFileError(file, 'unexpected contents');
+  }
+
+  corrupt.delete(file);
+  return data;
+}
+
+/**
+ * Write a file atomically (temp file + rename)
+ * @param {string} file - File path
+ * @param {string} text - Contents
+ */
+function writeFileAtomic(file, text) {
+  const tempFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`);
+  try {
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+      fs.writeSync(fd, text);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, file);
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON file atomically (temp file + rename)
+ * @param {string} file - File path
+ * @param {*} data - Contents
+ * @throws {Error} ECORRUPT if the file was found corrupt and hasn't been fixed
+ */
+function writeJsonFile(file, data) {
+  if (corrupt.has(file)) {
+    throw corruptFileError(file, 'found corrupt earlier');
+  }
+  writeFileAtomic(file, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Run a synchronous function while holding a file's lock
+ * @param {string} file - File path
+ * @param {Function} fn - Synchronous function to run
+ * @returns {*} fn's return value
+ * @throws {Error} If the file is already locked (a nested update of the same file)
+ */
+function withFileLock(file, fn) {
+  if (locked.has(file)) {
+    throw new Error(`${file} is already being updated - a nested update would overwrite it`);
+  }
+
+  locked.add(file);
+  try {
+    return fn();
+  } finally {
+    locked.delete(file);
+  }
+}
+
+/**
+ * Read-modify-write a JSON file under its lock
+ * Nothing is written if `mutate` throws.
+ * @param {string} file - File path
+ * @param {Object} options - readJsonFile options ({ empty, isValid })
+ * @param {Function} mutate - (data) => result; changes `data` in place
+ * @returns {*} mutate's return value
+ * @throws {Error} ECORRUPT if the file is corrupt, or whatever `mutate` throws
+ */
+function updateJsonFile(file, options, mutate) {
+  return withFileLock(file, () => {
+    const data = readJsonFile(file, options);
+    const result = mutate(data);
+    writeJsonFile(file, data);
+    return result;
+  });
+}
+
+module.exports = {
+  corruptFileError,
+  writeFileAtomic,
+  readJsonFile,
+  writeJsonFile,
+  updateJsonFile,
+  withFileLock
+};
@@ -0,0 +1,264 @@
+/**
+ * JSON File Storage Backend
+ *
+ * The original storage: one JSON file per collection in data/, read and
+ * rewritten as a whole on every call. Easy to inspect and back up; fine for
+ * small cohorts. Writes are atomic and locked per file, and a corrupt file
+ * fails loudly instead of reading as empty (see json-file.js).
+ *
+ * Files:
+ * - group-profiles.json: { groups: [...] }
+ * - interview-state.json: { chatId: state }
+ * - matches.json: { matches: [...] } (legacy matches outside any matching event)
+ * - matching-events.json: { events: [...] } (each event holds its matches)
+ *
+ * See group-profile-storage.js for the backend interface.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getMatchMembers, getMatchKey, isMatchOf } = require('./match-records');
+const { readJsonFile, writeJsonFile, updateJsonFile } = require('./json-file');
+
+const DATA_DIR = path.join(__dirname, '../data');
+
+/**
+ * Create a JSON file storage backend
+ * @param {Object} options - Options
+ * @param {string} options.dataDir - Directory holding the JSON files (default: data/)
+ * @returns {Object} Storage backend
+ */
+function createJsonStorage(options = {}) {
+  const dataDir = options.dataDir || DATA_DIR;
+  const PROFILES_FILE = path.join(dataDir, 'group-profiles.json');
+  const STATE_FILE = path.join(dataDir, 'interview-state.json');
+  const MATCHES_FILE = path.join(dataDir, 'matches.json');
+  const EVENTS_FILE = path.join(dataDir, 'matching-events.json');
+
+  // Expected shape of each file (a file that doesn't match is treated as corrupt)
+  const isObject = data => data !== null && typeof data === 'object' && !Array.isArray(data);
+  const FILES = {
+    profiles: { file: PROFILES_FILE, empty: { groups: [] }, isValid: data => Array.isArray(data?.groups) },
+    state: { file: STATE_FILE, empty: {}, isValid: isObject },
+    matches: { file: MATCHES_FILE, empty: { matches: [] }, isValid: data => Array.isArray(data?.matches) },
+    events: { file: EVENTS_FILE, empty: { events: [] }, isValid: data => Array.isArray(data?.events) }
+  };
+
+  // Ensure data directory and files exist
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+  for (const { file, empty } of Object.values(FILES)) {
+    if (!fs.existsSync(file)) {
+      writeJsonFile(file, empty);
+    }
+  }
+
+  /**
+   * Read one of the files
+   * @param {string} name - Key in FILES
+   * @returns {Object} Parsed contents
+   * @throws {Error} ECORRUPT if the file is corrupt
+   */
+  function load(name) {
+    try {
+      return readJsonFile(FILES[name].file, FILES[name]);
+    } catch (error) {
+      console.error(`❌ Error loading ${name}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Read-modify-write one of the files (atomic, under the file's lock)
+   * @param {string} name - Key in FILES
+   * @param {Function} mutate - (data) => result; changes data in place
+   * @returns {*} mutate's return value
+   * @throws {Error} ECORRUPT if the file is corrupt, or whatever mutate throws
+   */
+  function update(name, mutate) {
+    try {
+      return updateJsonFile(FILES[name].file, FILES[name], mutate);
+    } catch (error) {
+      console.error(`❌ Error saving ${name}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert a match into a list, replacing the match for the same groups
+   * @param {Array} matches - Match list (modified in place)
+   * @param {Object} match - Match to store
+   */
+  function upsert(matches, match) {
+    const key = getMatchKey(match);
+    const existingIndex = matches.findIndex(m => getMatchKey(m) === key);
+    if (existingIndex >= 0) {
+      matches[existingIndex] = match;
+    } else {
+      matches.push(match);
+    }
+  }
+
+  return {
+    name: 'json',
+
+    listProfiles() {
+      return load('profiles').groups;
+    },
+
+    getProfileById(groupId) {
+      return load('profiles').groups.find(g => g.id === groupId) || null;
+    },
+
+    getProfileByChatId(chatId) {
+      return load('profiles').groups.find(g => g.chatId === chatId) || null;
+    },
+
+    getProfileByGroupName(groupName) {
+      return load('profiles').groups.find(g =>
+        g.groupName && g.groupName.toLowerCase() === groupName.toLowerCase()
+      ) || null;
+    },
+
+    insertProfile(profile) {
+      update('profiles', profiles => {
+        profiles.groups.push(profile);
+      });
+    },
+
+    updateProfile(profile) {
+      return update('profiles', profiles => {
+        const index = profiles.groups.findIndex(g => g.id === profile.id);
+        if (index === -1) {
+          return false;
+        }
+        profiles.groups[index] = profile;
+        return true;
+      });
+    },
+
+    deleteProfile(groupId) {
+      return update('profiles', profiles => {
+        const index = profiles.groups.findIndex(g => g.id === groupId);
+        if (index === -1) {
+          return false;
+        }
+        profiles.groups.splice(index, 1);
+        return true;
+      });
+    },
+
+    getInterviewState(chatId) {
+      return load('state')[chatId] || null;
+    },
+
+    listInterviewStates() {
+      return load('state');
+    },
+
+    setInterviewState(chatId, interviewState) {
+      update('state', state => {
+        state[chatId] = interviewState;
+      });
+    },
+
+    deleteInterviewState(chatId) {
+      update('state', state => {
+        delete state[chatId];
+      });
+    },
+
+    listMatches(eventId = null) {
+      if (eventId === null) {
+        return load('matches').matches;
+      }
+      const event = load('events').events.find(e => e.id === eventId);
+      return event ? event.matches : [];
+    },
+
+    listMatchesForGroup(eventId, groupName) {
+      return this.listMatches(eventId).filter(m =>
+        getMatchMembers(m).some(member => member.groupName.toLowerCase() === groupName.toLowerCase())
+      );
+    },
+
+    putMatch(eventId, match) {
+      if (eventId === null) {
+        update('matches', matchesData => upsert(matchesData.matches, match));
+        return;
+      }
+
+      update('events', eventsData => {
+        const event = eventsData.events.find(e => e.id === eventId);
+        if (!event) {
+          throw new Error(`Matching event "${eventId}" not found`);
+        }
+        upsert(event.matches, match);
+      });
+    },
+
+    updateMatchesForGroup(group, updateMatch) {
+      const rewrite = matches => {
+        let count = 0;
+        matches.forEach((match, i) => {
+          if (isMatchOf(match, group)) {
+            matches[i] = updateMatch(match);
+            count++;
+          }
+        });
+        return count;
+      };
+
+      const legacyCount = update('matches', matchesData => rewrite(matchesData.matches));
+      const eventCount = update('events', eventsData =>
+        eventsData.events.reduce((sum, event) => sum + rewrite(event.matches), 0)
+      );
+      return legacyCount + eventCount;
+    },
+
+    getMatch(matchId) {
+      const legacy = load('matches').matches.find(m => m.id === matchId);
+      if (legacy) {
+        return { match: legacy, eventId: null };
+      }
+      for (const event of load('events').events) {
+        const match = event.matches.find(m => m.id === matchId);
+        if (match) {
+          return { match, eventId: event.id };
+        }
+      }
+      return null;
+    },
+
+    listEvents() {
+      return load('events').events;
+    },
+
+    getEvent(eventId) {
+      return load('events').events.find(e => e.id === eventId) || null;
+    },
+
+    insertEvent(event) {
+      update('events', eventsData => {
+        eventsData.events.push({ ...event, matches: event.matches || [] });
+      });
+    },
+
+    updateEvent(eventId, updates) {
+      return update('events', eventsData => {
+        const event = eventsData.events.find(e => e.id === eventId);
+        if (!event) {
+          return null;
+        }
+        return Object.assign(event, updates);
+      });
+    },
+
+    close() {}
+  };
+}
+
+module.exports = {
+  createJsonStorage
+};
@@ -0,0 +1,237 @@
+/**
+ * Match Explainer
+ *
+ * Writes the "why you two" blurb for a match from the groups' own answers,
+ * so admins don't have to turn raw breakdown numbers into prose by hand.
+ *
+ * Explanations are built locally (no extra Claude calls) and only cite things
+ * the groups actually have in common:
+ * - Same or similar group size
+ * - Same music answer or genre
+ * - Overlapping ideal-day activities
+ * - Same emoji
+ * - Words that show up in every group's answers
+ * - The AI judge's strongest sub-score rationale (if the match has one)
+ */
+
+const groupMatching = require('./group-matching');
+const textVectorizer = require('./text-vectorizer');
+
+// Readable names for genre keys
+const GENRE_LABELS = {
+  rock: 'rock',
+  pop: 'pop',
+  hiphop: 'hip hop',
+  electronic: 'electronic',
+  indie: 'indie'
+};
+
+// Max shared words cited in one explanation
+const MAX_SHARED_WORDS = 3;
+
+/**
+ * Join names into "A and B" / "A, B and C"
+ * @param {Array<string>} items - Items to join
+ * @returns {string} Joined text
+ */
+function joinList(items) {
+  if (items.length <= 1) {
+    return items.join('');
+  }
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * "Both groups" for two groups, "All 3 groups" for more
+ * @param {number} count - Number of groups
+ * @returns {string} Subject phrase
+ */
+function groupsPhrase(count) {
+  return count === 2 ? 'Both groups' : `All ${count} groups`;
+}
+
+/**
+ * Explain size fit
+ * @param {Array} groups - Group profiles
+ * @returns {Object|null} Reason or null
+ */
+function explainSize(groups) {
+  const sizes = groups.map(groupMatching.getGroupSize);
+  if (sizes.some(size => size <= 0)) {
+    return null;
+  }
+
+  const min = Math.min(...sizes);
+  const max = Math.max(...sizes);
+
+  if (min === max) {
+    return { factor: 'size', text: `${groupsPhrase(groups.length)} have ${min} ${min === 1 ? 'person' : 'people'}` };
+  }
+  if (max - min === 1) {
+    return { factor: 'size', text: `Similar group sizes (${joinList(sizes.map(String))} people)` };
+  }
+  return null;
+}
+
+/**
+ * Explain shared music taste
+ * @param {Array} groups - Group profiles
+ * @returns {Object|null} Reason or null
+ */
+function explainMusic(groups) {
+  const answers = groups.map(g => (groupMatching.getAnswer(g, 5) || '').toString().trim());
+  if (answers.some(answer => !answer)) {
+    return null;
+  }
+
+  if (answers.every(answer => answer.toLowerCase() === answers[0].toLowerCase())) {
+    return { factor: 'music', text: `Same music taste: "${answers[0]}"` };
+  }
+
+  const genres = answers.map(groupMatching.detectMusicGenre);
+  if (genres[0] && genres.every(genre => genre === genres[0])) {
+    const quoted = groups.map((g, i) => `${g.groupName}: "${answers[i]}"`);
+    const subject = groups.length === 2 ? 'Both' : 'All';
+    return { factor: 'music', text: `${subject} into ${GENRE_LABELS[genres[0]]} music (${quoted.join(', ')})` };
+  }
+
+  return null;
+}
+
+/**
+ * Explain overlapping ideal days
+ * @param {Array} groups - Group profiles
+ * @returns {Object|null} Reason or null
+ */
+function explainIdealDay(groups) {
+  const answers = groups.map(g => (groupMatching.getAnswer(g, 3) || '').toString().toLowerCase());
+  if (answers.some(answer => !answer)) {
+    return null;
+  }
+
+  const categorySets = answers.map(groupMatching.detectActivityCategories);
+  const shared = categorySets[0].filter(category => categorySets.every(set => set.includes(category)));
+  if (shared.length === 0) {
+    return null;
+  }
+
+  // Cite the actual activities each group mentioned
+  const details = shared.map(category => {
+    const keywords = groupMatching.ACTIVITY_CATEGORIES[category]
+      .filter(kw => answers.some(answer => answer.includes(kw)));
+    return `${category} (${keywords.join(', ')})`;
+  });
+
+  return { factor: 'idealDay', text: `Overlapping ideal days: ${joinList(details)}` };
+}
+
+/**
+ * Explain a shared emoji
+ * @param {Array} groups - Group profiles
+ * @returns {Object|null} Reason or null
+ */
+function explainEmoji(groups) {
+  const emojis = groups.map(g => (groupMatching.getAnswer(g, 8) || '').toString().trim());
+  if (emojis[0] && emojis.every(emoji => emoji === emojis[0])) {
+    return { factor: 'emoji', text: `Same emoji: ${emojis[0]}` };
+  }
+  return null;
+}
+
+/**
+ * Explain words every group used in its answers
+ * @param {Array} groups - Group profiles
+ * @param {Set<string>} alreadyCited - Lowercased text of earlier reasons (avoids repeats)
+ * @returns {Object|null} Reason or null
+ */
+function explainSharedWords(groups, alreadyCited) {
+  const tokenSets = groups.map(g => {
+    const texts = [];
+    for (let q = 3; q <= 10; q++) {
+      const answer = groupMatching.getAnswer(g, q);
+      if (answer) texts.push(answer.toString());
+    }
+    return textVectorizer.tokenize(texts.join(' '));
+  });
+
+  const others = tokenSets.slice(1).map(tokens => new Set(tokens));
+  const shared = [...new Set(tokenSets[0])]
+    .filter(token => token.length > 3 && !/^\d+$/.test(token))
+    .filter(token => others.every(set => set.has(token)))
+    .filter(token => ![...alreadyCited].some(text => text.includes(token)))
+    .slice(0, MAX_SHARED_WORDS);
+
+  if (shared.length === 0) {
+    return null;
+  }
+
+  const subject = groups.length === 2 ? 'Both groups' : 'Every group';
+  return { factor: 'sharedWords', text: `${subject} mentioned ${joinList(shared.map(w => `"${w}"`))}` };
+}
+
+/**
+ * Cite the AI judge's strongest sub-score
+ * @param {Object} compatibility - Compatibility object (may have breakdown.qualitativeDimensions)
+ * @param {Array<string>} citedFactors - Factors already explained (size fit isn't repeated)
+ * @returns {Object|null} Reason or null
+ */
+function explainQualitative(compatibility, citedFactors) {
+  const dimensions = compatibility?.breakdown?.qualitativeDimensions;
+  if (!dimensions) {
+    return null;
+  }
+
+  const [best] = Object.entries(dimensions)
+    .filter(([name]) => !(name === 'sizeFit' && citedFactors.includes('size')))
+    .map(([, dimension]) => dimension)
+    .sort((a, b) => b.score - a.score);
+  if (!best?.rationale) {
+    return null;
+  }
+  return { factor: 'qualitative', text: best.rationale.replace(/[.!\s]+$/, '') };
+}
+
+/**
+ * Build a human-readable explanation for a match
+ * @param {Array} groups - The matched group profiles (2 or more)
+ * @param {Object} compatibility - Compatibility object of the match
+ * @returns {Object} { text, reasons: [{ factor, text }], generatedAt }
+ */
+function explainMatch(groups, compatibility) {
+  const reasons = [
+    explainSize(groups),
+    explainMusic(groups),
+    explainIdealDay(groups),
+    explainEmoji(groups)
+  ].filter(Boolean);
+
+  const sharedWords = explainSharedWords(groups, new Set(reasons.map(r => r.text.toLowerCase())));
+  if (sharedWords) {
+    reasons.push(sharedWords);
+  }
+
+  const qualitative = explainQualitative(compatibility, reasons.map(r => r.factor));
+  if (qualitative) {
+    reasons.push(qualitative);
+  }
+
+  const names = joinList(groups.map(g => g.groupName));
+  const percentage = compatibility?.percentage;
+  const headline = percentage !== undefined
+    ? `${names} are a ${percentage}% match.`
+    : `${names} are a match.`;
+
+  const body = reasons.length > 0
+    ? reasons.map(r => `${r.text}.`).join(' ')
+    : 'Their answers don\'t overlap much - they were matched on overall compatibility.';
+
+  return {
+    text: `${headline} ${body}`,
+    reasons,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  explainMatch
+};
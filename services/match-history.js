@@ -0,0 +1,293 @@
+/**
+ * Match History
+ *
+ * Remembers which groups were paired in earlier matching events so the next
+ * event doesn't hand out the same pairs again. matches.json only holds the
+ * latest run; this history is kept across runs.
+ *
+ * Repeat policies (config.matching.history, or per run):
+ * - off:   history is ignored
+ * - never: pairs matched in any recorded event are excluded before scoring
+ * - decay: pairs matched in the last N events lose up to maxPenalty of their score;
+ *          the penalty shrinks linearly with each event since they were matched
+ *
+ * An event is recorded when it's published, not when it runs, so drafts never
+ * count as having met. Each entry belongs to one event: republishing it replaces
+ * its entry, and the event it unpublishes loses its entry. Pairing (pairs,
+ * triads and pods), blocks, incremental and preference events are recorded;
+ * ranked events aren't (they list candidates, they don't introduce anyone).
+ * Every two groups matched together count as a pair.
+ *
+ * Stored in data/match-history.json.
+ */
+
+const path = require('path');
+const config = require('../config');
+const { readJsonFile, updateJsonFile } = require('./json-file');
+const groupMatching = require('./group-matching');
+const { getMatchMembers, redactGroup } = require('./match-records');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const HISTORY_FILE = path.join(DATA_DIR, 'match-history.json');
+
+const MODES = ['off', 'never', 'decay'];
+// Event modes whose matches introduce groups to each other
+const RECORDED_MODES = ['pairing', 'blocks', 'incremental', 'preferences'];
+
+// Shape of the history file (anything else is treated as corrupt)
+const HISTORY_FORMAT = { empty: { events: [] }, isValid: data => Array.isArray(data?.events) };
+
+/**
+ * Load match history from file
+ * @returns {Object} { events: [{ id, eventId, recordedAt, pairs: [{ groupIds, groupNames }] }] }
+ * @throws {Error} ECORRUPT if the file is corrupt (see json-file.js)
+ */
+function loadHistory() {
+  try {
+    return readJsonFile(HISTORY_FILE, HISTORY_FORMAT);
+  } catch (error) {
+    console.error('Error loading match history:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Validate repeat-policy options, filling gaps from config.matching.history
+ * @param {Object} raw - { mode, decayEvents, maxPenalty } (strings allowed, e.g. from a query string)
+ * @returns {Object} { options, error } - error is a message string, or null if valid
+ */
+function normalizeHistoryOptions(raw = {}) {
+  const defaults = config.matching.history || {};
+
+  const mode = raw.mode ?? defaults.mode ?? 'off';
+  if (!MODES.includes(mode)) {
+    return { options: null, error: 'history must be "off", "never" or "decay"' };
+  }
+
+  const decayEvents = Number(raw.decayEvents ?? defaults.decayEvents ?? 3);
+  if (!Number.isInteger(decayEvents) || decayEvents < 1) {
+    return { options: null, error: 'historyEvents must be a whole number of at least 1' };
+  }
+
+  const maxPenalty = Number(raw.maxPenalty ?? defaults.maxPenalty ?? 0.3);
+  if (!Number.isFinite(maxPenalty) || maxPenalty < 0 || maxPenalty > 1) {
+    return { options: null, error: 'historyPenalty must be between 0 and 1' };
+  }
+
+  return { options: { mode, decayEvents, maxPenalty }, error: null };
+}
+
+/**
+ * Check whether events of a mode are added to the history when published
+ * @param {string} mode - Event mode (event.config.mode)
+ * @returns {boolean} True if its matches are recorded
+ */
+function addsToHistory(mode) {
+  return RECORDED_MODES.includes(mode);
+}
+
+/**
+ * Describe how a run's event will feed the history (for run summaries)
+ * @param {string} mode - Event mode
+ * @returns {Object} { addsToHistory, note }
+ */
+function describeRecording(mode) {
+  return addsToHistory(mode)
+    ? { addsToHistory: true, note: 'Pairs are added to the match history once this event is published' }
+    : { addsToHistory: false, note: `${mode} events are never added to the match history` };
+}
+
+/**
+ * Record the matches of a published event
+ * Replaces the event's own entry (republishing) and drops the entries of the
+ * events the publish unpublished. An event whose mode isn't recorded adds no entry.
+ * @param {Object} event - Published matching event (with its matches)
+ * @param {Array<string>} unpublishedIds - IDs of events unpublished in its favour
+ * @returns {Object|null} Recorded entry, or null if the event's mode isn't recorded
+ */
+function recordPublishedEvent(event, unpublishedIds = []) {
+  let entry = null;
+  if (addsToHistory(event.config?.mode)) {
+    const pairs = [];
+    for (const members of event.matches.map(getMatchMembers)) {
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          pairs.push({
+            groupIds: [members[i].groupId, members[j].groupId],
+            groupNames: [members[i].groupName, members[j].groupName]
+          });
+        }
+      }
+    }
+    entry = {
+      id: `history_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      eventId: event.id,
+      recordedAt: event.publishedAt || new Date().toISOString(),
+      pairs
+    };
+  }
+
+  const replaced = [event.id, ...unpublishedIds];
+  const eventsOnRecord = updateJsonFile(HISTORY_FILE, HISTORY_FORMAT, history => {
+    history.events = history.events.filter(e => !replaced.includes(e.eventId));
+    if (entry) {
+      history.events.push(entry);
+    }
+    return history.events.length;
+  });
+
+  if (entry) {
+    console.log(`📚 Recorded ${entry.pairs.length} pairs of event v${event.version} in match history (${eventsOnRecord} events on record)`);
+  }
+  return entry;
+}
+
+/**
+ * Get when each pair was last matched
+ * @returns {Map} Pair key -> { eventsAgo (1 = most recent event), lastMatchedAt }
+ */
+function getPairHistory() {
+  const events = loadHistory().events;
+  const pairHistory = new Map();
+
+  // Walk newest first so each pair keeps its most recent match
+  for (let e = events.length - 1; e >= 0; e--) {
+    for (const pair of events[e].pairs) {
+      const key = groupMatching.getPairKey(pair.groupIds[0], pair.groupIds[1]);
+      if (!pairHistory.has(key)) {
+        pairHistory.set(key, {
+          eventsAgo: events.length - e,
+          lastMatchedAt: events[e].recordedAt
+        });
+      }
+    }
+  }
+
+  return pairHistory;
+}
+
+/**
+ * Score penalty for a pair last matched `eventsAgo` events ago (decay mode)
+ * @param {number} eventsAgo - 1 = matched in the most recent event
+ * @param {Object} options - Normalized history options
+ * @returns {number} Penalty from 0 to maxPenalty
+ */
+function getDecayPenalty(eventsAgo, options) {
+  if (eventsAgo > options.decayEvents) {
+    return 0;
+  }
+  return options.maxPenalty * (options.decayEvents - eventsAgo + 1) / options.decayEvents;
+}
+
+/**
+ * Find the candidate pairs among these profiles that history suppresses
+ * @param {Array} profiles - Group profiles in this run
+ * @param {Object} options - Normalized history options
+ * @returns {Array} [{ group1, group2, eventsAgo, lastMatchedAt, action: 'excluded'|'penalized', penalty }]
+ */
+function findRepeatPairs(profiles, options) {
+  if (options.mode === 'off') {
+    return [];
+  }
+
+  const pairHistory = getPairHistory();
+  const repeats = [];
+
+  for (let i = 0; i < profiles.length; i++) {
+    for (let j = i + 1; j < profiles.length; j++) {
+      const past = pairHistory.get(groupMatching.getPairKey(profiles[i].id, profiles[j].id));
+      if (!past) continue;
+
+      if (options.mode === 'never') {
+        repeats.push({ group1: profiles[i], group2: profiles[j], ...past, action: 'excluded', penalty: null });
+        continue;
+      }
+
+      const penalty = getDecayPenalty(past.eventsAgo, options);
+      if (penalty > 0) {
+        repeats.push({ group1: profiles[i], group2: profiles[j], ...past, action: 'penalized', penalty });
+      }
+    }
+  }
+
+  return repeats;
+}
+
+/**
+ * Apply a repeat penalty to a compatibility object
+ * @param {Object} compatibility - Compatibility from the scoring phase
+ * @param {number} penalty - Penalty (0-1) subtracted from the score
+ * @returns {Object} Penalized copy with breakdown.historyPenalty set
+ */
+function applyPenalty(compatibility, penalty) {
+  const score = Math.max(0, compatibility.score - penalty);
+  return {
+    ...compatibility,
+    score,
+    percentage: Math.round(score * 100),
+    breakdown: {
+      ...compatibility.breakdown,
+      historyPenalty: Math.round(penalty * 100)
+    }
+  };
+}
+
+/**
+ * Get the number of recorded events
+ * @returns {number} Event count
+ */
+function getEventCount() {
+  return loadHistory().events.length;
+}
+
+/**
+ * Get the recorded pairs of a group (privacy export)
+ * @param {Array<string>} groupIds - IDs the group has been stored under
+ * @returns {Array} [{ id, recordedAt, pairs }] - only events with the group, only its pairs
+ */
+function getGroupHistory(groupIds) {
+  return loadHistory().events
+    .map(event => ({ ...event, pairs: event.pairs.filter(pair => pair.groupIds.some(id => groupIds.includes(id))) }))
+    .filter(event => event.pairs.length > 0);
+}
+
+/**
+ * Replace a group with a placeholder in every recorded pair (privacy erasure)
+ * The pairs stay so the event count (and decay for the other groups) is unchanged.
+ * @param {Array} identities - [{ id, groupName }] the group has been stored under
+ * @param {Object} placeholder - { id, groupName } to put in its place
+ * @returns {number} Number of pairs scrubbed
+ */
+function eraseGroup(identities, placeholder) {
+  const ids = identities.map(identity => identity.id);
+  if (getGroupHistory(ids).length === 0) {
+    return 0;
+  }
+
+  return updateJsonFile(HISTORY_FILE, HISTORY_FORMAT, history => {
+    let count = 0;
+    history.events.forEach(event => {
+      event.pairs = event.pairs.map(pair => {
+        if (!pair.groupIds.some(id => ids.includes(id))) {
+          return pair;
+        }
+        count++;
+        return identities.reduce((record, identity) => redactGroup(record, identity, placeholder), pair);
+      });
+    });
+    return count;
+  });
+}
+
+module.exports = {
+  normalizeHistoryOptions,
+  addsToHistory,
+  describeRecording,
+  recordPublishedEvent,
+  getPairHistory,
+  findRepeatPairs,
+  applyPenalty,
+  getEventCount,
+  getGroupHistory,
+  eraseGroup
+};
@@ -0,0 +1,172 @@
+/**
+ * Match Records
+ *
+ * Helpers for reading stored match records, shared by the storage backends.
+ */
+
+/**
+ * List the groups a match record is for
+ * Newer records list them in `members`; older pair and triad records only have
+ * group1/group2/group3 fields.
+ * @param {Object} match - Match record
+ * @returns {Array} [{ groupId, groupName }]
+ */
+function getMatchMembers(match) {
+  if (match.members) {
+    return match.members;
+  }
+  return [1, 2, 3]
+    .filter(n => match[`group${n}Name`])
+    .map(n => ({ groupId: match[`group${n}Id`] || null, groupName: match[`group${n}Name`] }));
+}
+
+/**
+ * Key identifying the groups of a match (order-independent)
+ * Saving a match with the same key as an existing one replaces it.
+ * @param {Object} match - Match record
+ * @returns {string} Sorted group names joined with '|'
+ */
+function getMatchKey(match) {
+  return getMatchMembers(match).map(member => member.groupName).sort().join('|');
+}
+
+/**
+ * Check whether a match record includes a group
+ * Old records without group IDs are matched by name.
+ * @param {Object} match - Match record
+ * @param {Object} group - { id, groupName }
+ * @returns {boolean} True if the group is a member
+ */
+function isMatchOf(match, group) {
+  return getMatchMembers(match).some(member => member.groupId
+    ? member.groupId === group.id
+    : member.groupName.toLowerCase() === group.groupName.toLowerCase());
+}
+
+/**
+ * Copy a match record with one group's name changed
+ * Updates the numbered group fields and `members`.
+ * @param {Object} match - Match record
+ * @param {Object} group - { id, groupName } as currently stored
+ * @param {string} newName - New group name
+ * @returns {Object} Updated match record
+ */
+function renameMatchMember(match, group, newName) {
+  const isGroup = (groupId, groupName) => groupId
+    ? groupId === group.id
+    : groupName?.toLowerCase() === group.groupName.toLowerCase();
+
+  const renamed = { ...match };
+  for (let n = 1; renamed[`group${n}Name`] !== undefined; n++) {
+    if (isGroup(renamed[`group${n}Id`], renamed[`group${n}Name`])) {
+      renamed[`group${n}Name`] = newName;
+    }
+  }
+  if (renamed.members) {
+    renamed.members = renamed.members.map(member =>
+      isGroup(member.groupId, member.groupName) ? { ...member, groupName: newName } : member
+    );
+  }
+  return renamed;
+}
+
+/**
+ * Copy a match record with a flag added
+ * Flags mark matches whose groups changed after matching (edited, merged or deleted profiles).
+ * @param {Object} match - Match record
+ * @param {Object} flag - { type, groupId, groupName, ... }
+ * @returns {Object} Match record with flag appended to `flags` (timestamped)
+ */
+function flagMatch(match, flag) {
+  return {
+    ...match,
+    flags: [...(match.flags || []), { ...flag, flaggedAt: new Date().toISOString() }]
+  };
+}
+
+/**
+ * Replace a text everywhere in a JSON-serializable value
+ * Only whole occurrences count: "Group 1" doesn't touch "Group 10".
+ * Names are compared case-insensitively; IDs exactly.
+ * @param {string} json - Serialized value
+ * @param {string} text - Text to replace
+ * @param {string} replacement - Replacement text
+ * @param {boolean} ignoreCase - Compare case-insensitively
+ * @returns {string} Serialized value with the text replaced
+ */
+function replaceInJson(json, text, replacement, ignoreCase) {
+  const escape = value => JSON.stringify(value).slice(1, -1);
+  const pattern = escape(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const regex = new RegExp(`(?<![\\p{L}\\p{N}_-])${pattern}(?![\\p{L}\\p{N}_-])`, ignoreCase ? 'giu' : 'gu');
+  return json.replace(regex, () => escape(replacement));
+}
+
+/**
+ * Copy a record with every mention of a group replaced by a placeholder
+ * Covers the group's ID, chat ID and name anywhere in the record (field values,
+ * object keys and free text).
+ * @param {*} record - JSON-serializable record (match, event, history entry)
+ * @param {Object} group - { id, groupName, chatId } to remove
+ * @param {Object} placeholder - { id, groupName } to put in its place
+ * @returns {*} Redacted copy
+ */
+function redactGroup(record, group, placeholder) {
+  let json = JSON.stringify(record);
+  if (json === undefined) {
+    return record;
+  }
+
+  if (group.id) {
+    json = replaceInJson(json, group.id, placeholder.id, false);
+  }
+  if (group.chatId) {
+    json = replaceInJson(json, group.chatId, placeholder.id, false);
+  }
+  if (group.groupName) {
+    json = replaceInJson(json, group.groupName, placeholder.groupName, true);
+  }
+  return JSON.parse(json);
+}
+
+/**
+ * Copy a match record without its free text
+ * Drops the explanation and the AI judge's rationales, which describe the groups.
+ * @param {Object} match - Match record
+ * @returns {Object} Match record without free text
+ */
+function stripMatchText(match) {
+  const { explanation, ...stripped } = JSON.parse(JSON.stringify(match));
+  const dimensions = stripped.compatibility?.breakdown?.qualitativeDimensions;
+  if (dimensions) {
+    for (const dimension of Object.values(dimensions)) {
+      delete dimension.rationale;
+    }
+  }
+  return stripped;
+}
+
+/**
+ * Copy a match record with an erased group scrubbed out (privacy erasure)
+ * The group is replaced by the placeholder, and the match's free text (the
+ * explanation and the AI judge's rationales, which describe both groups) is
+ * dropped. The match is flagged 'group-erased'.
+ * @param {Object} match - Match record
+ * @param {Array} identities - [{ id, groupName, chatId }] the group was stored under
+ * @param {Object} placeholder - { id, groupName } to put in its place
+ * @returns {Object} Scrubbed match record
+ */
+function eraseMatchMember(match, identities, placeholder) {
+  const erased = stripMatchText(identities.reduce((record, identity) => redactGroup(record, identity, placeholder), match));
+  return flagMatch(erased, { type: 'group-erased', groupId: placeholder.id, groupName: placeholder.groupName });
+}
+
+module.exports = {
+  getMatchMembers,
+  getMatchKey,
+  isMatchOf,
+  renameMatchMember,
+  flagMatch,
+  redactGroup,
+  stripMatchText,
+  eraseMatchMember
+};
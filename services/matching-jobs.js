@@ -0,0 +1,140 @@
+/**
+ * Matching Jobs
+ *
+ * Runs matching events in the background so admins don't have to keep a
+ * request open for minutes. Jobs live in memory for the lifetime of the
+ * process and keep running if the client that started them disconnects.
+ *
+ * Only one matching job runs at a time - matching rewrites matches.json.
+ */
+
+const matchingRunner = require('./matching-runner');
+const auditLog = require('./audit-log');
+
+// Finished jobs kept for status polling (oldest are dropped first)
+const MAX_FINISHED_JOBS = 20;
+
+const jobs = new Map();
+let activeJobId = null;
+
+/**
+ * Public view of a job (without internal promise)
+ * @param {Object} job - Job record
+ * @returns {Object} Serializable job status
+ */
+function toStatus(job) {
+  const { promise, ...status } = job;
+  return status;
+}
+
+/**
+ * Drop the oldest finished jobs beyond MAX_FINISHED_JOBS
+ */
+function pruneFinishedJobs() {
+  const finished = [...jobs.values()].filter(j => j.status === 'completed' || j.status === 'failed');
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(job.id);
+  }
+}
+
+/**
+ * Get the currently running job, if any
+ * @returns {Object|null} Job status or null
+ */
+function getActiveJob() {
+  return activeJobId ? toStatus(jobs.get(activeJobId)) : null;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job status or null
+ */
+function getJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? toStatus(job) : null;
+}
+
+/**
+ * Start a matching job in the background
+ * @param {Object} options - Matching options (see matchingRunner.runMatching, or
+ *                           matchingRunner.runIncremental when options.incremental is set,
+ *                           runRankingCollection / runPreferenceMatching when
+ *                           options.preferences is 'collect' / 'match')
+ * @returns {Object} Job status (status: 'running')
+ * @throws {Error} If another matching job is already running
+ */
+function startJob(options = {}) {
+  if (activeJobId) {
+    throw new Error(`Matching job ${activeJobId} is already running`);
+  }
+
+  const job = {
+    id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    status: 'running',
+    phase: 'starting',
+    options,
+    progress: { scored: 0, total: 0 },
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    error: null,
+    result: null
+  };
+
+  jobs.set(job.id, job);
+  activeJobId = job.id;
+  console.log(`🏁 Matching job started: ${job.id}`);
+
+  const onProgress = (update) => {
+    job.phase = update.phase;
+    if (update.total !== undefined) {
+      job.progress = { scored: update.scored, total: update.total };
+    }
+  };
+
+  const run = options.preferences === 'collect' ? matchingRunner.runRankingCollection
+    : options.preferences === 'match' ? matchingRunner.runPreferenceMatching
+    : options.incremental ? matchingRunner.runIncremental
+    : matchingRunner.runMatching;
+  // Changes the job makes are audit-logged with its ID (and whoever started it)
+  job.promise = auditLog.runWith({ jobId: job.id }, () => run(options, onProgress))
+    .then(result => {
+      job.status = 'completed';
+      job.phase = 'done';
+      job.result = result;
+      console.log(`✅ Matching job completed: ${job.id}`);
+    })
+    .catch(error => {
+      job.status = 'failed';
+      job.error = error.message;
+      console.error(`❌ Matching job failed: ${job.id}`, error);
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+      activeJobId = null;
+      pruneFinishedJobs();
+    });
+
+  return toStatus(job);
+}
+
+/**
+ * Wait for a job to finish
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Final job status or null if unknown
+ */
+async function waitForJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return null;
+  }
+  await job.promise;
+  return toStatus(job);
+}
+
+module.exports = {
+  startJob,
+  getJob,
+  getActiveJob,
+  waitForJob
+};
@@ -0,0 +1,1405 @@
+/**
+ * Matching Runner
+ *
+ * Runs one full matching event: scores every pair, picks matches for the
+ * requested mode, and saves them as a new versioned matching event (earlier
+ * events are kept - see GET /api/events).
+ *
+ * Phases (reported through onProgress):
+ * 1. scoring  - every pair scored once, in parallel (cached pairs are free);
+ *                with a pre-filter, only the most promising pairs go to Claude
+ * 2. ranking / pairing / blocking - matches chosen from the scored pairs
+ * 3. saving   - matches saved into the event (each with an explanation)
+ *
+ * Events reach the match history only when they're published (publishEvent()).
+ *
+ * Used by both the synchronous GET /api/match and background matching jobs.
+ * Also runs incremental matching (one late group) and the two phases of
+ * preference matching (collect rankings, then match on them).
+ */
+
+const config = require('../config');
+const groupMatching = require('./group-matching');
+const groupProfileStorage = require('./group-profile-storage');
+const scoreCache = require('./score-cache');
+const matchExplainer = require('./match-explainer');
+const matchHistory = require('./match-history');
+const preferenceMatching = require('./preference-matching');
+
+const MODES = ['ranked', 'pairing', 'blocks'];
+const ODD_STRATEGIES = ['unmatched', 'triad'];
+
+/**
+ * Validate matching options
+ * @param {Object} options - { mode, oddStrategy, scoringProfile, constraints, history, prefilter, batchSize, sampling, blockSize, podSize, fairness }
+ * @returns {Object|null} { error, message } or null if valid
+ */
+function validateOptions(options) {
+  if (!MODES.includes(options.mode)) {
+    return {
+      error: 'Invalid mode',
+      message: 'mode must be "ranked", "pairing" or "blocks"'
+    };
+  }
+
+  if (!ODD_STRATEGIES.includes(options.oddStrategy)) {
+    return {
+      error: 'Invalid odd strategy',
+      message: 'odd must be "unmatched" or "triad"'
+    };
+  }
+
+  if (options.scoringProfile && !groupMatching.getScoringProfile(options.scoringProfile)) {
+    return {
+      error: 'Invalid scoring profile',
+      message: `Unknown scoring profile "${options.scoringProfile}"`,
+      availableProfiles: groupMatching.listScoringProfiles()
+    };
+  }
+
+  const { error } = groupMatching.normalizeConstraints(options.constraints);
+  if (error) {
+    return {
+      error: 'Invalid constraints',
+      message: error
+    };
+  }
+
+  const historyCheck = matchHistory.normalizeHistoryOptions(options.history);
+  if (historyCheck.error) {
+    return {
+      error: 'Invalid history option',
+      message: historyCheck.error
+    };
+  }
+
+  const prefilterCheck = groupMatching.normalizePrefilter(options.prefilter);
+  if (prefilterCheck.error) {
+    return {
+      error: 'Invalid prefilter option',
+      message: prefilterCheck.error
+    };
+  }
+
+  if (options.batchSize !== undefined && !isValidBatchSize(options.batchSize)) {
+    return {
+      error: 'Invalid batch size',
+      message: 'batch must be a whole number of at least 1'
+    };
+  }
+
+  const samplingCheck = groupMatching.normalizeSampling(options.sampling);
+  if (samplingCheck.error) {
+    return {
+      error: 'Invalid sampling option',
+      message: samplingCheck.error
+    };
+  }
+
+  if (options.blockSize !== undefined && !isValidBlockSize(options.blockSize)) {
+    return {
+      error: 'Invalid block size',
+      message: 'blockSize must be a whole number of at least 2'
+    };
+  }
+
+  const podSizeError = options.podSize !== undefined ? groupMatching.validatePodSize(options.podSize) : null;
+  if (podSizeError) {
+    return {
+      error: 'Invalid pod size',
+      message: podSizeError
+    };
+  }
+
+  const fairnessCheck = groupMatching.normalizeFairness(options.fairness);
+  if (fairnessCheck.error) {
+    return {
+      error: 'Invalid fairness option',
+      message: fairnessCheck.error
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check a batch size option (candidates judged per Claude call)
+ * @param {number|string} batchSize - Batch size (strings allowed, e.g. from a query string)
+ * @returns {boolean} True if it's a whole number of at least 1
+ */
+function isValidBatchSize(batchSize) {
+  const value = Number(batchSize);
+  return Number.isInteger(value) && value >= 1;
+}
+
+/**
+ * Check a block size option (max people per block in blocks mode)
+ * @param {number|string} blockSize - Block size (strings allowed, e.g. from a query string)
+ * @returns {boolean} True if it's a whole number of at least 2
+ */
+function isValidBlockSize(blockSize) {
+  const value = Number(blockSize);
+  return Number.isInteger(value) && value >= 2;
+}
+
+/**
+ * List pairs whose scoring failed (they were scored with a neutral fallback)
+ * @param {Array} allProfiles - All group profiles
+ * @param {Map} scores - Pair key -> compatibility from scoreAllPairs
+ * @returns {Array} [{ group1, group2, error }]
+ */
+function listFailedPairs(allProfiles, scores) {
+  const failed = [];
+  for (let i = 0; i < allProfiles.length; i++) {
+    for (let j = i + 1; j < allProfiles.length; j++) {
+      const compatibility = scores.get(groupMatching.getPairKey(allProfiles[i].id, allProfiles[j].id));
+      // Pairs excluded by constraints have no score
+      if (compatibility?.error) {
+        failed.push({
+          group1: allProfiles[i].groupName,
+          group2: allProfiles[j].groupName,
+          error: compatibility.error
+        });
+      }
+    }
+  }
+  return failed;
+}
+
+/**
+ * Collect the match records of a run (nothing is saved until the run finishes)
+ * Adding the same groups twice keeps the latest record, like saveMatch.
+ * Every record lists its groups in `members` (unless the match brings its own),
+ * and is flagged `estimated` if any of its pairs was never judged by Claude.
+ * @returns {Object} { add(groups, match), list() }
+ */
+function createMatchSet() {
+  const records = new Map();
+  return {
+    add(groups, match) {
+      const key = groups.map(g => g.id).sort().join('|');
+      records.set(key, {
+        members: groups.map(g => ({ groupId: g.id, groupName: g.groupName })),
+        ...match,
+        ...(match.compatibility?.estimated ? { estimated: true } : {}),
+        explanation: matchExplainer.explainMatch(groups, match.compatibility)
+      });
+    },
+    list() {
+      return [...records.values()];
+    }
+  };
+}
+
+/**
+ * Key identifying which groups a match record is for
+ * @param {Object} match - Match record
+ * @returns {string} Order-independent key
+ */
+function getMatchKey(match) {
+  const members = groupProfileStorage.getMatchMembers(match);
+  const ids = members.map(m => m.groupId).filter(Boolean);
+  const refs = ids.length === members.length ? ids : members.map(m => m.groupName);
+  return refs.sort().join('|');
+}
+
+/**
+ * Compare proposed matches against the currently saved matches
+ * @param {Array} current - Saved match records
+ * @param {Array} proposed - Proposed match records
+ * @returns {Object} { added, removed, changed, unchanged }
+ */
+function diffMatches(current, proposed) {
+  const describe = (m) => ({
+    groups: groupProfileStorage.getMatchMembers(m).map(member => member.groupName),
+    compatibility: m.compatibility?.percentage || 0
+  });
+
+  const currentByKey = new Map(current.map(m => [getMatchKey(m), m]));
+  const proposedByKey = new Map(proposed.map(m => [getMatchKey(m), m]));
+  const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  for (const [key, match] of proposedByKey) {
+    const before = currentByKey.get(key);
+    if (!before) {
+      diff.added.push(describe(match));
+      continue;
+    }
+
+    const beforeScore = before.compatibility?.percentage || 0;
+    const afterScore = match.compatibility?.percentage || 0;
+    if (beforeScore !== afterScore) {
+      diff.changed.push({
+        groups: describe(match).groups,
+        before: beforeScore,
+        after: afterScore,
+        change: afterScore - beforeScore
+      });
+    } else {
+      diff.unchanged++;
+    }
+  }
+
+  for (const [key, match] of currentByKey) {
+    if (!proposedByKey.has(key)) {
+      diff.removed.push(describe(match));
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Run the pairing mode (one partner per group)
+ * @param {Array} allProfiles - All group profiles
+ * @param {Map} scores - Pair scores from the scoring phase
+ * @param {Object} options - { oddStrategy, scoringProfile, constraints }
+ * @param {Function} onProgress - Progress callback
+ * @param {Object} cacheStats - Score cache stats from the scoring phase
+ * @returns {Promise<Object>} { result, matches }
+ */
+async function runPairing(allProfiles, scores, options, onProgress, cacheStats) {
+  const { scoringProfile, constraints } = options;
+  onProgress({ phase: 'pairing' });
+  const pairing = await groupMatching.findOptimalPairing({
+    oddStrategy: options.oddStrategy,
+    scores,
+    scoringProfile,
+    constraints
+  });
+
+  const matchSet = createMatchSet();
+  const matchedAt = new Date().toISOString();
+
+  for (const pair of pairing.pairs) {
+    matchSet.add([pair.group1, pair.group2], {
+      group1Name: pair.group1.groupName,
+      group2Name: pair.group2.groupName,
+      group1Id: pair.group1.id,
+      group2Id: pair.group2.id,
+      compatibility: pair.compatibility,
+      matchedAt,
+      matchingMode: 'pairing',
+      scoringProfile: scoringProfile.name
+    });
+  }
+
+  for (const triad of pairing.triads) {
+    matchSet.add([triad.group1, triad.group2, triad.group3], {
+      group1Name: triad.group1.groupName,
+      group2Name: triad.group2.groupName,
+      group3Name: triad.group3.groupName,
+      group1Id: triad.group1.id,
+      group2Id: triad.group2.id,
+      group3Id: triad.group3.id,
+      compatibility: triad.compatibility,
+      matchedAt,
+      matchingMode: 'pairing',
+      scoringProfile: scoringProfile.name,
+      isTriad: true
+    });
+  }
+
+  const result = {
+    success: true,
+    message: 'Pairing completed successfully',
+    summary: {
+      mode: 'pairing',
+      podSize: 2,
+      scoringProfile: scoringProfile.name,
+      method: pairing.method,
+      totalGroups: allProfiles.length,
+      totalPairs: pairing.pairs.length,
+      totalTriads: pairing.triads.length,
+      totalScore: Math.round(pairing.totalScore * 100) / 100,
+      unmatched: pairing.unmatched.map(g => g.groupName),
+      scoreCache: cacheStats
+    },
+    pairs: pairing.pairs.map(p => ({
+      group1: p.group1.groupName,
+      group2: p.group2.groupName,
+      compatibility: p.compatibility.percentage,
+      breakdown: p.compatibility
+    })),
+    triads: pairing.triads.map(t => ({
+      group1: t.group1.groupName,
+      group2: t.group2.groupName,
+      group3: t.group3.groupName,
+      compatibility: t.compatibility.percentage,
+      breakdown: t.compatibility
+    }))
+  };
+
+  return {
+    result,
+    matches: matchSet.list()
+  };
+}
+
+/**
+ * Run the pairing mode with pods of 3 or 4 groups instead of pairs
+ * @param {Array} allProfiles - All group profiles
+ * @param {Map} scores - Pair scores from the scoring phase
+ * @param {Object} options - { podSize, oddStrategy, scoringProfile, constraints }
+ * @param {Function} onProgress - Progress callback
+ * @param {Object} cacheStats - Score cache stats from the scoring phase
+ * @returns {Promise<Object>} { result, matches }
+ */
+async function runPods(allProfiles, scores, options, onProgress, cacheStats) {
+  const { podSize, scoringProfile, constraints } = options;
+  onProgress({ phase: 'pairing' });
+  const formation = await groupMatching.findOptimalPods({
+    podSize,
+    oddStrategy: options.oddStrategy,
+    scores,
+    scoringProfile,
+    constraints
+  });
+
+  const matchSet = createMatchSet();
+  const matchedAt = new Date().toISOString();
+
+  for (const pod of formation.pods) {
+    // group1Name/group1Id, group2Name/... as for pairs and triads
+    const groupFields = {};
+    pod.groups.forEach((g, i) => {
+      groupFields[`group${i + 1}Name`] = g.groupName;
+      groupFields[`group${i + 1}Id`] = g.id;
+    });
+    matchSet.add(pod.groups, {
+      ...groupFields,
+      compatibility: pod.compatibility,
+      matchedAt,
+      matchingMode: 'pairing',
+      scoringProfile: scoringProfile.name,
+      podSize: pod.groups.length
+    });
+  }
+
+  const result = {
+    success: true,
+    message: 'Pod matching completed successfully',
+    summary: {
+      mode: 'pairing',
+      podSize,
+      scoringProfile: scoringProfile.name,
+      method: formation.method,
+      totalGroups: allProfiles.length,
+      totalPods: formation.pods.length,
+      totalScore: Math.round(formation.totalScore * 100) / 100,
+      unmatched: formation.unmatched.map(g => g.groupName),
+      scoreCache: cacheStats
+    },
+    pods: formation.pods.map(p => ({
+      groups: p.groups.map(g => g.groupName),
+      compatibility: p.compatibility.percentage,
+      breakdown: p.compatibility
+    }))
+  };
+
+  return {
+    result,
+    matches: matchSet.list()
+  };
+}
+
+/**
+ * Run the blocks mode (groups merged into blocks of up to options.blockSize people)
+ * @param {Array} allProfiles - All group profiles
+ * @param {Map} scores - Pair scores from the scoring phase
+ * @param {Object} options - { blockSize, scoringProfile, constraints }
+ * @param {Function} onProgress - Progress callback
+ * @param {Object} cacheStats - Score cache stats from the scoring phase
+ * @returns {Promise<Object>} { result, matches }
+ */
+async function runBlocks(allProfiles, scores, options, onProgress, cacheStats) {
+  const { blockSize, scoringProfile, constraints } = options;
+  onProgress({ phase: 'blocking' });
+  const formation = await groupMatching.findBlocks({
+    maxBlockSize: blockSize,
+    scores,
+    scoringProfile,
+    constraints
+  });
+
+  const matchSet = createMatchSet();
+  const matchedAt = new Date().toISOString();
+
+  for (const block of formation.blocks) {
+    const [group1, group2] = block.groups;
+    matchSet.add(block.groups, {
+      // First two groups kept in the pair fields so pair-only readers still show the block
+      group1Name: group1.groupName,
+      group2Name: group2.groupName,
+      group1Id: group1.id,
+      group2Id: group2.id,
+      members: block.groups.map(g => ({
+        groupId: g.id,
+        groupName: g.groupName,
+        size: groupMatching.getGroupSize(g)
+      })),
+      blockSize: block.size,
+      compatibility: block.compatibility,
+      matchedAt,
+      matchingMode: 'blocks',
+      scoringProfile: scoringProfile.name,
+      isBlock: true
+    });
+  }
+
+  const result = {
+    success: true,
+    message: 'Block formation completed successfully',
+    summary: {
+      mode: 'blocks',
+      scoringProfile: scoringProfile.name,
+      method: formation.method,
+      maxBlockSize: blockSize,
+      totalGroups: allProfiles.length,
+      totalBlocks: formation.blocks.length,
+      totalScore: Math.round(formation.totalScore * 100) / 100,
+      leftover: formation.leftover.map(l => ({
+        group: l.group.groupName,
+        size: l.size,
+        reason: l.reason
+      })),
+      scoreCache: cacheStats
+    },
+    blocks: formation.blocks.map(b => ({
+      groups: b.groups.map(g => g.groupName),
+      size: b.size,
+      compatibility: b.compatibility.percentage,
+      breakdown: b.compatibility
+    }))
+  };
+
+  return {
+    result,
+    matches: matchSet.list()
+  };
+}
+
+/**
+ * Run the ranked mode (best overall match + top 3 per group)
+ * Coverage and fairness: every group first gets its best partners until it has
+ * options.fairness.minMatches matches, then the top-3 picks are added best-first.
+ * No group goes over options.fairness.maxAppearances matches.
+ * @param {Array} allProfiles - All group profiles
+ * @param {Map} scores - Pair scores from the scoring phase
+ * @param {Object} options - { scoringProfile, constraints, fairness }
+ * @param {Function} onProgress - Progress callback
+ * @param {Object} cacheStats - Score cache stats from the scoring phase
+ * @returns {Promise<Object>} { result, matches }
+ */
+async function runRanked(allProfiles, scores, options, onProgress, cacheStats) {
+  const { scoringProfile, constraints, fairness } = options;
+  onProgress({ phase: 'ranking' });
+
+  // Find best overall match
+  const bestMatch = await groupMatching.findBestMatch({ scores, scoringProfile, constraints });
+
+  // Find top matches for each group
+  const topMatches = [];
+  for (const group of allProfiles) {
+    topMatches.push({
+      group,
+      matches: await groupMatching.findMatchesForGroup(group.groupName, 3, { scores, scoringProfile, constraints })
+    });
+  }
+
+  // Pairs picked so far; owners are the groups whose list the pair shows up in
+  const selected = new Map();
+  const appearances = new Map(allProfiles.map(g => [g.id, 0]));
+  const hasRoom = group => fairness.maxAppearances === null || appearances.get(group.id) < fairness.maxAppearances;
+  const select = (owner, partner, compatibility) => {
+    const key = groupMatching.getPairKey(owner.id, partner.id);
+    if (selected.has(key)) {
+      selected.get(key).owners.add(owner.id);
+      return true;
+    }
+    if (!hasRoom(owner) || !hasRoom(partner)) {
+      return false;
+    }
+    selected.set(key, { group1: owner, group2: partner, compatibility, owners: new Set([owner.id]) });
+    appearances.set(owner.id, appearances.get(owner.id) + 1);
+    appearances.set(partner.id, appearances.get(partner.id) + 1);
+    return true;
+  };
+
+  if (bestMatch) {
+    select(bestMatch.group1, bestMatch.group2, bestMatch.compatibility);
+  }
+
+  // Coverage: groups with the fewest allowed partners choose first
+  const partnersOf = group => allProfiles
+    .filter(g => g.id !== group.id && groupMatching.checkConstraints([group, g], constraints).length === 0)
+    .map(g => ({ group: g, compatibility: scores.get(groupMatching.getPairKey(group.id, g.id)) }))
+    .filter(p => p.compatibility)
+    .sort((a, b) => b.compatibility.score - a.compatibility.score);
+  const coverageOrder = allProfiles
+    .map(group => ({ group, partners: partnersOf(group) }))
+    .sort((a, b) => a.partners.length - b.partners.length);
+
+  for (const { group, partners } of coverageOrder) {
+    for (const partner of partners) {
+      if (appearances.get(group.id) >= fairness.minMatches) break;
+      const key = groupMatching.getPairKey(group.id, partner.group.id);
+      if (!selected.has(key)) {
+        select(group, partner.group, partner.compatibility);
+      }
+    }
+  }
+
+  // Top picks, best first, as far as the cap allows
+  const picks = topMatches
+    .flatMap(({ group, matches }) => matches.map(m => ({ owner: group, partner: m.group, compatibility: m.compatibility })))
+    .sort((a, b) => b.compatibility.score - a.compatibility.score);
+  for (const pick of picks) {
+    select(pick.owner, pick.partner, pick.compatibility);
+  }
+
+  const bestMatchKey = bestMatch ? groupMatching.getPairKey(bestMatch.group1.id, bestMatch.group2.id) : null;
+  const matchSet = createMatchSet();
+  const matchedAt = new Date().toISOString();
+
+  for (const [key, pair] of selected) {
+    matchSet.add([pair.group1, pair.group2], {
+      group1Name: pair.group1.groupName,
+      group2Name: pair.group2.groupName,
+      group1Id: pair.group1.id,
+      group2Id: pair.group2.id,
+      compatibility: pair.compatibility,
+      matchedAt,
+      scoringProfile: scoringProfile.name,
+      ...(key === bestMatchKey ? { isBestMatch: true } : {})
+    });
+  }
+
+  // Each group's own picks that made it in (plus its coverage match)
+  const matchesByGroup = {};
+  for (const group of allProfiles) {
+    matchesByGroup[group.groupName] = [...selected.values()]
+      .filter(pair => pair.owners.has(group.id))
+      .sort((a, b) => b.compatibility.score - a.compatibility.score)
+      .map(pair => {
+        const other = pair.group1.id === group.id ? pair.group2 : pair.group1;
+        return {
+          groupName: other.groupName,
+          compatibility: pair.compatibility.percentage,
+          breakdown: pair.compatibility
+        };
+      });
+  }
+
+  const allMatches = matchSet.list();
+
+  const result = {
+    success: true,
+    message: 'Matching completed successfully',
+    summary: {
+      mode: 'ranked',
+      scoringProfile: scoringProfile.name,
+      totalGroups: allProfiles.length,
+      totalMatches: allMatches.length,
+      scoreCache: cacheStats,
+      bestMatch: bestMatch ? {
+        group1: bestMatch.group1.groupName,
+        group2: bestMatch.group2.groupName,
+        compatibility: bestMatch.compatibility.percentage,
+        breakdown: bestMatch.compatibility
+      } : null
+    },
+    matchesByGroup,
+    allMatches: allMatches.map(m => ({
+      group1: m.group1Name,
+      group2: m.group2Name,
+      compatibility: m.compatibility?.percentage || 0,
+      matchedAt: m.matchedAt,
+      isBestMatch: m.isBestMatch || false
+    }))
+  };
+
+  return { result, matches: allMatches };
+}
+
+/**
+ * Resolve scoring profile, constraints, repeat policy, pre-filter, batch size and sampling from run options
+ * @param {Object} options - Matching options
+ * @returns {Object} { scoringProfile, constraints, historyOptions, prefilter, batchSize, sampling, blockSize, podSize, fairness }
+ * @throws {Error} If any of them is invalid
+ */
+function resolveOptions(options) {
+  const scoringProfile = groupMatching.getScoringProfile(options.scoringProfile || undefined);
+  if (!scoringProfile) {
+    throw new Error(`Unknown scoring profile "${options.scoringProfile}"`);
+  }
+
+  const { constraints, error } = groupMatching.normalizeConstraints(options.constraints);
+  if (error) {
+    throw new Error(`Invalid constraints: ${error}`);
+  }
+
+  const historyCheck = matchHistory.normalizeHistoryOptions(options.history);
+  if (historyCheck.error) {
+    throw new Error(`Invalid history option: ${historyCheck.error}`);
+  }
+
+  const prefilterCheck = groupMatching.normalizePrefilter(options.prefilter);
+  if (prefilterCheck.error) {
+    throw new Error(`Invalid prefilter option: ${prefilterCheck.error}`);
+  }
+
+  const batchSize = options.batchSize ?? config.matching.batchSize;
+  if (!isValidBatchSize(batchSize)) {
+    throw new Error('Invalid batch size: must be a whole number of at least 1');
+  }
+
+  const samplingCheck = groupMatching.normalizeSampling(options.sampling);
+  if (samplingCheck.error) {
+    throw new Error(`Invalid sampling option: ${samplingCheck.error}`);
+  }
+
+  const blockSize = options.blockSize ?? config.matching.blocks.maxSize;
+  if (!isValidBlockSize(blockSize)) {
+    throw new Error('Invalid block size: must be a whole number of at least 2');
+  }
+
+  const podSize = options.podSize ?? config.matching.podSize;
+  const podSizeError = groupMatching.validatePodSize(podSize);
+  if (podSizeError) {
+    throw new Error(`Invalid pod size: ${podSizeError}`);
+  }
+
+  const fairnessCheck = groupMatching.normalizeFairness(options.fairness);
+  if (fairnessCheck.error) {
+    throw new Error(`Invalid fairness option: ${fairnessCheck.error}`);
+  }
+
+  return {
+    scoringProfile,
+    constraints,
+    historyOptions: historyCheck.options,
+    prefilter: prefilterCheck.prefilter,
+    batchSize: Number(batchSize),
+    sampling: samplingCheck.sampling,
+    blockSize: Number(blockSize),
+    podSize: Number(podSize),
+    fairness: fairnessCheck.fairness
+  };
+}
+
+/**
+ * Run a full matching event
+ * Creates a new matching event record; earlier events are never modified.
+ * A run that throws leaves its event marked 'failed'.
+ * In preview mode the full pipeline runs but no event or match is
+ * written (new Claude scores still go to the score cache); the result includes a
+ * diff against the current matches instead.
+ * @param {Object} options - Matching options
+ * @param {string} options.mode - 'ranked' (default), 'pairing' or 'blocks'
+ * @param {string} options.oddStrategy - 'unmatched' (default) or 'triad'
+ * @param {string} options.scoringProfile - Scoring profile name (default: config.scoring.defaultProfile)
+ * @param {Object} options.constraints - Hard constraints (see groupMatching.normalizeConstraints)
+ * @param {Object} options.history - Repeat policy (see matchHistory.normalizeHistoryOptions)
+ * @param {Object} options.prefilter - Pre-filter before Claude scoring (see groupMatching.normalizePrefilter)
+ * @param {number} options.batchSize - Candidates judged per Claude call (default: config.matching.batchSize)
+ * @param {Object} options.sampling - Judge samples per pair (see groupMatching.normalizeSampling)
+ * @param {number} options.blockSize - Max people per block in blocks mode (default: config.matching.blocks.maxSize)
+ * @param {number} options.podSize - Groups per match in pairing mode: 2, 3 or 4 (default: config.matching.podSize)
+ * @param {Object} options.fairness - Min matches / max appearances per group in ranked mode (see groupMatching.normalizeFairness)
+ * @param {boolean} options.preview - Dry run: propose matches without saving anything
+ * @param {Function} onProgress - Called with { phase, scored?, total? } updates
+ * @returns {Promise<Object>} Result body (as returned by /api/match)
+ */
+async function runMatching(options = {}, onProgress = () => {}) {
+  const { mode = 'ranked', oddStrategy = 'unmatched' } = options;
+  const allProfiles = groupProfileStorage.getAllProfiles();
+
+  if (allProfiles.length < 2) {
+    throw new Error('Need at least 2 groups to perform matching');
+  }
+
+  const { scoringProfile, constraints, historyOptions, prefilter, batchSize, sampling, blockSize, podSize, fairness } = resolveOptions(options);
+  const pipelineOptions = { mode, oddStrategy, scoringProfile, constraints, historyOptions, prefilter, batchSize, sampling, blockSize, podSize, fairness };
+
+  if (options.preview) {
+    const { result, matches } = await runPipeline(allProfiles, pipelineOptions, onProgress);
+    return {
+      ...result,
+      preview: true,
+      message: `${result.message} (preview - nothing was saved)`,
+      diff: diffMatches(groupProfileStorage.getAllMatches(), matches)
+    };
+  }
+
+  const event = groupProfileStorage.createEvent({
+    config: {
+      mode,
+      oddStrategy,
+      scoringProfile: scoringProfile.name,
+      constraints,
+      history: historyOptions,
+      prefilter,
+      batchSize,
+      sampling,
+      ...(mode === 'blocks' ? { blockSize } : {}),
+      ...(mode === 'pairing' ? { podSize } : {}),
+      ...(mode === 'ranked' ? { fairness } : {})
+    },
+    profileIds: allProfiles.map(p => p.id)
+  });
+
+  try {
+    const { result, matches } = await runPipeline(allProfiles, pipelineOptions, onProgress);
+
+    onProgress({ phase: 'saving' });
+    for (const match of matches) {
+      groupProfileStorage.saveEventMatch(event.id, match);
+    }
+
+    result.summary = {
+      eventId: event.id,
+      eventVersion: event.version,
+      ...result.summary
+    };
+    groupProfileStorage.updateEvent(event.id, {
+      status: 'completed',
+      completedAt: new Date().toISOString(),
+      summary: result.summary
+    });
+    return result;
+  } catch (error) {
+    groupProfileStorage.updateEvent(event.id, {
+      status: 'failed',
+      completedAt: new Date().toISOString(),
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Score every pair and pick matches (saves nothing)
+ * @param {Array} allProfiles - Participating group profiles
+ * @param {Object} options - Validated { mode, oddStrategy, scoringProfile, constraints, historyOptions, prefilter, batchSize, sampling, blockSize, podSize, fairness }
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Object>} { result, matches }
+ */
+async function runPipeline(allProfiles, options, onProgress) {
+  const { mode, oddStrategy, scoringProfile, blockSize, podSize, fairness } = options;
+  const scoring = await scoreCohort(allProfiles, options, onProgress);
+  const { scores, runConstraints, cacheStats } = scoring;
+
+  let run;
+  if (mode === 'pairing' && podSize > 2) {
+    run = await runPods(allProfiles, scores, { podSize, oddStrategy, scoringProfile, constraints: runConstraints }, onProgress, cacheStats);
+  } else if (mode === 'pairing') {
+    run = await runPairing(allProfiles, scores, { oddStrategy, scoringProfile, constraints: runConstraints }, onProgress, cacheStats);
+  } else if (mode === 'blocks') {
+    run = await runBlocks(allProfiles, scores, { blockSize, scoringProfile, constraints: runConstraints }, onProgress, cacheStats);
+  } else {
+    run = await runRanked(allProfiles, scores, { scoringProfile, constraints: runConstraints, fairness }, onProgress, cacheStats);
+  }
+
+  addScoringSummary(run.result.summary, scoring, options, run.matches);
+  run.result.summary.fairness = summarizeFairness(allProfiles, run.matches, mode === 'ranked' ? fairness : null);
+  return run;
+}
+
+/**
+ * Fairness report: how many matches each group ended up in
+ * @param {Array} allProfiles - Participating group profiles
+ * @param {Array} matches - Match records of the run
+ * @param {Object|null} fairness - Enforced { minMatches, maxAppearances } (ranked mode), or null
+ * @returns {Object} { minMatches, maxAppearances, matchesPerGroup: { min, median, max }, belowMinimum }
+ */
+function summarizeFairness(allProfiles, matches, fairness) {
+  const counts = new Map(allProfiles.map(g => [g.id, 0]));
+  for (const match of matches) {
+    for (const member of groupProfileStorage.getMatchMembers(match)) {
+      if (counts.has(member.groupId)) {
+        counts.set(member.groupId, counts.get(member.groupId) + 1);
+      }
+    }
+  }
+
+  const sorted = [...counts.values()].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  // Outside ranked mode a group is covered by one match
+  const threshold = fairness ? fairness.minMatches : 1;
+
+  return {
+    minMatches: threshold,
+    maxAppearances: fairness ? fairness.maxAppearances : null,
+    matchesPerGroup: {
+      min: sorted[0] ?? 0,
+      median: median || 0,
+      max: sorted[sorted.length - 1] ?? 0
+    },
+    belowMinimum: allProfiles
+      .filter(g => counts.get(g.id) < threshold)
+      .map(g => ({ group: g.groupName, matches: counts.get(g.id) }))
+  };
+}
+
+/**
+ * Scoring phase shared by every full run
+ * Applies hard constraints and the repeat policy, then scores every allowed pair once
+ * (later phases read from the returned map, never from Claude).
+ * @param {Array} allProfiles - Participating group profiles
+ * @param {Object} options - Validated { scoringProfile, constraints, historyOptions, prefilter, batchSize, sampling }
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Object>} { scores, runConstraints, excluded, repeats, allowed, selected, cacheStats, failedPairs, eventsOnRecord }
+ */
+async function scoreCohort(allProfiles, options, onProgress) {
+  const { scoringProfile, constraints, historyOptions, prefilter, batchSize, sampling } = options;
+  const eventsOnRecord = matchHistory.getEventCount();
+
+  scoreCache.resetStats();
+
+  // Pairs ruled out by hard constraints are never scored or matched
+  const { excluded } = groupMatching.filterPairs(allProfiles, constraints);
+
+  // Pairs matched in earlier events: excluded up front ("never") or penalized after scoring ("decay")
+  const repeats = matchHistory.findRepeatPairs(allProfiles, historyOptions);
+  const runConstraints = {
+    ...constraints,
+    doNotMatch: [
+      ...constraints.doNotMatch,
+      ...repeats.filter(r => r.action === 'excluded').map(r => [r.group1.id, r.group2.id])
+    ]
+  };
+
+  // Score every allowed pair once up front - later phases read from the score cache
+  const { allowed } = groupMatching.filterPairs(allProfiles, runConstraints);
+  const { selected } = groupMatching.selectCandidatePairs(allowed, scoringProfile, prefilter);
+  onProgress({ phase: 'scoring', scored: 0, total: selected.length });
+  const scores = await groupMatching.scoreAllPairs(allProfiles, {
+    scoringProfile,
+    constraints: runConstraints,
+    prefilter,
+    batchSize,
+    sampling,
+    onProgress: (scored, total) => onProgress({ phase: 'scoring', scored, total })
+  });
+  const cacheStats = scoreCache.getStats();
+  const failedPairs = listFailedPairs(allProfiles, scores);
+
+  for (const repeat of repeats.filter(r => r.action === 'penalized')) {
+    const key = groupMatching.getPairKey(repeat.group1.id, repeat.group2.id);
+    if (scores.has(key)) {
+      scores.set(key, matchHistory.applyPenalty(scores.get(key), repeat.penalty));
+    }
+  }
+
+  return { scores, runConstraints, excluded, repeats, allowed, selected, cacheStats, failedPairs, eventsOnRecord };
+}
+
+/**
+ * Add the scoring-phase report (failures, exclusions, repeats, sampling, pre-filter) to a run summary
+ * @param {Object} summary - Run summary (modified in place)
+ * @param {Object} scoring - Result of scoreCohort
+ * @param {Object} options - Validated run options (including the event mode)
+ * @param {Array} matches - Match records of the run
+ */
+function addScoringSummary(summary, scoring, options, matches) {
+  const { constraints, historyOptions, prefilter, batchSize, sampling } = options;
+  const { excluded, repeats, allowed, selected, failedPairs, eventsOnRecord } = scoring;
+
+  summary.failedPairs = failedPairs;
+  summary.constraints = constraints;
+  summary.excludedPairs = excluded.map(e => ({
+    group1: e.group1.groupName,
+    group2: e.group2.groupName,
+    reasons: e.reasons
+  }));
+  summary.history = {
+    ...historyOptions,
+    ...matchHistory.describeRecording(options.mode),
+    eventsOnRecord,
+    suppressed: repeats.map(r => ({
+      group1: r.group1.groupName,
+      group2: r.group2.groupName,
+      action: r.action,
+      eventsAgo: r.eventsAgo,
+      lastMatchedAt: r.lastMatchedAt,
+      ...(r.penalty !== null ? { penalty: Math.round(r.penalty * 100) } : {})
+    }))
+  };
+  summary.batchSize = batchSize;
+  summary.sampling = {
+    ...sampling,
+    lowConfidenceMatches: matches
+      .filter(m => groupMatching.isLowConfidence(m.compatibility, sampling.lowConfidence))
+      .map(m => ({
+        groups: groupProfileStorage.getMatchMembers(m).map(member => member.groupName),
+        confidence: m.compatibility.confidence
+      }))
+  };
+  summary.prefilter = {
+    enabled: prefilter.enabled,
+    topK: prefilter.topK,
+    minQuantitative: prefilter.minQuantitative,
+    candidatePairs: allowed.length,
+    llmPairs: selected.length,
+    skippedLlmCalls: allowed.length - selected.length,
+    estimatedMatches: matches.filter(m => m.estimated).length
+  };
+}
+
+/**
+ * Get the pairing event that incremental matching builds on
+ * @returns {Object|null} Published pairing (or incremental / preference) event, else the latest completed one, else null
+ */
+function getIncrementalBase() {
+  const events = groupProfileStorage.listEvents()
+    .filter(e => e.status === 'completed' && ['pairing', 'incremental', 'preferences'].includes(e.config?.mode));
+  return events.find(e => e.published) || events[0] || null;
+}
+
+/**
+ * Match one late group without rerunning the whole cohort
+ * Scores only the newcomer against groups that are still unmatched in the base
+ * pairing event (see getIncrementalBase) and proposes its best partner. The base
+ * event's pairs are copied unchanged into a new matching event, which takes over
+ * as published if the base was published. With no pairing event yet, every other
+ * group counts as unmatched. Use preview to review the proposal first.
+ * @param {Object} options - Matching options
+ * @param {string} options.groupId - ID (or name) of the new group
+ * @param {string} options.scoringProfile - Scoring profile name (default: config.scoring.defaultProfile)
+ * @param {Object} options.constraints - Hard constraints (see groupMatching.normalizeConstraints)
+ * @param {Object} options.history - Repeat policy (see matchHistory.normalizeHistoryOptions)
+ * @param {number} options.batchSize - Candidates judged per Claude call (default: config.matching.batchSize)
+ * @param {Object} options.sampling - Judge samples per pair (see groupMatching.normalizeSampling)
+ * @param {boolean} options.preview - Propose without saving anything
+ * @param {Function} onProgress - Called with { phase, scored?, total? } updates
+ * @returns {Promise<Object>} Result body
+ */
+async function runIncremental(options = {}, onProgress = () => {}) {
+  const allProfiles = groupProfileStorage.getAllProfiles();
+  const newcomer = allProfiles.find(g => g.id === options.groupId) ||
+    groupProfileStorage.getProfileByGroupName(options.groupId || '');
+
+  if (!newcomer) {
+    throw new Error(`Group "${options.groupId}" not found`);
+  }
+
+  const { scoringProfile, constraints, historyOptions, batchSize, sampling } = resolveOptions(options);
+  const baseEvent = getIncrementalBase();
+  const baseMatches = baseEvent ? baseEvent.matches : [];
+
+  const matchedIds = new Set();
+  for (const match of baseMatches) {
+    groupProfileStorage.getMatchMembers(match).forEach(member => matchedIds.add(member.groupId));
+  }
+  if (matchedIds.has(newcomer.id)) {
+    throw new Error(`${newcomer.groupName} is already matched in event v${baseEvent.version}`);
+  }
+
+  const candidates = allProfiles.filter(g => g.id !== newcomer.id && !matchedIds.has(g.id));
+
+  scoreCache.resetStats();
+
+  // Same repeat policy as a full run, limited to the newcomer's pairs
+  const repeats = matchHistory.findRepeatPairs([newcomer, ...candidates], historyOptions)
+    .filter(r => r.group1.id === newcomer.id || r.group2.id === newcomer.id);
+  const runConstraints = {
+    ...constraints,
+    doNotMatch: [
+      ...constraints.doNotMatch,
+      ...repeats.filter(r => r.action === 'excluded').map(r => [r.group1.id, r.group2.id])
+    ]
+  };
+
+  onProgress({ phase: 'scoring', scored: 0, total: candidates.length });
+  const scores = await groupMatching.scoreCandidates(newcomer, candidates, {
+    scoringProfile,
+    constraints: runConstraints,
+    batchSize,
+    sampling,
+    onProgress: (scored, total) => onProgress({ phase: 'scoring', scored, total })
+  });
+  const cacheStats = scoreCache.getStats();
+
+  for (const repeat of repeats.filter(r => r.action === 'penalized')) {
+    const key = groupMatching.getPairKey(repeat.group1.id, repeat.group2.id);
+    if (scores.has(key)) {
+      scores.set(key, matchHistory.applyPenalty(scores.get(key), repeat.penalty));
+    }
+  }
+
+  onProgress({ phase: 'pairing' });
+  const ranked = candidates
+    .map(group => ({ group, compatibility: scores.get(groupMatching.getPairKey(newcomer.id, group.id)) }))
+    .filter(c => c.compatibility)
+    .sort((a, b) => b.compatibility.score - a.compatibility.score);
+  const best = ranked[0] || null;
+
+  const matchSet = createMatchSet();
+  if (best) {
+    matchSet.add([newcomer, best.group], {
+      group1Name: newcomer.groupName,
+      group2Name: best.group.groupName,
+      group1Id: newcomer.id,
+      group2Id: best.group.id,
+      compatibility: best.compatibility,
+      matchedAt: new Date().toISOString(),
+      matchingMode: 'pairing',
+      scoringProfile: scoringProfile.name,
+      isIncremental: true
+    });
+  }
+  const [proposal] = matchSet.list();
+
+  const result = {
+    success: true,
+    message: best
+      ? `Proposed ${newcomer.groupName} ↔ ${best.group.groupName}`
+      : `No unmatched partner available for ${newcomer.groupName}`,
+    summary: {
+      mode: 'incremental',
+      group: newcomer.groupName,
+      baseEventId: baseEvent ? baseEvent.id : null,
+      baseEventVersion: baseEvent ? baseEvent.version : null,
+      scoringProfile: scoringProfile.name,
+      candidates: candidates.length,
+      unchangedMatches: baseMatches.length,
+      scoreCache: cacheStats,
+      failedPairs: listFailedPairs([newcomer, ...candidates], scores),
+      history: {
+        ...historyOptions,
+        ...matchHistory.describeRecording('incremental'),
+        suppressed: repeats.map(r => ({
+          group1: r.group1.groupName,
+          group2: r.group2.groupName,
+          action: r.action,
+          eventsAgo: r.eventsAgo,
+          lastMatchedAt: r.lastMatchedAt,
+          ...(r.penalty !== null ? { penalty: Math.round(r.penalty * 100) } : {})
+        }))
+      }
+    },
+    proposal: proposal ? {
+      group1: proposal.group1Name,
+      group2: proposal.group2Name,
+      compatibility: proposal.compatibility.percentage,
+      breakdown: proposal.compatibility,
+      explanation: proposal.explanation.text
+    } : null,
+    candidates: ranked.slice(0, 5).map(c => ({
+      groupName: c.group.groupName,
+      compatibility: c.compatibility.percentage
+    }))
+  };
+
+  if (options.preview || !proposal) {
+    return options.preview ? { ...result, preview: true } : result;
+  }
+
+  onProgress({ phase: 'saving' });
+  const event = groupProfileStorage.createEvent({
+    config: {
+      mode: 'incremental',
+      baseEventId: result.summary.baseEventId,
+      groupId: newcomer.id,
+      scoringProfile: scoringProfile.name,
+      constraints,
+      history: historyOptions
+    },
+    profileIds: [...new Set([...(baseEvent ? baseEvent.profileIds : []), newcomer.id])]
+  });
+
+  // Existing pairs are carried over as-is
+  for (const match of [...baseMatches, proposal]) {
+    groupProfileStorage.saveEventMatch(event.id, match);
+  }
+
+  result.summary = {
+    eventId: event.id,
+    eventVersion: event.version,
+    ...result.summary
+  };
+  groupProfileStorage.updateEvent(event.id, {
+    status: 'completed',
+    completedAt: new Date().toISOString(),
+    summary: result.summary
+  });
+
+  // Newcomer joins the live matches; everyone else's pair is unchanged
+  if (baseEvent?.published) {
+    publishEvent(event.id);
+  }
+
+  return result;
+}
+
+/**
+ * Preference matching, phase 1: ask every group to rank its top candidates
+ * Creates a matching event in status 'collecting' that holds each group's candidates
+ * (from findMatchesForGroup) and sends them to the group's chat. Replies come in through
+ * the Mandy webhook; run runPreferenceMatching once enough groups have answered.
+ * @param {Object} options - Same options as runMatching (mode and preview are ignored), plus:
+ * @param {number} options.topN - Candidates each group ranks (default: config.matching.preferences.topN)
+ * @param {Function} onProgress - Called with { phase, scored?, total? } updates
+ * @returns {Promise<Object>} Result body
+ */
+async function runRankingCollection(options = {}, onProgress = () => {}) {
+  const allProfiles = groupProfileStorage.getAllProfiles();
+  if (allProfiles.length < 2) {
+    throw new Error('Need at least 2 groups to perform matching');
+  }
+
+  const resolved = resolveOptions(options);
+  const { scoringProfile, constraints, historyOptions, prefilter, batchSize, sampling } = resolved;
+  const topN = Number(options.topN ?? preferenceMatching.getDefaultTopN());
+  const topNError = preferenceMatching.validateTopN(topN);
+  if (topNError) {
+    throw new Error(`Invalid topN: ${topNError}`);
+  }
+
+  const event = groupProfileStorage.createEvent({
+    config: {
+      mode: 'preferences',
+      topN,
+      scoringProfile: scoringProfile.name,
+      constraints,
+      history: historyOptions,
+      prefilter,
+      batchSize,
+      sampling
+    },
+    profileIds: allProfiles.map(p => p.id)
+  });
+
+  try {
+    const scoring = await scoreCohort(allProfiles, resolved, onProgress);
+
+    onProgress({ phase: 'requesting' });
+    const requestedAt = new Date().toISOString();
+    const rankings = {};
+    for (const group of allProfiles) {
+      const top = await groupMatching.findMatchesForGroup(group.groupName, topN, {
+        scores: scoring.scores,
+        scoringProfile,
+        constraints: scoring.runConstraints
+      });
+      rankings[group.id] = {
+        candidates: top.map(m => ({
+          groupId: m.group.id,
+          groupName: m.group.groupName,
+          compatibility: m.compatibility.percentage
+        })),
+        ranking: null,
+        raw: null,
+        requestedAt,
+        receivedAt: null,
+        requestSent: false
+      };
+    }
+
+    // Open for replies before any message goes out
+    groupProfileStorage.updateEvent(event.id, { status: 'collecting', rankings });
+
+    let requestsSent = 0;
+    for (const group of allProfiles) {
+      const { candidates } = rankings[group.id];
+      if (candidates.length > 0 && await preferenceMatching.sendRankingRequest(group, candidates)) {
+        groupProfileStorage.saveEventRanking(event.id, group.id, { requestSent: true });
+        rankings[group.id].requestSent = true;
+        requestsSent++;
+      }
+    }
+
+    const result = {
+      success: true,
+      message: `Ranking requests sent to ${requestsSent} of ${allProfiles.length} groups`,
+      summary: {
+        eventId: event.id,
+        eventVersion: event.version,
+        mode: 'preferences',
+        phase: 'collecting',
+        scoringProfile: scoringProfile.name,
+        topN,
+        totalGroups: allProfiles.length,
+        requestsSent,
+        scoreCache: scoring.cacheStats
+      },
+      requests: allProfiles.map(group => ({
+        group: group.groupName,
+        candidates: rankings[group.id].candidates.map(c => ({ groupName: c.groupName, compatibility: c.compatibility })),
+        sent: rankings[group.id].requestSent
+      })),
+      matchUrl: `/api/preferences/${event.id}/match`
+    };
+    addScoringSummary(result.summary, scoring, { ...resolved, mode: 'preferences' }, []);
+
+    groupProfileStorage.updateEvent(event.id, { summary: result.summary });
+    return result;
+  } catch (error) {
+    groupProfileStorage.updateEvent(event.id, {
+      status: 'failed',
+      completedAt: new Date().toISOString(),
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Preference matching, phase 2: match groups on their rankings
+ * Runs a stable-roommates matching over each group's ranking, completed by compatibility
+ * score (see preferenceMatching.buildPreferenceLists). If no stable matching exists, groups
+ * are paired by score like a pairing run. Matches are saved into the collecting event,
+ * which is then marked completed; a failed attempt leaves it open for another try.
+ * @param {Object} options - { eventId }
+ * @param {Function} onProgress - Called with { phase, scored?, total? } updates
+ * @returns {Promise<Object>} Result body
+ */
+async function runPreferenceMatching(options = {}, onProgress = () => {}) {
+  const event = groupProfileStorage.getEvent(options.eventId);
+  if (!event) {
+    throw new Error(`Matching event "${options.eventId}" not found`);
+  }
+  if (event.config?.mode !== 'preferences' || event.status !== 'collecting') {
+    throw new Error(`Matching event "${event.id}" is not collecting rankings`);
+  }
+
+  // Same settings as when the candidates were sent out
+  const resolved = resolveOptions({
+    scoringProfile: event.config.scoringProfile,
+    constraints: event.config.constraints,
+    history: event.config.history,
+    prefilter: event.config.prefilter,
+    batchSize: event.config.batchSize,
+    sampling: event.config.sampling
+  });
+  const { scoringProfile } = resolved;
+  const profiles = groupProfileStorage.getAllProfiles().filter(p => event.profileIds.includes(p.id));
+
+  try {
+    const scoring = await scoreCohort(profiles, resolved, onProgress);
+    const { scores, runConstraints, cacheStats } = scoring;
+
+    onProgress({ phase: 'pairing' });
+    const preferences = preferenceMatching.buildPreferenceLists(profiles, event.rankings, scores);
+    const solution = preferenceMatching.solveStableRoommates(preferences);
+
+    let pairs;
+    let method;
+    if (solution.stable) {
+      pairs = solution.pairs;
+      method = 'stable-roommates';
+    } else {
+      console.warn(`⚠️  No stable matching for event v${event.version} - pairing by score instead`);
+      const indexOf = group => profiles.findIndex(p => p.id === group.id);
+      // The event's own cohort, not whoever is stored now
+      const pairing = await groupMatching.findOptimalPairing({ profiles, scores, scoringProfile, constraints: runConstraints });
+      pairs = pairing.pairs.map(p => [indexOf(p.group1), indexOf(p.group2)]);
+      method = `score-fallback (${pairing.method})`;
+    }
+
+    // 1 = the partner is the group's first choice
+    const rankOf = (i, j) => preferences[i].indexOf(j) + 1;
+    const rankedBy = (group, partner) => (event.rankings[group.id]?.ranking || []).includes(partner.id);
+
+    const matchSet = createMatchSet();
+    const matchedAt = new Date().toISOString();
+    for (const [i, j] of pairs) {
+      const [group1, group2] = [profiles[i], profiles[j]];
+      matchSet.add([group1, group2], {
+        group1Name: group1.groupName,
+        group2Name: group2.groupName,
+        group1Id: group1.id,
+        group2Id: group2.id,
+        compatibility: scores.get(groupMatching.getPairKey(group1.id, group2.id)),
+        matchedAt,
+        matchingMode: 'preferences',
+        scoringProfile: scoringProfile.name,
+        preference: {
+          group1Rank: rankOf(i, j),
+          group2Rank: rankOf(j, i),
+          group1Ranked: rankedBy(group1, group2),
+          group2Ranked: rankedBy(group2, group1)
+        }
+      });
+    }
+    const matches = matchSet.list();
+
+    const matchedIds = new Set(pairs.flat());
+    const rankingsReceived = profiles.filter(p => event.rankings[p.id]?.ranking).length;
+
+    const result = {
+      success: true,
+      message: solution.stable
+        ? 'Stable matching found'
+        : 'No stable matching exists for these rankings - paired by score instead',
+      summary: {
+        eventId: event.id,
+        eventVersion: event.version,
+        mode: 'preferences',
+        method,
+        stable: solution.stable,
+        scoringProfile: scoringProfile.name,
+        totalGroups: profiles.length,
+        totalPairs: pairs.length,
+        rankingsReceived,
+        gotFirstChoice: pairs.reduce((count, [i, j]) => count + (rankOf(i, j) === 1) + (rankOf(j, i) === 1), 0),
+        unmatched: profiles.filter((_, i) => !matchedIds.has(i)).map(p => p.groupName),
+        scoreCache: cacheStats
+      },
+      pairs: matches.map(m => ({
+        group1: m.group1Name,
+        group2: m.group2Name,
+        compatibility: m.compatibility.percentage,
+        group1Rank: m.preference.group1Rank,
+        group2Rank: m.preference.group2Rank
+      }))
+    };
+    addScoringSummary(result.summary, scoring, { ...resolved, mode: 'preferences' }, matches);
+
+    onProgress({ phase: 'saving' });
+    for (const match of matches) {
+      groupProfileStorage.saveEventMatch(event.id, match);
+    }
+
+    groupProfileStorage.updateEvent(event.id, {
+      status: 'completed',
+      completedAt: new Date().toISOString(),
+      summary: result.summary,
+      error: null
+    });
+    return result;
+  } catch (error) {
+    // Keep the rankings open so the admin can try again
+    groupProfileStorage.updateEvent(event.id, { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Publish a completed matching event and record it in the match history
+ * Its pairs replace those of the event it unpublishes, so only events that were
+ * actually sent out keep groups from meeting again.
+ * @param {string} eventId - Event ID
+ * @returns {Object} Published event
+ * @throws {Error} If the event doesn't exist or hasn't completed
+ */
+function publishEvent(eventId) {
+  const unpublishedIds = groupProfileStorage.listEvents()
+    .filter(event => event.published && event.id !== eventId)
+    .map(event => event.id);
+  const published = groupProfileStorage.publishEvent(eventId);
+  matchHistory.recordPublishedEvent(published, unpublishedIds);
+  return published;
+}
+
+module.exports = {
+  validateOptions,
+  runMatching,
+  runIncremental,
+  runRankingCollection,
+  runPreferenceMatching,
+  publishEvent,
+  getIncrementalBase
+};
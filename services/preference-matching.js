@@ -0,0 +1,298 @@
+/**
+ * Preference Matching
+ *
+ * Lets groups have a say in who they're matched with. Two phases:
+ * 1. Collect: each group is sent its top N candidates in its Mandy chat and
+ *    replies with a ranking ("2, 1, 3"). Rankings are stored on the matching
+ *    event (status 'collecting') until an admin runs phase 2.
+ * 2. Match: every group's preference list is its own ranking first, then all
+ *    other allowed groups by compatibility score (so groups that never replied,
+ *    and candidates nobody ranked, are ordered by score). A stable-roommates
+ *    matching is computed over those lists (Irving's algorithm): no two groups
+ *    would both rather be with each other than with their assigned partners.
+ *
+ * Stable matchings don't always exist for roommates problems; the runner falls
+ * back to score-based pairing when there isn't one.
+ */
+
+const config = require('../config');
+const groupProfileStorage = require('./group-profile-storage');
+const groupMatching = require('./group-matching');
+
+/**
+ * Get the default number of candidates each group ranks
+ * @returns {number} Candidates per group
+ */
+function getDefaultTopN() {
+  return config.matching.preferences?.topN || 3;
+}
+
+/**
+ * Check a topN option
+ * @param {number|string} topN - Candidates per group (strings allowed, e.g. from a query string)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateTopN(topN) {
+  const value = Number(topN);
+  if (!Number.isInteger(value) || value < 1 || value > 10) {
+    return 'topN must be a whole number from 1-10';
+  }
+  return null;
+}
+
+/**
+ * Build the chat message asking a group to rank its candidates
+ * @param {Array} candidates - [{ groupName, compatibility }] (compatibility in %)
+ * @returns {string} Message text
+ */
+function buildRankingRequest(candidates) {
+  const lines = candidates.map((c, i) => `${i + 1}. ${c.groupName} (${c.compatibility}% match)`);
+  return `🗳️ Time to pick! Here are your top ${candidates.length} potential matches:\n\n` +
+    `${lines.join('\n')}\n\n` +
+    `Reply with your ranking, favorite first - e.g. "${candidates.map((c, i) => i + 1).reverse().join(', ')}". ` +
+    `Anyone you leave out goes after the ones you rank.`;
+}
+
+/**
+ * Send a ranking request to a group's chat
+ * Test chats are skipped; a failed send is logged, never thrown.
+ * @param {Object} group - Group profile (needs chatId)
+ * @param {Array} candidates - [{ groupName, compatibility }]
+ * @returns {Promise<boolean>} True if the message was sent
+ */
+async function sendRankingRequest(group, candidates) {
+  if (!group.chatId) {
+    return false;
+  }
+
+  const BaseA1ZapClient = require('../core/BaseA1ZapClient');
+  const webhookHelpers = require('./webhook-helpers');
+
+  if (webhookHelpers.isTestChat(group.chatId)) {
+    console.log(`⚠️  Test mode: Skipping ranking request for ${group.groupName}`);
+    return false;
+  }
+
+  try {
+    const client = new BaseA1ZapClient(config.agents.mandy);
+    const result = await webhookHelpers.sendResponse(client, group.chatId, buildRankingRequest(candidates));
+    return result !== null;
+  } catch (error) {
+    console.error(`❌ Could not send ranking request to ${group.groupName}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Parse a ranking reply
+ * Accepts candidate numbers ("2, 1, 3", "2 > 1 > 3", "2 then 3") or candidate names,
+ * in order of preference. Numbers win if the reply has any valid ones.
+ * @param {string} text - Reply text
+ * @param {Array} candidates - [{ groupId, groupName }] in the order they were listed
+ * @returns {Array<string>|null} Ranked candidate group IDs (may be partial), or null if nothing was recognized
+ */
+function parseRanking(text, candidates) {
+  const message = String(text || '');
+
+  const byNumber = [];
+  for (const match of message.matchAll(/\d+/g)) {
+    const candidate = candidates[parseInt(match[0]) - 1];
+    if (candidate && !byNumber.includes(candidate.groupId)) {
+      byNumber.push(candidate.groupId);
+    }
+  }
+  if (byNumber.length > 0) {
+    return byNumber;
+  }
+
+  const lower = message.toLowerCase();
+  const byName = candidates
+    .map(c => ({ groupId: c.groupId, position: lower.indexOf(c.groupName.toLowerCase()) }))
+    .filter(c => c.position !== -1)
+    .sort((a, b) => a.position - b.position)
+    .map(c => c.groupId);
+
+  return byName.length > 0 ? byName : null;
+}
+
+/**
+ * Find the ranking request a group can still answer
+ * @param {Object} profile - Group profile
+ * @returns {Object|null} { event, request } for the newest collecting event that asked this group, or null
+ */
+function getOpenRequest(profile) {
+  const event = groupProfileStorage.listEvents()
+    .find(e => e.status === 'collecting' && e.rankings?.[profile.id]);
+  return event ? { event, request: event.rankings[profile.id] } : null;
+}
+
+/**
+ * Handle a chat message from a group that already has a profile
+ * If the group has an open ranking request, the message is read as its ranking and stored
+ * on the event (a later reply replaces an earlier one until matching runs).
+ * @param {Object} profile - Group profile of the chat
+ * @param {string} text - Message text
+ * @returns {string|null} Reply for the chat, or null if the group has no open ranking request
+ */
+function handleRankingReply(profile, text) {
+  const open = getOpenRequest(profile);
+  if (!open) {
+    return null;
+  }
+
+  const { event, request } = open;
+  const ranking = parseRanking(text, request.candidates);
+
+  if (!ranking) {
+    return `I couldn't tell your ranking from that 🤔 ${buildRankingRequest(request.candidates)}`;
+  }
+
+  groupProfileStorage.saveEventRanking(event.id, profile.id, {
+    ranking,
+    raw: text,
+    receivedAt: new Date().toISOString()
+  });
+  console.log(`🗳️  Ranking received from ${profile.groupName} for event v${event.version}`);
+
+  const names = ranking.map(id => request.candidates.find(c => c.groupId === id).groupName);
+  return `Got it! Your ranking: ${names.map((name, i) => `${i + 1}. ${name}`).join(', ')}. ` +
+    `You can change it until matching runs. Sit tight! 🎉`;
+}
+
+/**
+ * Build every group's full preference list
+ * Explicitly ranked candidates come first (in the group's order), then every other
+ * allowed partner by compatibility score. Pairs missing from `scores` are not allowed.
+ * @param {Array} profiles - Participating group profiles
+ * @param {Object} rankings - Group ID -> { ranking: [group IDs] | null }
+ * @param {Map} scores - Pair key -> compatibility object
+ * @returns {Array<Array<number>>} Preference lists as indexes into `profiles`
+ */
+function buildPreferenceLists(profiles, rankings, scores) {
+  const scoreOf = (i, j) => scores.get(groupMatching.getPairKey(profiles[i].id, profiles[j].id));
+
+  return profiles.map((group, i) => {
+    const allowed = profiles
+      .map((_, j) => j)
+      .filter(j => j !== i && scoreOf(i, j));
+
+    const ranked = (rankings?.[group.id]?.ranking || [])
+      .map(id => profiles.findIndex(p => p.id === id))
+      .filter(j => allowed.includes(j));
+
+    const rest = allowed
+      .filter(j => !ranked.includes(j))
+      .sort((a, b) => scoreOf(i, b).score - scoreOf(i, a).score);
+
+    return [...ranked, ...rest];
+  });
+}
+
+/**
+ * Solve a stable roommates instance (Irving's algorithm, incomplete lists)
+ * Phase 1: everyone proposes down their list; a person holding a proposal drops everyone
+ * they like less. Phase 2: rotations are eliminated until every list has one entry.
+ * People whose lists run out in phase 1 stay unmatched; a list running out in phase 2
+ * means no stable matching exists.
+ * @param {Array<Array<number>>} preferences - preferences[i] = indexes of acceptable partners, best first
+ * @returns {Object} { stable: boolean, pairs: Array<[i, j]>, unmatched: Array<number> }
+ */
+function solveStableRoommates(preferences) {
+  const n = preferences.length;
+  const rank = preferences.map(list => {
+    const positions = new Map();
+    list.forEach((j, position) => positions.set(j, position));
+    return positions;
+  });
+
+  // Only mutually acceptable pairs take part
+  const lists = preferences.map((list, i) => list.filter(j => rank[j].has(i)));
+  const remove = (a, b) => {
+    lists[a] = lists[a].filter(x => x !== b);
+    lists[b] = lists[b].filter(x => x !== a);
+  };
+
+  // Phase 1: proposals
+  const holding = new Array(n).fill(-1);
+  const free = [...Array(n).keys()].reverse();
+
+  while (free.length > 0) {
+    const proposer = free.pop();
+    if (lists[proposer].length === 0) {
+      continue;
+    }
+
+    const receiver = lists[proposer][0];
+    const position = lists[receiver].indexOf(proposer);
+
+    // The receiver drops everyone it likes less than the proposer
+    for (const rejected of lists[receiver].slice(position + 1)) {
+      remove(receiver, rejected);
+      if (holding[receiver] === rejected) {
+        free.push(rejected);
+      }
+    }
+    holding[receiver] = proposer;
+  }
+
+  // Phase 2: rotation elimination
+  const unmatchedAfterProposals = lists.map(list => list.length === 0);
+
+  for (;;) {
+    const start = lists.findIndex(list => list.length > 1);
+    if (start === -1) {
+      break;
+    }
+
+    // Walk p -> second(p) -> last(second(p)) until a person repeats
+    const sequence = [];
+    const seenAt = new Map();
+    let p = start;
+    while (!seenAt.has(p)) {
+      if (lists[p].length < 2) {
+        return { stable: false, pairs: [], unmatched: [] };
+      }
+      seenAt.set(p, sequence.length);
+      sequence.push(p);
+      const second = lists[p][1];
+      p = lists[second][lists[second].length - 1];
+    }
+    const rotation = sequence.slice(seenAt.get(p)).map(x => [x, lists[x][1]]);
+
+    // Each second choice drops everyone it likes less than the person now proposing to it
+    for (const [x, y] of rotation) {
+      const position = lists[y].indexOf(x);
+      for (const rejected of lists[y].slice(position + 1)) {
+        remove(y, rejected);
+      }
+    }
+
+    if (lists.some((list, i) => list.length === 0 && !unmatchedAfterProposals[i])) {
+      return { stable: false, pairs: [], unmatched: [] };
+    }
+  }
+
+  const pairs = [];
+  const unmatched = [];
+  for (let i = 0; i < n; i++) {
+    if (lists[i].length === 0) {
+      unmatched.push(i);
+    } else if (i < lists[i][0]) {
+      pairs.push([i, lists[i][0]]);
+    }
+  }
+
+  return { stable: true, pairs, unmatched };
+}
+
+module.exports = {
+  getDefaultTopN,
+  validateTopN,
+  buildRankingRequest,
+  sendRankingRequest,
+  parseRanking,
+  getOpenRequest,
+  handleRankingReply,
+  buildPreferenceLists,
+  solveStableRoommates
+};
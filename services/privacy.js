@@ -0,0 +1,269 @@
+/**
+ * Privacy Requests
+ *
+ * Export and erasure of everything stored about a group, found by its chat ID
+ * or group ID:
+ * - Group profile (including duplicates merged into it)
+ * - Interview state of its chat(s)
+ * - Matches (legacy and every matching event) and ranking requests/replies
+ * - Match history pairs and cached compatibility scores
+ * - Audit log entries about its profile and interview state
+ *
+ * Chat transcripts aren't stored: Mandy reads the conversation from A1Zap when a
+ * message arrives and keeps nothing but the profile built from it. The only
+ * message text kept is a group's ranking reply, which is part of its rankings.
+ *
+ * Erasure is permanent. The group is replaced by a placeholder
+ * ("[erased erasure_...]") in the matches and events of other groups, so their
+ * records stay intact. The group is scrubbed from the audit log's past entries
+ * the same way, and the erasure itself is logged there with hashed IDs only, so
+ * a request can be confirmed without keeping the data.
+ *
+ * Available to admins (GET /api/privacy/export, POST /api/privacy/erase) and in
+ * chat (/mydata, /deletemydata).
+ */
+
+const crypto = require('crypto');
+const groupProfileStorage = require('./group-profile-storage');
+const matchHistory = require('./match-history');
+const scoreCache = require('./score-cache');
+const auditLog = require('./audit-log');
+
+const TRANSCRIPTS_NOTE = 'Mandy does not store chat transcripts. Conversations are read from A1Zap ' +
+  'when a message arrives; ranking replies are the only message text kept (see rankings).';
+
+/**
+ * Validate a privacy request subject
+ * @param {Object} raw - { chatId } or { groupId }
+ * @returns {Object} { subject, error } - error is a message string, or null if valid
+ */
+function normalizeSubject(raw = {}) {
+  const { chatId, groupId } = raw;
+
+  if (chatId !== undefined && groupId !== undefined) {
+    return { subject: null, error: 'Give either chatId or groupId, not both' };
+  }
+  if (typeof chatId === 'string' && chatId.trim()) {
+    return { subject: { chatId: chatId.trim() }, error: null };
+  }
+  if (typeof groupId === 'string' && groupId.trim()) {
+    return { subject: { groupId: groupId.trim() }, error: null };
+  }
+  return { subject: null, error: 'chatId or groupId is required' };
+}
+
+/**
+ * Find the profile and chats of a subject
+ * A chat whose profile was merged into another group leads to that group.
+ * @param {Object} subject - { chatId } or { groupId }
+ * @returns {Object} { profile (or null), chatIds }
+ */
+function resolveSubject(subject) {
+  let profile;
+  if (subject.groupId) {
+    profile = groupProfileStorage.getProfileById(subject.groupId);
+  } else {
+    profile = groupProfileStorage.getProfileByChatId(subject.chatId) ||
+      groupProfileStorage.getAllProfiles().find(p => (p.mergedFrom || []).some(m => m.chatId === subject.chatId)) ||
+      null;
+  }
+
+  const chatIds = new Set(subject.chatId ? [subject.chatId] : []);
+  if (profile) {
+    [profile, ...(profile.mergedFrom || [])].forEach(p => p.chatId && chatIds.add(p.chatId));
+  }
+  return { profile, chatIds: [...chatIds] };
+}
+
+/**
+ * Export all data linked to a chat or group as one bundle
+ * @param {Object} subject - { chatId } or { groupId } (see normalizeSubject)
+ * @returns {Object|null} Bundle, or null if nothing is stored for the subject
+ */
+function exportData(subject) {
+  const { profile, chatIds } = resolveSubject(subject);
+
+  const interviewStates = {};
+  for (const chatId of chatIds) {
+    const state = groupProfileStorage.getInterviewState(chatId);
+    if (state) {
+      interviewStates[chatId] = state;
+    }
+  }
+
+  if (!profile && Object.keys(interviewStates).length === 0) {
+    return null;
+  }
+
+  const { matches, rankings } = profile ? groupProfileStorage.getGroupRecords(profile) : { matches: [], rankings: [] };
+  const groupIds = profile ? [profile.id, ...(profile.mergedFrom || []).map(m => m.id)] : [];
+  const auditEntries = auditLog.readEntries().filter(entry =>
+    (entry.entity === 'profile' && groupIds.includes(entry.entityId)) ||
+    (entry.entity === 'interviewState' && chatIds.includes(entry.entityId))
+  );
+
+  return {
+    exportedAt: new Date().toISOString(),
+    subject,
+    profile,
+    interviewStates,
+    matches,
+    rankings,
+    matchHistory: groupIds.length > 0 ? matchHistory.getGroupHistory(groupIds) : [],
+    auditEntries,
+    transcripts: { stored: false, note: TRANSCRIPTS_NOTE }
+  };
+}
+
+/**
+ * Short one-way fingerprint of an ID for the audit log
+ * @param {string} value - ID
+ * @returns {string} Hex digest
+ */
+function hashId(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+/**
+ * Permanently erase all data linked to a chat or group
+ * @param {Object} subject - { chatId } or { groupId } (see normalizeSubject)
+ * @param {Object} options - Options
+ * @param {string} options.requestedBy - Who asked: 'admin' or 'chat'
+ * @returns {Object|null} Audit entry (what was erased), or null if nothing is stored for the subject
+ */
+function eraseData(subject, options = {}) {
+  const { profile, chatIds } = resolveSubject(subject);
+  const interviewChatIds = chatIds.filter(chatId => groupProfileStorage.getInterviewState(chatId));
+
+  if (!profile && interviewChatIds.length === 0) {
+    return null;
+  }
+
+  const erasureId = `erasure_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const placeholder = { id: erasureId, groupName: `[erased ${erasureId}]` };
+  const erased = {
+    profile: false,
+    interviewStates: 0,
+    matchesScrubbed: 0,
+    eventsScrubbed: 0,
+    historyPairsScrubbed: 0,
+    cachedScoresDropped: 0,
+    auditEntriesScrubbed: 0
+  };
+
+  let identities = [];
+  if (profile) {
+    const result = groupProfileStorage.eraseGroupProfile(profile.id, placeholder);
+    erased.profile = true;
+    erased.matchesScrubbed = result.matchesScrubbed;
+    erased.eventsScrubbed = result.eventsScrubbed;
+    erased.historyPairsScrubbed = matchHistory.eraseGroup(result.identities, placeholder);
+    erased.cachedScoresDropped = scoreCache.removeGroup(result.identities.map(identity => identity.id));
+    identities = result.identities;
+  }
+
+  for (const chatId of interviewChatIds) {
+    groupProfileStorage.clearInterviewState(chatId);
+    erased.interviewStates++;
+  }
+
+  // Chats that never finished the interview only show up by chat ID
+  const chatIdentities = chatIds.filter(chatId => !identities.some(identity => identity.chatId === chatId)).map(chatId => ({ chatId }));
+  erased.auditEntriesScrubbed = auditLog.eraseGroup([...identities, ...chatIdentities], placeholder);
+
+  const entry = {
+    id: erasureId,
+    type: 'erasure',
+    erasedAt: new Date().toISOString(),
+    requestedBy: options.requestedBy || 'admin',
+    subject: subject.chatId ? { chatIdHash: hashId(subject.chatId) } : { groupIdHash: hashId(subject.groupId) },
+    erased
+  };
+  // Logged as the placeholder when the chat itself asked (its ID would undo the scrub)
+  const actor = chatIds.reduce((name, chatId) => name.split(chatId).join(erasureId), auditLog.getActor());
+  auditLog.runWith({ actor }, () =>
+    auditLog.record({ action: 'privacy.erased', entity: 'privacy', entityId: erasureId, before: null, after: entry })
+  );
+
+  console.log(`🧹 Erased data for ${subject.chatId ? 'chat' : 'group'} (${erasureId}): ` +
+    `${erased.matchesScrubbed} matches, ${erased.eventsScrubbed} events, ${erased.interviewStates} interview states`);
+  return entry;
+}
+
+/**
+ * Describe a group's own data in a short chat message
+ * Only the group's profile and answers are listed; other groups' details, the
+ * text vector and audit entries stay in the full export (admin endpoint).
+ * @param {Object} bundle - exportData() result
+ * @returns {string} Message text
+ */
+function summarizeForChat(bundle) {
+  const lines = ["Here's what I have stored for this chat:"];
+  const { profile } = bundle;
+
+  if (profile) {
+    lines.push('', `👥 Group: ${profile.groupName}`);
+    if (profile.createdAt) {
+      lines.push(`📅 Profile created: ${profile.createdAt.slice(0, 10)}`);
+    }
+    const answers = Object.entries(profile.answers || {}).filter(([, value]) => typeof value === 'string' && value.trim());
+    if (answers.length > 0) {
+      lines.push('', '📝 Your answers:');
+      answers.forEach(([key, value]) => lines.push(`- ${key.replace(/^question/, 'Question ')}: ${value}`));
+    }
+    if ((profile.mergedFrom || []).length > 0) {
+      lines.push('', `🔗 Also includes ${profile.mergedFrom.length} earlier profile(s) of your group`);
+    }
+    lines.push('', `🤝 Matches involving your group: ${bundle.matches.length}`);
+  } else {
+    lines.push('', "📝 Your interview isn't finished yet, so there's no group profile - just your progress so far.");
+  }
+
+  lines.push('', "I don't keep chat transcripts. Send /deletemydata to erase all of this.");
+  return lines.join('\n');
+}
+
+/**
+ * Handle a privacy command sent in chat
+ * - /mydata: reply with a summary of the chat's own profile and answers
+ * - /deletemydata: explain what gets erased and ask for confirmation
+ * - /deletemydata confirm: erase the chat's data
+ * @param {string} chatId - Chat ID
+ * @param {string} text - Message text
+ * @returns {string|null} Reply for the chat, or null if the message isn't a privacy command
+ */
+function handleChatCommand(chatId, text) {
+  const command = text.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  if (command === '/mydata') {
+    const bundle = exportData({ chatId });
+    if (!bundle) {
+      return "I don't have any data stored for this chat. 😊";
+    }
+    console.log(`📦 [Privacy] Exported data for chat ${chatId}`);
+    return summarizeForChat(bundle);
+  }
+
+  if (command === '/deletemydata') {
+    return 'This permanently deletes your group profile and answers, and removes your group from any matches. ' +
+      "It can't be undone. Send \"/deletemydata confirm\" to go ahead.";
+  }
+
+  if (command === '/deletemydata confirm') {
+    const entry = eraseData({ chatId }, { requestedBy: 'chat' });
+    if (!entry) {
+      return "I don't have any data stored for this chat. 😊";
+    }
+    return "Done - I've erased your group's data. 🧹 Your messages themselves live in this chat app; " +
+      'delete the chat there to remove them too.';
+  }
+
+  return null;
+}
+
+module.exports = {
+  normalizeSubject,
+  exportData,
+  eraseData,
+  handleChatCommand
+};
@@ -0,0 +1,197 @@
+/**
+ * Compatibility Score Cache
+ *
+ * Persists pairwise Claude (qualitative) scores so matching reruns don't re-ask
+ * Claude about pairs that haven't changed. Scoring-profile weights are applied on
+ * top of the cached score, so they aren't part of the key.
+ *
+ * Each entry is keyed by:
+ * - Both group IDs (order-independent)
+ * - A hash of each group's answers (any edit invalidates the pair; removeStale()
+ *   drops the entries an edit left behind)
+ * - The scoring version (changing the prompt invalidates everything)
+ *
+ * Stored in data/score-cache.json next to matches.json.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const CACHE_FILE = path.join(DATA_DIR, 'score-cache.json');
+
+// In-memory copy of the cache file (loaded lazily, written by flush())
+let cache = null;
+let dirty = false;
+let stats = { hits: 0, misses: 0 };
+
+/**
+ * Load cache from file
+ * @returns {Object} { entries: { key: { result, cachedAt } } }
+ */
+function loadCache() {
+  if (cache) {
+    return cache;
+  }
+
+  try {
+    cache = readJsonFile(CACHE_FILE, {
+      empty: { entries: {} },
+      isValid: data => data?.entries !== null && typeof data?.entries === 'object'
+    });
+  } catch (error) {
+    // Run with an empty cache; flush() won't overwrite a corrupt file
+    console.error('Error loading score cache:', error.message);
+    cache = { entries: {} };
+  }
+  return cache;
+}
+
+/**
+ * Hash a value into a short stable fingerprint
+ * @param {*} value - Any JSON-serializable value
+ * @returns {string} Hex digest
+ */
+function hashContent(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Build the cache key for a pair of groups
+ * @param {Object} entry1 - { id, hash } for the first group
+ * @param {Object} entry2 - { id, hash } for the second group
+ * @param {string} version - Scoring version
+ * @returns {string} Cache key
+ */
+function buildKey(entry1, entry2, version) {
+  const [a, b] = entry1.id < entry2.id ? [entry1, entry2] : [entry2, entry1];
+  return `${a.id}:${a.hash}|${b.id}:${b.hash}|v${version}`;
+}
+
+/**
+ * Look up a cached score
+ * @param {string} key - Cache key from buildKey()
+ * @returns {Object|null} Cached result or null on miss
+ */
+function get(key) {
+  const entry = loadCache().entries[key];
+  if (entry && entry.result) {
+    stats.hits++;
+    return entry.result;
+  }
+  stats.misses++;
+  return null;
+}
+
+/**
+ * Store a score (kept in memory until flush())
+ * @param {string} key - Cache key from buildKey()
+ * @param {Object} result - Result to cache (e.g. { score })
+ */
+function set(key, result) {
+  loadCache().entries[key] = {
+    result,
+    cachedAt: new Date().toISOString()
+  };
+  dirty = true;
+}
+
+/**
+ * Write pending cache entries to disk
+ */
+function flush() {
+  if (!dirty) {
+    return;
+  }
+
+  try {
+    writeJsonFile(CACHE_FILE, loadCache());
+    dirty = false;
+  } catch (error) {
+    // A failed cache write only costs extra Claude calls next run
+    console.error('Error saving score cache:', error);
+  }
+}
+
+/**
+ * Split a cache key into the groups it was built from
+ * @param {string} key - Cache key from buildKey()
+ * @returns {Array<Object>} [{ id, hash }, { id, hash }]
+ */
+function parseKey(key) {
+  return key.split('|').slice(0, 2).map(part => {
+    const separator = part.lastIndexOf(':');
+    return { id: part.slice(0, separator), hash: part.slice(separator + 1) };
+  });
+}
+
+/**
+ * Drop every cached score of a group and write the cache (privacy erasure)
+ * @param {Array<string>} groupIds - IDs the group has been stored under
+ * @returns {number} Number of entries dropped
+ */
+function removeGroup(groupIds) {
+  const entries = loadCache().entries;
+  const keys = Object.keys(entries).filter(key => parseKey(key).some(({ id }) => groupIds.includes(id)));
+
+  for (const key of keys) {
+    delete entries[key];
+  }
+  if (keys.length > 0) {
+    dirty = true;
+    flush();
+  }
+  return keys.length;
+}
+
+/**
+ * Drop cached scores computed from an older version of a profile
+ * Kept in memory until flush(), like set().
+ * @param {Map<string, string>} currentHashes - Group ID -> hash of its current profile
+ * @returns {number} Number of entries dropped
+ */
+function removeStale(currentHashes) {
+  const entries = loadCache().entries;
+  const keys = Object.keys(entries).filter(key =>
+    parseKey(key).some(({ id, hash }) => currentHashes.has(id) && currentHashes.get(id) !== hash)
+  );
+
+  for (const key of keys) {
+    delete entries[key];
+  }
+  if (keys.length > 0) {
+    dirty = true;
+  }
+  return keys.length;
+}
+
+/**
+ * Get hit/miss counts since the last reset
+ * @returns {Object} { hits, misses, entries }
+ */
+function getStats() {
+  return {
+    ...stats,
+    entries: Object.keys(loadCache().entries).length
+  };
+}
+
+/**
+ * Reset hit/miss counters (call at the start of a matching run)
+ */
+function resetStats() {
+  stats = { hits: 0, misses: 0 };
+}
+
+module.exports = {
+  hashContent,
+  buildKey,
+  get,
+  set,
+  flush,
+  removeGroup,
+  removeStale,
+  getStats,
+  resetStats
+};
@@ -0,0 +1,357 @@
+/**
+ * SQLite Storage Backend
+ *
+ * Keeps profiles, interview state, matches and matching events in one embedded
+ * SQLite database (better-sqlite3, synchronous like the JSON backend). Lookups
+ * by chat ID and group name hit an index instead of parsing every profile, and
+ * saving a match only touches that match's row.
+ *
+ * Records are stored as JSON in a `data` column; the columns next to it are
+ * copies of the fields that are looked up or sorted on. Legacy matches (outside
+ * any matching event) have event_id ''.
+ *
+ * See group-profile-storage.js for the backend interface.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getMatchMembers, getMatchKey } = require('./match-records');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS profiles (
+    id TEXT PRIMARY KEY,
+    chat_id TEXT,
+    group_name TEXT COLLATE NOCASE,
+    created_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_profiles_chat_id ON profiles (chat_id);
+  CREATE INDEX IF NOT EXISTS idx_profiles_group_name ON profiles (group_name);
+
+  CREATE TABLE IF NOT EXISTS interview_state (
+    chat_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    id TEXT PRIMARY KEY,
+    version INTEGER,
+    status TEXT,
+    published INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS matches (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL,
+    event_id TEXT NOT NULL DEFAULT '',
+    pair_key TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_matches_pair ON matches (event_id, pair_key);
+  CREATE INDEX IF NOT EXISTS idx_matches_id ON matches (id);
+
+  CREATE TABLE IF NOT EXISTS match_members (
+    match_seq INTEGER NOT NULL REFERENCES matches (seq) ON DELETE CASCADE,
+    group_id TEXT,
+    group_name TEXT COLLATE NOCASE
+  );
+  CREATE INDEX IF NOT EXISTS idx_match_members_seq ON match_members (match_seq);
+  CREATE INDEX IF NOT EXISTS idx_match_members_group_name ON match_members (group_name);
+  CREATE INDEX IF NOT EXISTS idx_match_members_group_id ON match_members (group_id);
+`;
+
+/**
+ * Create a SQLite storage backend
+ * @param {Object} options - Options
+ * @param {string} options.file - Database file (created if missing)
+ * @returns {Object} Storage backend
+ * @throws {Error} If better-sqlite3 isn't installed
+ */
+function createSqliteStorage(options = {}) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error(`SQLite storage needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+  }
+
+  const file = options.file;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  const statements = {
+    listProfiles: db.prepare('SELECT data FROM profiles ORDER BY rowid'),
+    profileById: db.prepare('SELECT data FROM profiles WHERE id = ?'),
+    profileByChatId: db.prepare('SELECT data FROM profiles WHERE chat_id = ? ORDER BY rowid LIMIT 1'),
+    profileByGroupName: db.prepare('SELECT data FROM profiles WHERE group_name = ? ORDER BY rowid LIMIT 1'),
+    insertProfile: db.prepare('INSERT INTO profiles (id, chat_id, group_name, created_at, data) VALUES (?, ?, ?, ?, ?)'),
+    updateProfile: db.prepare('UPDATE profiles SET chat_id = ?, group_name = ?, created_at = ?, data = ? WHERE id = ?'),
+    deleteProfile: db.prepare('DELETE FROM profiles WHERE id = ?'),
+
+    getState: db.prepare('SELECT data FROM interview_state WHERE chat_id = ?'),
+    listStates: db.prepare('SELECT chat_id, data FROM interview_state'),
+    setState: db.prepare('INSERT INTO interview_state (chat_id, data) VALUES (?, ?) ON CONFLICT (chat_id) DO UPDATE SET data = excluded.data'),
+    deleteState: db.prepare('DELETE FROM interview_state WHERE chat_id = ?'),
+
+    listMatches: db.prepare('SELECT data FROM matches WHERE event_id = ? ORDER BY seq'),
+    listAllMatches: db.prepare('SELECT event_id, data FROM matches WHERE event_id != ? ORDER BY seq'),
+    matchesForGroup: db.prepare(`
+      SELECT DISTINCT m.seq, m.data FROM matches m
+      JOIN match_members mm ON mm.match_seq = m.seq
+      WHERE m.event_id = ? AND mm.group_name = ?
+      ORDER BY m.seq`),
+    matchesOfGroup: db.prepare(`
+      SELECT DISTINCT m.seq, m.data FROM matches m
+      JOIN match_members mm ON mm.match_seq = m.seq
+      WHERE mm.group_id = ? OR (mm.group_id IS NULL AND mm.group_name = ?)
+      ORDER BY m.seq`),
+    rewriteMatch: db.prepare('UPDATE matches SET id = ?, pair_key = ?, data = ? WHERE seq = ?'),
+    matchByPair: db.prepare('SELECT seq FROM matches WHERE event_id = ? AND pair_key = ?'),
+    updateMatch: db.prepare('UPDATE matches SET id = ?, data = ? WHERE seq = ?'),
+    insertMatch: db.prepare('INSERT INTO matches (id, event_id, pair_key, data) VALUES (?, ?, ?, ?)'),
+    matchById: db.prepare('SELECT event_id, data FROM matches WHERE id = ? ORDER BY event_id = \'\' DESC, seq LIMIT 1'),
+    deleteMembers: db.prepare('DELETE FROM match_members WHERE match_seq = ?'),
+    insertMember: db.prepare('INSERT INTO match_members (match_seq, group_id, group_name) VALUES (?, ?, ?)'),
+
+    listEvents: db.prepare('SELECT data FROM events ORDER BY rowid'),
+    getEvent: db.prepare('SELECT data FROM events WHERE id = ?'),
+    eventExists: db.prepare('SELECT 1 FROM events WHERE id = ?'),
+    insertEvent: db.prepare('INSERT INTO events (id, version, status, published, data) VALUES (?, ?, ?, ?, ?)'),
+    updateEvent: db.prepare('UPDATE events SET version = ?, status = ?, published = ?, data = ? WHERE id = ?')
+  };
+
+  const parse = row => JSON.parse(row.data);
+
+  /**
+   * Event record with its matches attached
+   * @param {Object} event - Stored event (without matches)
+   * @returns {Object} Event with `matches`
+   */
+  const withMatches = event => ({ ...event, matches: statements.listMatches.all(event.id).map(parse) });
+
+  /**
+   * Split an event into its stored record (matches are stored separately)
+   * @param {Object} event - Event
+   * @returns {Array} Parameters for insertEvent/updateEvent: [version, status, published, data]
+   */
+  const eventColumns = event => {
+    const { matches, ...record } = event;
+    return [record.version || 0, record.status || null, record.published ? 1 : 0, JSON.stringify(record)];
+  };
+
+  const putMatch = db.transaction((eventId, match) => {
+    const scope = eventId === null ? '' : eventId;
+    if (scope && !statements.eventExists.get(scope)) {
+      throw new Error(`Matching event "${eventId}" not found`);
+    }
+
+    const key = getMatchKey(match);
+    const existing = statements.matchByPair.get(scope, key);
+    let seq;
+    if (existing) {
+      seq = existing.seq;
+      statements.updateMatch.run(match.id, JSON.stringify(match), seq);
+      statements.deleteMembers.run(seq);
+    } else {
+      seq = statements.insertMatch.run(match.id, scope, key, JSON.stringify(match)).lastInsertRowid;
+    }
+
+    for (const member of getMatchMembers(match)) {
+      statements.insertMember.run(seq, member.groupId || null, member.groupName);
+    }
+  });
+
+  const updateMatchesForGroup = db.transaction((group, updateMatch) => {
+    const rows = statements.matchesOfGroup.all(group.id, group.groupName);
+    for (const row of rows) {
+      const match = updateMatch(parse(row));
+      statements.rewriteMatch.run(match.id, getMatchKey(match), JSON.stringify(match), row.seq);
+      statements.deleteMembers.run(row.seq);
+      for (const member of getMatchMembers(match)) {
+        statements.insertMember.run(row.seq, member.groupId || null, member.groupName);
+      }
+    }
+    return rows.length;
+  });
+
+  const updateEvent = db.transaction((eventId, updates) => {
+    const row = statements.getEvent.get(eventId);
+    if (!row) {
+      return null;
+    }
+    const event = Object.assign(parse(row), updates);
+    statements.updateEvent.run(...eventColumns(event), eventId);
+    return withMatches(event);
+  });
+
+  return {
+    name: 'sqlite',
+    file,
+
+    listProfiles() {
+      return statements.listProfiles.all().map(parse);
+    },
+
+    getProfileById(groupId) {
+      const row = statements.profileById.get(groupId);
+      return row ? parse(row) : null;
+    },
+
+    getProfileByChatId(chatId) {
+      const row = statements.profileByChatId.get(chatId);
+      return row ? parse(row) : null;
+    },
+
+    getProfileByGroupName(groupName) {
+      const row = statements.profileByGroupName.get(groupName);
+      return row ? parse(row) : null;
+    },
+
+    insertProfile(profile) {
+      statements.insertProfile.run(
+        profile.id,
+        profile.chatId || null,
+        profile.groupName || null,
+        profile.createdAt || null,
+        JSON.stringify(profile)
+      );
+    },
+
+    updateProfile(profile) {
+      return statements.updateProfile.run(
+        profile.chatId || null,
+        profile.groupName || null,
+        profile.createdAt || null,
+        JSON.stringify(profile),
+        profile.id
+      ).changes > 0;
+    },
+
+    deleteProfile(groupId) {
+      return statements.deleteProfile.run(groupId).changes > 0;
+    },
+
+    getInterviewState(chatId) {
+      const row = statements.getState.get(chatId);
+      return row ? parse(row) : null;
+    },
+
+    listInterviewStates() {
+      const state = {};
+      for (const row of statements.listStates.all()) {
+        state[row.chat_id] = parse(row);
+      }
+      return state;
+    },
+
+    setInterviewState(chatId, interviewState) {
+      statements.setState.run(chatId, JSON.stringify(interviewState));
+    },
+
+    deleteInterviewState(chatId) {
+      statements.deleteState.run(chatId);
+    },
+
+    listMatches(eventId = null) {
+      return statements.listMatches.all(eventId === null ? '' : eventId).map(parse);
+    },
+
+    listMatchesForGroup(eventId, groupName) {
+      return statements.matchesForGroup.all(eventId === null ? '' : eventId, groupName).map(parse);
+    },
+
+    putMatch(eventId, match) {
+      putMatch(eventId, match);
+    },
+
+    updateMatchesForGroup(group, updateMatch) {
+      return updateMatchesForGroup(group, updateMatch);
+    },
+
+    getMatch(matchId) {
+      const row = statements.matchById.get(matchId);
+      return row ? { match: parse(row), eventId: row.event_id || null } : null;
+    },
+
+    listEvents() {
+      // One query for all matches instead of one per event
+      const matchesByEvent = new Map();
+      for (const row of statements.listAllMatches.all('')) {
+        if (!matchesByEvent.has(row.event_id)) {
+          matchesByEvent.set(row.event_id, []);
+        }
+        matchesByEvent.get(row.event_id).push(parse(row));
+      }
+      return statements.listEvents.all().map(row => {
+        const event = parse(row);
+        return { ...event, matches: matchesByEvent.get(event.id) || [] };
+      });
+    },
+
+    getEvent(eventId) {
+      const row = statements.getEvent.get(eventId);
+      return row ? withMatches(parse(row)) : null;
+    },
+
+    insertEvent(event) {
+      statements.insertEvent.run(event.id, ...eventColumns(event));
+    },
+
+    updateEvent(eventId, updates) {
+      return updateEvent(eventId, updates);
+    },
+
+    /**
+     * Copy everything from another backend into this database (one transaction)
+     * @param {Object} source - Storage backend to read from (e.g. the JSON backend)
+     * @returns {Object} Counts { profiles, interviewStates, matches, events, eventMatches }
+     * @throws {Error} If this database already has profiles or events
+     */
+    importFrom(source) {
+      const existing = db.prepare('SELECT (SELECT COUNT(*) FROM profiles) + (SELECT COUNT(*) FROM events) AS n').get().n;
+      if (existing > 0) {
+        throw new Error(`${file} already has data - remove it first to migrate again`);
+      }
+
+      return db.transaction(() => {
+        const counts = { profiles: 0, interviewStates: 0, matches: 0, events: 0, eventMatches: 0 };
+
+        for (const profile of source.listProfiles()) {
+          this.insertProfile(profile);
+          counts.profiles++;
+        }
+        for (const [chatId, interviewState] of Object.entries(source.listInterviewStates())) {
+          this.setInterviewState(chatId, interviewState);
+          counts.interviewStates++;
+        }
+        for (const match of source.listMatches(null)) {
+          putMatch(null, match);
+          counts.matches++;
+        }
+        for (const event of source.listEvents()) {
+          this.insertEvent(event);
+          counts.events++;
+          for (const match of event.matches || []) {
+            putMatch(event.id, match);
+            counts.eventMatches++;
+          }
+        }
+
+        return counts;
+      })();
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  createSqliteStorage
+};
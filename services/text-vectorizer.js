@@ -0,0 +1,176 @@
+/**
+ * Text Vectorizer
+ *
+ * Turns a group's free-text answers into a fixed-size vector without any
+ * network calls, so profiles can be compared with cosine similarity.
+ *
+ * How it works (the "hashing trick"):
+ * - Answers are lowercased and split into words (stop words dropped)
+ * - Each word and each pair of adjacent words (bigram) is hashed into one of
+ *   VECTOR_DIMS buckets, with a hash-derived +/- sign to cancel out collisions
+ * - Counts are dampened (1 + log tf) and the vector is L2-normalized
+ *
+ * Vectors are stored sparse: { version, dims, indices: [...], values: [...] }
+ */
+
+// Bump when tokenization or hashing changes - stored vectors get recomputed
+const VECTORIZER_VERSION = 1;
+const VECTOR_DIMS = 1024;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'had', 'has', 'have',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my', 'of', 'on', 'or', 'our', 'so',
+  'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this', 'to', 'too', 'us', 'was', 'we',
+  'were', 'what', 'when', 'which', 'who', 'with', 'would', 'you', 'your', 'all', 'some', 'very',
+  'really', 'like', 'n/a', 'na', 'none'
+]);
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Split text into normalized word tokens
+ * @param {string} text - Raw text
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+    // Light plural folding so "movies" and "movie" share a bucket
+    .map(token => (token.length > 4 && token.endsWith('s') && !token.endsWith('ss')) ? token.slice(0, -1) : token);
+}
+
+/**
+ * Collect the free-text answers of a profile
+ * Skips question 1 (group name) and question 2 (group size), which aren't free text.
+ * @param {Object} profile - Group profile
+ * @returns {Array<string>} Answer texts
+ */
+function getFreeTextAnswers(profile) {
+  const texts = [];
+
+  if (profile.answers && typeof profile.answers === 'object') {
+    for (const [key, value] of Object.entries(profile.answers)) {
+      if (key === 'question1' || key === 'question2') continue;
+      if (typeof value === 'string' && value.trim()) {
+        texts.push(value);
+      }
+    }
+  }
+
+  // Old format: answers stored as q3..q10 on the profile itself
+  for (let q = 3; q <= 10; q++) {
+    const value = profile[`q${q}`];
+    if (typeof value === 'string' && value.trim()) {
+      texts.push(value);
+    }
+  }
+
+  return texts;
+}
+
+/**
+ * Vectorize a profile's free-text answers
+ * @param {Object} profile - Group profile
+ * @returns {Object} Sparse vector { version, dims, indices, values }
+ */
+function vectorizeProfile(profile) {
+  const counts = new Map();
+
+  const addFeature = (feature) => {
+    const hash = fnv1a(feature);
+    const index = hash % VECTOR_DIMS;
+    const sign = (hash >>> 31) ? -1 : 1;
+    counts.set(index, (counts.get(index) || 0) + sign);
+  };
+
+  for (const text of getFreeTextAnswers(profile)) {
+    const tokens = tokenize(text);
+    tokens.forEach((token, i) => {
+      addFeature(token);
+      if (i > 0) {
+        addFeature(`${tokens[i - 1]} ${token}`);
+      }
+    });
+  }
+
+  const indices = [];
+  const values = [];
+  let norm = 0;
+
+  for (const [index, count] of [...counts.entries()].sort((a, b) => a[0] - b[0])) {
+    if (count === 0) continue;
+    const value = Math.sign(count) * (1 + Math.log(Math.abs(count)));
+    indices.push(index);
+    values.push(value);
+    norm += value * value;
+  }
+
+  norm = Math.sqrt(norm);
+
+  return {
+    version: VECTORIZER_VERSION,
+    dims: VECTOR_DIMS,
+    indices,
+    values: values.map(v => Math.round((v / norm) * 1e6) / 1e6)
+  };
+}
+
+/**
+ * Check whether a stored vector was built by the current vectorizer
+ * @param {Object} vector - Stored sparse vector
+ * @returns {boolean} True if usable as-is
+ */
+function isCurrentVector(vector) {
+  return !!vector && vector.version === VECTORIZER_VERSION && vector.dims === VECTOR_DIMS;
+}
+
+/**
+ * Cosine similarity of two sparse, L2-normalized vectors
+ * @param {Object} vector1 - Sparse vector
+ * @param {Object} vector2 - Sparse vector
+ * @returns {number|null} Similarity from -1 to 1, or null if either vector is empty
+ */
+function cosineSimilarity(vector1, vector2) {
+  if (!vector1?.indices?.length || !vector2?.indices?.length) {
+    return null;
+  }
+
+  // Both index lists are sorted - walk them together
+  let dot = 0;
+  let i = 0;
+  let j = 0;
+  while (i < vector1.indices.length && j < vector2.indices.length) {
+    if (vector1.indices[i] === vector2.indices[j]) {
+      dot += vector1.values[i] * vector2.values[j];
+      i++;
+      j++;
+    } else if (vector1.indices[i] < vector2.indices[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return Math.max(-1, Math.min(1, dot));
+}
+
+module.exports = {
+  vectorizeProfile,
+  isCurrentVector,
+  cosineSimilarity,
+  tokenize
+};
@@ -3,6 +3,7 @@ const BaseA1ZapClient = require('../core/BaseA1ZapClient');
 const claudeService = require('../services/claude-service');
 const mandyAgent = require('../agents/mandy-agent');
 const groupProfileStorage = require('../services/group-profile-storage');
+const auditLog = require('../services/audit-log');
 const webhookHelpers = require('../services/webhook-helpers');
 const config = require('../config');
 
@@ -174,10 +175,20 @@ class MandyWebhook extends BaseWebhook {
 
   /**
    * Process Mandy request - handles conversational flow with memory
+   * Anything stored while handling the message is audit-logged as the chat's doing.
    * @param {Object} data - Request data with conversation history
    * @returns {Promise<Object>} Result with response text
    */
   async processRequest(data) {
+    return auditLog.runWith({ actor: `chat:${data?.chatId}` }, () => this.handleMessage(data));
+  }
+
+  /**
+   * Handle one message (see processRequest)
+   * @param {Object} data - Request data with conversation history
+   * @returns {Promise<Object>} Result with response text
+   */
+  async handleMessage(data) {
     try {
       const { userMessage, conversation, chatId, messageId } = data;
       const requestStartTime = Date.now();
@@ -198,10 +209,40 @@ class MandyWebhook extends BaseWebhook {
         };
       }
       
+      // Privacy commands (/mydata, /deletemydata) work at any stage of the interview
+      try {
+        const privacyReply = require('../services/privacy').handleChatCommand(chatId, userMessage);
+        if (privacyReply) {
+          return {
+            response: privacyReply,
+            sent: false
+          };
+        }
+      } catch (error) {
+        console.error(`❌ [Mandy] Could not handle privacy command for chat ${chatId}:`, error.message);
+        return {
+          response: "Sorry, I couldn't process that request right now. Please try again later! 🙏",
+          sent: false
+        };
+      }
+      
       // Check if profile already exists for this chat
       const existingProfile = groupProfileStorage.getProfileByChatId(chatId);
       
       if (existingProfile) {
+        // A group asked to rank its candidates is answering with its ranking
+        try {
+          const rankingReply = require('../services/preference-matching').handleRankingReply(existingProfile, userMessage);
+          if (rankingReply) {
+            return {
+              response: rankingReply,
+              sent: false
+            };
+          }
+        } catch (error) {
+          console.error(`❌ [Mandy] Could not record ranking for chat ${chatId}:`, error.message);
+        }
+        
         // Profile already exists - just tell them to wait for a match
         console.log(`✅ [Mandy] Profile already exists for chat ${chatId} - telling them to wait`);
         return {
@@ -516,8 +557,10 @@ Return ONLY valid JSON, no other text.`;
         profileData.groupName = 'Unknown';
       }
       
-      // Check if group name already exists
-      if (groupProfileStorage.groupNameExists(profileData.groupName)) {
+      // Check if group name already exists - keep both, flagged so an admin can
+      // merge them (POST /api/groups/:id/merge) or rename one (PATCH /api/groups/:id)
+      const sameName = groupProfileStorage.getProfileByGroupName(profileData.groupName);
+      if (sameName) {
         profileData.groupName = `${profileData.groupName}_${Date.now()}`;
       }
       
@@ -527,13 +570,16 @@ Return ONLY valid JSON, no other text.`;
         answers: profileData.answers || {},
       metadata: {
           createdAt: new Date().toISOString(),
-          source: 'conversational'
+          source: 'conversational',
+          ...(sameName ? { possibleDuplicateOf: sameName.id } : {})
       }
     };
 
     const savedProfile = groupProfileStorage.saveGroupProfile(profile);
       console.log(`✅ [Mandy] Saved profile: ${savedProfile.groupName} (ID: ${savedProfile.id})`);
       
+      this.startIncrementalMatching(savedProfile);
+      
       return savedProfile;
     } catch (error) {
       console.error(`❌ [Mandy] Error saving profile:`, error);
@@ -541,6 +587,38 @@ Return ONLY valid JSON, no other text.`;
     }
   }
 
+  /**
+   * Match a late group right away (config.matching.autoIncremental)
+   * Runs in the background; skipped until a pairing event exists or while another
+   * matching job is running (an admin can still run it via /api/match/incremental).
+   * @param {Object} profile - Saved group profile
+   */
+  startIncrementalMatching(profile) {
+    if (!config.matching.autoIncremental) {
+      return;
+    }
+
+    try {
+      const matchingJobs = require('../services/matching-jobs');
+      const matchingRunner = require('../services/matching-runner');
+
+      if (!matchingRunner.getIncrementalBase()) {
+        console.log(`ℹ️  [Mandy] No pairing event yet - skipping incremental matching for ${profile.groupName}`);
+        return;
+      }
+      if (matchingJobs.getActiveJob()) {
+        console.log(`ℹ️  [Mandy] Matching job running - skipping incremental matching for ${profile.groupName}`);
+        return;
+      }
+
+      const job = matchingJobs.startJob({ incremental: true, groupId: profile.id });
+      console.log(`💕 [Mandy] Incremental matching started for ${profile.groupName} (job ${job.id})`);
+    } catch (error) {
+      // Never let matching break the interview flow
+      console.error(`❌ [Mandy] Could not start incremental matching:`, error.message);
+    }
+  }
+
   /**
    * Handle normal chat after profile is saved
    * @param {string} chatId - Chat ID